@@ -1,6 +1,7 @@
 import {themes as prismThemes} from 'prism-react-renderer';
 import type {Config} from '@docusaurus/types';
 import type * as Preset from '@docusaurus/preset-classic';
+import sslLinks from './src/remark/ssl-links';
 
 const config: Config = {
   title: 'Fallout 2 Modding',
@@ -42,6 +43,8 @@ const config: Config = {
           sidebarPath: './sidebars.ts',
           editUrl: 'https://github.com/JanSimek/fallout2-modding/tree/main/website/',
           routeBasePath: '/', // Docs-only mode - docs at root
+          // Link SSL functions and defines in inline code (before links are resolved)
+          beforeDefaultRemarkPlugins: [sslLinks],
         },
         blog: false, // Disable blog
         theme: {
@@ -51,6 +54,8 @@ const config: Config = {
     ],
   ],
 
+  plugins: ['./src/plugins/indices.js', './src/plugins/ssl-examples.js'],
+
   themes: [
     '@docusaurus/theme-mermaid',
     [
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Checks Fallout 2 message (.msg) files.
+ *
+ * This script:
+ * 1. Reads every .msg file in the given files and directories
+ * 2. Parses the {number}{sound}{text} entries the way the engine does
+ * 3. Reports unbalanced braces, incomplete entries, message numbers that
+ *    are not numbers or are used twice, fields too long for the engine,
+ *    numbers out of order and gaps between numbers
+ *
+ * Exits with status 1 when any error is found; warnings and gaps alone pass.
+ *
+ * Usage:
+ *   node scripts/check-msg.js <file|dir>... [options]
+ *
+ * Options:
+ *   --encoding <name>  Code page of the files (default: windows-1252)
+ *   --no-gaps          Do not list gaps between message numbers
+ *   --json             Print the report as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeMsg, parseMsg, validateMsg } = require('./lib/msg-parser');
+
+/**
+ * Find .msg files below a directory
+ */
+function findMessageFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
+      files.push(...findMessageFiles(fullPath));
+    } else if (entry.isFile() && /\.msg$/i.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Check one file
+ */
+function checkFile(file, { encoding, gaps }) {
+  return validateMsg(parseMsg(decodeMsg(fs.readFileSync(file), encoding)), { gaps });
+}
+
+/**
+ * "1 error", "2 errors"
+ */
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Print the report in a human-readable form
+ */
+function printReport(report) {
+  for (const { file, diagnostics } of report.files) {
+    if (diagnostics.length === 0) continue;
+    console.log(`\n${file}`);
+    for (const { line, column, severity, code, message } of diagnostics) {
+      console.log(`  ${`${line}:${column}`.padEnd(8)} ${severity.padEnd(8)} ${message}  [${code}]`);
+    }
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Checked ${plural(report.checked, 'file')}: ${plural(report.errors, 'error')}, ${plural(report.warnings, 'warning')}`);
+  console.log('='.repeat(60));
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const gaps = !args.includes('--no-gaps');
+  let encoding = 'windows-1252';
+  const targets = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--encoding') {
+      encoding = args[++i];
+    } else if (!args[i].startsWith('--')) {
+      targets.push(args[i]);
+    }
+  }
+
+  if (targets.length === 0) {
+    console.error('Usage: node scripts/check-msg.js <file|dir>... [--encoding <name>] [--no-gaps] [--json]');
+    process.exit(1);
+  }
+
+  try {
+    new TextDecoder(encoding);
+  } catch (e) {
+    console.error(`ERROR: Unknown encoding ${encoding}`);
+    process.exit(1);
+  }
+
+  const files = [];
+  for (const target of targets) {
+    if (!fs.existsSync(target)) {
+      console.error(`ERROR: ${target} not found`);
+      process.exit(1);
+    }
+    files.push(...(fs.statSync(target).isDirectory() ? findMessageFiles(target) : [target]));
+  }
+
+  const report = { checked: files.length, errors: 0, warnings: 0, files: [] };
+  for (const file of files) {
+    const diagnostics = checkFile(file, { encoding, gaps });
+    report.errors += diagnostics.filter((d) => d.severity === 'error').length;
+    report.warnings += diagnostics.filter((d) => d.severity === 'warning').length;
+    report.files.push({ file: path.relative(process.cwd(), file).replace(/\\/g, '/'), diagnostics });
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (report.errors > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  findMessageFiles,
+  checkFile,
+};
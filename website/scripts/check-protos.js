@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Checks that a proto/ tree agrees with its .lst files.
+ *
+ * This script:
+ * 1. Reads items.lst, critters.lst, scenery.lst, walls.lst, tiles.lst and
+ *    misc.lst from their directories below proto/
+ * 2. Reads the PID of every .pro file in those directories
+ * 3. Reports list entries with no PRO file, PRO files the list does not
+ *    name, and PRO files whose PID disagrees with their place in the list
+ *    (the PID's index must be the entry's line number, and its type the
+ *    directory's type). A PID pointing at the wrong line makes the game
+ *    load another proto, the usual cause of "wrong item" bugs.
+ *
+ * Exits with status 1 when any error is found; warnings alone pass.
+ *
+ * Usage:
+ *   node scripts/check-protos.js <proto dir> [options]
+ *
+ * The directory may also be the one containing proto/ (e.g. a mod's data/).
+ *
+ * Options:
+ *   --json              Print the report as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseLst } = require('./lib/lst-parser');
+const { parsePro, pidType } = require('./lib/pro-parser');
+
+// Directory below proto/ -> object type its PIDs have
+const PROTO_DIRS = {
+  items: 'item',
+  critters: 'critter',
+  scenery: 'scenery',
+  walls: 'wall',
+  tiles: 'tile',
+  misc: 'misc',
+};
+
+function formatPid(pid) {
+  return `0x${(pid >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
+/**
+ * Entries of a directory by lowercased name (game files are case-insensitive)
+ */
+function listIgnoringCase(dir) {
+  const names = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    names.set(name.toLowerCase(), name);
+  }
+  return names;
+}
+
+/**
+ * Check one type directory against its list
+ * Returns { entries, protos, diagnostics }: the counts of list entries and
+ * PRO files, and { file, line?, severity, code, message } for each problem,
+ * where `file` is the path of the list or PRO file.
+ */
+function checkProtoDir(dir, kind) {
+  const diagnostics = [];
+  const report = (file, line, severity, code, message) => {
+    diagnostics.push({ file, ...(line ? { line } : {}), severity, code, message });
+  };
+
+  const files = listIgnoringCase(dir);
+  const protos = [...files.keys()].filter((name) => name.endsWith('.pro'));
+  const lstName = files.get(`${path.basename(dir).toLowerCase()}.lst`);
+  if (!lstName) {
+    if (protos.length > 0) {
+      report(dir, null, 'error', 'missing-lst', `No ${path.basename(dir).toLowerCase()}.lst for ${protos.length} PRO file${protos.length === 1 ? '' : 's'}`);
+    }
+    return { diagnostics, entries: 0, protos: protos.length };
+  }
+
+  const lstFile = path.join(dir, lstName);
+  const entries = parseLst(fs.readFileSync(lstFile, 'latin1'));
+  const listed = new Map(); // lowercased name -> first line
+  for (const entry of entries) {
+    const name = entry.name.toLowerCase();
+    if (name === '') {
+      report(lstFile, entry.line, 'error', 'missing-pro', `Line ${entry.line} is blank; PID index ${entry.line} has no proto`);
+    } else if (listed.has(name)) {
+      report(lstFile, entry.line, 'warning', 'duplicate-entry', `${entry.name} is already listed on line ${listed.get(name)}`);
+    } else {
+      listed.set(name, entry.line);
+      if (!files.has(name)) {
+        report(lstFile, entry.line, 'error', 'missing-pro', `${entry.name} is listed but does not exist`);
+      }
+    }
+  }
+
+  for (const name of protos) {
+    const file = path.join(dir, files.get(name));
+    const line = listed.get(name);
+    if (line === undefined) {
+      report(file, null, 'warning', 'unlisted-pro', `Not listed in ${lstName}; no PID can reach it`);
+    }
+
+    const data = fs.readFileSync(file);
+    if (data.length < 4) {
+      report(file, null, 'error', 'invalid-pro', `File is ${data.length} bytes, too short for a PID`);
+      continue;
+    }
+    const pid = data.readUInt32BE(0);
+    const type = pidType(pid);
+    if (type !== kind) {
+      report(file, null, 'error', 'wrong-type', `PID ${formatPid(pid)} is ${type ? `a ${type}` : 'not a proto'} PID, but the file is in ${path.basename(dir)}/`);
+    } else if (line !== undefined && (pid & 0xffffff) !== line) {
+      report(file, null, 'error', 'pid-mismatch',
+        `PID ${formatPid(pid)} has index ${pid & 0xffffff}, but ${lstName} lists the file on line ${line}`);
+    }
+    if (type === kind) {
+      try {
+        parsePro(data);
+      } catch (e) {
+        report(file, null, 'error', 'invalid-pro', e.message);
+      }
+    }
+  }
+
+  return { diagnostics, entries: entries.length, protos: protos.length };
+}
+
+/**
+ * Check every type directory of a proto/ tree
+ * Returns { dirs, entries, protos, diagnostics } summed over the type
+ * directories found; `root` may be proto/ or the directory containing it.
+ */
+function checkProtoTree(root) {
+  const rootNames = listIgnoringCase(root);
+  if (rootNames.has('proto') && !Object.keys(PROTO_DIRS).some((dir) => rootNames.has(dir))) {
+    return checkProtoTree(path.join(root, rootNames.get('proto')));
+  }
+
+  const report = { dirs: 0, entries: 0, protos: 0, diagnostics: [] };
+  for (const [dir, kind] of Object.entries(PROTO_DIRS)) {
+    const name = rootNames.get(dir);
+    if (!name || !fs.statSync(path.join(root, name)).isDirectory()) continue;
+    const result = checkProtoDir(path.join(root, name), kind);
+    report.dirs++;
+    report.entries += result.entries;
+    report.protos += result.protos;
+    report.diagnostics.push(...result.diagnostics);
+  }
+  return report;
+}
+
+/**
+ * Print the report in a human-readable form
+ */
+function printReport(report) {
+  const byFile = new Map();
+  for (const d of report.diagnostics) {
+    if (!byFile.has(d.file)) byFile.set(d.file, []);
+    byFile.get(d.file).push(d);
+  }
+  for (const [file, diagnostics] of byFile) {
+    console.log(`\n${file}`);
+    for (const { line, severity, code, message } of diagnostics) {
+      console.log(`  ${String(line || '').padEnd(6)} ${severity.padEnd(8)} ${message}  [${code}]`);
+    }
+  }
+
+  const errors = report.diagnostics.filter((d) => d.severity === 'error').length;
+  console.log('\n' + '='.repeat(60));
+  console.log(`Checked ${report.entries} list entries and ${report.protos} PRO files: ` +
+    `${errors} errors, ${report.diagnostics.length - errors} warnings`);
+  console.log('='.repeat(60));
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const root = args.find((arg) => !arg.startsWith('--'));
+
+  if (!root) {
+    console.error('Usage: node scripts/check-protos.js <proto dir> [--json]');
+    process.exit(1);
+  }
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    console.error(`ERROR: ${root} is not a directory`);
+    process.exit(1);
+  }
+
+  const report = checkProtoTree(root);
+  if (report.dirs === 0) {
+    console.error(`ERROR: No ${Object.keys(PROTO_DIRS).join(', ')} directories in ${root}`);
+    process.exit(1);
+  }
+  for (const d of report.diagnostics) {
+    d.file = path.relative(process.cwd(), d.file).replace(/\\/g, '/');
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (report.diagnostics.some((d) => d.severity === 'error')) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  checkProtoDir,
+  checkProtoTree,
+};
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Checks documented SSL signatures against signatures inferred from fallout2-ce.
+ *
+ * This script:
+ * 1. Reads the ```ssl signature block under each {#anchor} in docs/ssl/functions/*.mdx
+ * 2. Reads the signatures inferred from opcode handlers in function-index.json
+ *    (arguments popped / values pushed on the interpreter stack)
+ * 3. Reports arity, argument type and return type mismatches
+ *
+ * Signatures the generator marked as uncertain (pops in loops or branches)
+ * are listed separately and do not fail the check.
+ *
+ * Exits with status 1 on mismatches, and when the index has no inferred
+ * signatures at all (it predates signature inference and must be
+ * regenerated).
+ *
+ * Usage:
+ *   node scripts/check-signatures.js [options]
+ *
+ * Options:
+ *   --json              Print the report as JSON
+ */
+
+const path = require('path');
+const { parseFunctionDocs, normalizeType } = require('./lib/ssl-docs');
+const { loadIndex } = require('./lib/indices');
+
+/**
+ * Check whether a documented type accepts an inferred type
+ */
+function typesCompatible(documented, inferred) {
+  const docTypes = [].concat(normalizeType(documented));
+  return inferred === 'any' || docTypes.includes('any') || docTypes.includes(inferred);
+}
+
+/**
+ * Compare one documented signature with the inferred one
+ * Returns a list of human-readable problems (empty when they agree).
+ */
+function compareSignature(documented, inferred) {
+  const problems = [];
+
+  if (documented.params.length !== inferred.args.length) {
+    problems.push(`arity: documented ${documented.params.length}, implementation pops ${inferred.args.length}`);
+  } else {
+    documented.params.forEach((param, i) => {
+      if (!typesCompatible(param.type, inferred.args[i])) {
+        problems.push(`argument ${i + 1} (${param.name}): documented ${param.type}, implementation pops ${inferred.args[i]}`);
+      }
+    });
+  }
+
+  const docReturns = [].concat(normalizeType(documented.returns));
+  const docVoid = docReturns.length === 1 && docReturns[0] === 'void';
+  if (docVoid !== (inferred.returns === 'void')) {
+    problems.push(`return: documented ${documented.returns}, implementation pushes ${inferred.returns === 'void' ? 'nothing' : inferred.returns}`);
+  } else if (!docVoid && !typesCompatible(documented.returns, inferred.returns)) {
+    problems.push(`return: documented ${documented.returns}, implementation pushes ${inferred.returns}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Build the report: mismatches, uncertain mismatches and counts
+ */
+function checkSignatures(docs, index) {
+  const report = {
+    checked: 0,
+    mismatches: [],
+    uncertain: [],
+    noSignature: [],
+  };
+
+  for (const [name, doc] of Object.entries(docs)) {
+    const info = index.functions[name];
+    if (!doc.signature || !info || info.removedIn !== undefined) continue;
+    if (!info.signature) {
+      report.noSignature.push(name);
+      continue;
+    }
+
+    report.checked++;
+    const problems = compareSignature(doc.signature, info.signature);
+    if (problems.length === 0) continue;
+
+    const entry = {
+      name,
+      file: path.relative(path.join(__dirname, '..'), doc.file).replace(/\\/g, '/'),
+      line: doc.signature.line,
+      implementation: `${info.file}:${info.startLine}`,
+      problems,
+    };
+    if (info.signature.uncertain) {
+      report.uncertain.push(entry);
+    } else {
+      report.mismatches.push(entry);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Print the report in a human-readable form
+ */
+function printReport(report) {
+  console.log(`Checked ${report.checked} documented signatures`);
+
+  if (report.mismatches.length > 0) {
+    console.log('\n' + '='.repeat(60));
+    console.log(`SIGNATURE MISMATCHES (${report.mismatches.length})`);
+    console.log('='.repeat(60));
+    for (const { name, file, line, implementation, problems } of report.mismatches) {
+      console.log(`\n  ${name} (${file}:${line}, impl ${implementation})`);
+      problems.forEach(p => console.log(`    - ${p}`));
+    }
+  }
+
+  if (report.uncertain.length > 0) {
+    console.log('\n' + '='.repeat(60));
+    console.log(`POSSIBLE MISMATCHES, UNCERTAIN INFERENCE (${report.uncertain.length})`);
+    console.log('='.repeat(60));
+    for (const { name, file, line, problems } of report.uncertain) {
+      console.log(`\n  ${name} (${file}:${line})`);
+      problems.forEach(p => console.log(`    ? ${p}`));
+    }
+  }
+
+  if (report.noSignature.length > 0) {
+    console.log(`\n${report.noSignature.length} documented functions have no inferred signature in the index.`);
+    console.log('Regenerate the index with `npm run generate-index` to infer them.');
+  }
+
+  console.log('\n' + '='.repeat(60));
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+
+  let index;
+  try {
+    index = loadIndex('functions');
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  // An index generated before signature inference would pass without
+  // checking anything
+  if (!Object.values(index.functions).some((info) => info.signature)) {
+    console.error('ERROR: function-index.json has no inferred signatures. Regenerate it with `npm run generate-index`.');
+    process.exit(1);
+  }
+
+  const report = checkSignatures(parseFunctionDocs(), index);
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (report.mismatches.length > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  compareSignature,
+  checkSignatures,
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Checks the ```ssl code blocks in the docs.
+ *
+ * This script:
+ * 1. Extracts every ```ssl block from docs/ssl/ and docs/api/
+ * 2. Drops signature lines (`int name(ObjectPtr who)`) and parses the rest
+ *    as a snippet, where statements may appear outside procedures
+ * 3. Parses each block and checks that every call resolves to a documented
+ *    function, a define or macro from the define index, or a procedure or
+ *    macro of the block itself, with the right number of arguments
+ *
+ * Blocks fenced as ```ssl nocheck are skipped: deliberately broken code, or
+ * engine notes naming functions the SSL reference does not cover.
+ * The fallout-ssl-examples plugin (src/plugins/ssl-examples.js) runs the
+ * same check during the build.
+ *
+ * Usage:
+ *   node scripts/check-ssl-examples.js [options]
+ *
+ * Options:
+ *   --json              Print the report as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./lib/ssl-parser');
+const { createKnowledgeBase, isIndexedHeader, lintProgram } = require('./lib/ssl-lint');
+const {
+  MISSING_SFALL_FILE,
+  normalizeType,
+  parseFunctionDoc,
+  parseFunctionDocs,
+} = require('./lib/ssl-docs');
+const { loadIndex } = require('./lib/indices');
+
+const SITE_DIR = path.join(__dirname, '..');
+const EXAMPLE_DIRS = [path.join(SITE_DIR, 'docs', 'ssl'), path.join(SITE_DIR, 'docs', 'api')];
+
+// Signature line: return_type Name(params), like ssl-docs.js but any case
+const SIGNATURE_PATTERN = /^\(?([A-Za-z_][\w/|]*)\)?\s+[A-Za-z_]\w*\s*(?:\(.*\))?\s*;?\s*$/;
+
+// Types a signature line can return
+const SIGNATURE_TYPES = new Set(['int', 'float', 'string', 'ObjectPtr', 'void', 'any']);
+
+/**
+ * Find .md and .mdx files below a directory
+ */
+function findDocs(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findDocs(fullPath));
+    } else if (/\.mdx?$/.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Extract the ```ssl blocks of a doc as { line, code, check }
+ * `line` is the 1-indexed line of the block's first code line.
+ */
+function extractBlocks(source) {
+  const blocks = [];
+  let block = null;
+
+  source.split('\n').forEach((line, index) => {
+    const fence = line.match(/^\s*```(\S*)\s*(.*)$/);
+    if (block) {
+      if (fence && fence[1] === '') {
+        if (!block.other) {
+          blocks.push({ line: block.line, code: block.lines.join('\n'), check: block.check });
+        }
+        block = null;
+      } else {
+        block.lines.push(line);
+      }
+    } else if (fence && fence[1] === 'ssl') {
+      block = { line: index + 2, lines: [], check: !/\bnocheck\b/.test(fence[2]) };
+    } else if (fence && fence[1] !== '') {
+      // Skip other languages' blocks so their fences are not mistaken for ours
+      block = { line: index + 2, lines: [], check: false, other: true };
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Whether a line documents a signature rather than calling anything
+ */
+function isSignatureLine(line) {
+  const match = line.trim().match(SIGNATURE_PATTERN);
+  if (!match || ['variable', 'procedure'].includes(match[1].toLowerCase())) {
+    return false;
+  }
+  return [].concat(normalizeType(match[1])).every((t) => SIGNATURE_TYPES.has(t));
+}
+
+/**
+ * Check one block; returns its errors with lines relative to the block
+ */
+function checkBlock(code, kb) {
+  const source = code.split('\n').map((line) => (isSignatureLine(line) ? '' : line)).join('\n');
+  const program = parse(source, { macros: new Set(Object.keys(kb.macros)), snippet: true });
+  const unresolvedIncludes = program.includes.filter((include) => !isIndexedHeader(include.path, kb));
+
+  return lintProgram(program, kb, { unresolvedIncludes, checkCe: false })
+    .filter((d) => d.severity === 'error');
+}
+
+/**
+ * Load the knowledge base the examples are checked against
+ * Only documented functions count, so an example cannot call something the
+ * reference does not explain.
+ */
+function loadKnowledgeBase() {
+  const docs = { ...parseFunctionDoc(MISSING_SFALL_FILE), ...parseFunctionDocs() };
+  const compatibility = loadIndex('compatibility');
+  const documented = Object.fromEntries(
+    Object.entries(compatibility.functions).filter(([name]) => name in docs),
+  );
+  return createKnowledgeBase({
+    compatibility: { ...compatibility, functions: documented },
+    docs,
+    defines: loadIndex('defines'),
+  });
+}
+
+/**
+ * Check every ```ssl block in the example directories
+ * Returns { blocks, skipped, diagnostics: [{ file, line, column, code, message }] }
+ * with paths relative to the site and lines relative to the doc.
+ */
+function checkExamples({ dirs = EXAMPLE_DIRS, kb = loadKnowledgeBase() } = {}) {
+  const report = { blocks: 0, skipped: 0, diagnostics: [] };
+
+  for (const dir of dirs) {
+    for (const file of findDocs(dir)) {
+      const relative = path.relative(SITE_DIR, file).replace(/\\/g, '/');
+      for (const block of extractBlocks(fs.readFileSync(file, 'utf-8'))) {
+        if (!block.check) {
+          report.skipped++;
+          continue;
+        }
+        report.blocks++;
+        for (const d of checkBlock(block.code, kb)) {
+          report.diagnostics.push({
+            file: relative,
+            line: block.line + d.line - 1,
+            column: d.column,
+            code: d.code,
+            message: d.message,
+          });
+        }
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * One line per problem: docs/ssl/syntax.mdx:12:5 Unknown function foo [unknown-function]
+ */
+function formatDiagnostics(diagnostics) {
+  return diagnostics.map((d) => `${d.file}:${d.line}:${d.column} ${d.message} [${d.code}]`);
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const asJson = process.argv.includes('--json');
+
+  let report;
+  try {
+    report = checkExamples();
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Checked ${report.blocks} ssl blocks (${report.skipped} marked nocheck)`);
+    if (report.diagnostics.length > 0) {
+      console.log('\n' + '='.repeat(60));
+      console.log(`PROBLEMS (${report.diagnostics.length})`);
+      console.log('='.repeat(60));
+      formatDiagnostics(report.diagnostics).forEach((line) => console.log(`  ${line}`));
+      console.log('\n' + '='.repeat(60));
+    }
+  }
+
+  if (report.diagnostics.length > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  extractBlocks,
+  checkBlock,
+  checkExamples,
+  formatDiagnostics,
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Generates the SSL compatibility dataset: for every SSL function, whether
+ * it comes from vanilla Fallout 2 or sfall, whether fallout2-ce implements
+ * it, and whether the Unofficial Patch (UP) uses it.
+ *
+ * This script:
+ * 1. Reads the SSL functions fallout2-ce implements from src/data/function-index.json
+ * 2. Reads {#name} anchors and tag badges from docs/ssl/functions/*.mdx and
+ *    docs/compatibility/missing-sfall-functions.mdx
+ * 3. Leaves out documented header macros (from the define index and
+ *    scripts/lib/header-macros.js), which are not engine functions
+ * 4. With --up-path, scans the UP's scripts for uses of each function;
+ *    otherwise keeps the UP usage of the last scan recorded in the existing
+ *    dataset (none when the UP was never scanned)
+ * 5. Writes src/data/compatibility.json
+ *
+ * Usage:
+ *   node scripts/generate-compatibility.js [options]
+ *
+ * Options:
+ *   --up-path <path>    Path to a local Fallout2_Unofficial_Patch checkout
+ *   --yes, -y           Auto-confirm changes without prompting
+ *   --dry-run           Show what would change without writing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FUNCTIONS_DIR, MISSING_SFALL_FILE, parseFunctionDoc, parseFunctionDocs } = require('./lib/ssl-docs');
+const { HEADER_MACROS } = require('./lib/header-macros');
+const { getShortCommit, scanUnofficialPatch } = require('./lib/up-scripts');
+const {
+  DATA_DIR,
+  INDICES,
+  loadIndex,
+  getOrigin,
+  getSslFunctions,
+  askConfirmation,
+  compareIndices,
+  printChanges,
+  hasChanges,
+} = require('./lib/indices');
+
+const DOCS_DIR = path.join(__dirname, '..', 'docs');
+const OUTPUT_FILE = path.join(DATA_DIR, INDICES.compatibility.file);
+
+// Reference pages that list functions documented elsewhere
+const NON_CATEGORY_PAGES = ['index.mdx', 'all.mdx', 'opcodes.mdx'];
+
+/**
+ * Documentation page of a doc entry as a docs id, e.g. "ssl/functions/critter"
+ */
+function docPage(doc) {
+  return path.relative(DOCS_DIR, doc.file).replace(/\\/g, '/').replace(/\.mdx?$/, '');
+}
+
+/**
+ * Build the dataset from the function index, the reference pages and the
+ * UP usage (name -> number of files using it; null when the UP was never
+ * scanned, which leaves usedInUp out)
+ */
+function buildCompatibility(index, docs, macroNames, upUsage) {
+  const implemented = getSslFunctions(index);
+  const names = new Set([
+    ...Object.keys(implemented),
+    // Documented RP macros are not engine functions
+    ...Object.keys(docs).filter((name) => implemented[name] || !macroNames.has(name)),
+  ]);
+
+  const functions = {};
+  for (const name of [...names].sort()) {
+    const info = implemented[name];
+    const doc = docs[name];
+    const tag = doc?.tags.find((t) => t === 'vanilla' || t === 'sfall');
+
+    let origin = 'unknown';
+    if (tag) {
+      origin = tag;
+    } else if (info) {
+      origin = getOrigin(info);
+    } else if (doc && doc.file === MISSING_SFALL_FILE) {
+      origin = 'sfall';
+    }
+
+    const entry = { origin, ce: Boolean(info) };
+    if (info?.sinceVersion) entry.ceSince = info.sinceVersion;
+    if (upUsage) {
+      entry.usedInUp = Boolean(upUsage[name]);
+      if (upUsage[name]) entry.upFiles = upUsage[name];
+    }
+    if (doc) entry.page = docPage(doc);
+    functions[name] = entry;
+  }
+
+  return functions;
+}
+
+/**
+ * Whether a function present in both datasets changed
+ */
+function classifyFunction(oldInfo, newInfo) {
+  const changed = ['origin', 'ce', 'ceSince', 'usedInUp', 'upFiles', 'page']
+    .some((field) => oldInfo[field] !== newInfo[field]);
+  return changed ? 'modified' : null;
+}
+
+/**
+ * Print the fields of a modified function that changed
+ */
+function printModified({ name, old, new: newInfo }) {
+  console.log(`  ~ ${name}:`);
+  for (const field of ['origin', 'ce', 'ceSince', 'usedInUp', 'upFiles', 'page']) {
+    if (old[field] !== newInfo[field]) {
+      console.log(`      ${field}: ${old[field] ?? 'none'} -> ${newInfo[field] ?? 'none'}`);
+    }
+  }
+}
+
+/**
+ * Print a summary of the dataset
+ */
+function printSummary({ _meta, functions }) {
+  const entries = Object.values(functions);
+  const count = (predicate) => entries.filter(predicate).length;
+
+  console.log('\nSummary:');
+  console.log(`  Functions: ${entries.length}`);
+  console.log(`  Vanilla: ${count((e) => e.origin === 'vanilla')}, sfall: ${count((e) => e.origin === 'sfall')}`);
+  console.log(`  Implemented in fallout2-ce: ${count((e) => e.ce)}`);
+  console.log(`  Missing from fallout2-ce: ${count((e) => !e.ce)}`);
+  if (_meta.up) {
+    console.log(`  Used in UP: ${count((e) => e.usedInUp)} (${count((e) => e.usedInUp && !e.ce)} of them missing from CE)`);
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const autoConfirm = args.includes('--yes') || args.includes('-y');
+  const upPathIndex = args.indexOf('--up-path');
+  const upPath = upPathIndex !== -1 ? path.resolve(args[upPathIndex + 1] || '') : null;
+
+  console.log('='.repeat(60));
+  console.log('SSL Compatibility Dataset Generator');
+  console.log('='.repeat(60));
+
+  let index;
+  let defineIndex = { defines: {} };
+  try {
+    index = loadIndex('functions');
+    if (fs.existsSync(path.join(DATA_DIR, INDICES.defines.file))) {
+      defineIndex = loadIndex('defines');
+    }
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+  const macroNames = new Set([
+    ...HEADER_MACROS,
+    ...Object.entries(defineIndex.defines).filter(([, d]) => d.kind === 'macro').map(([name]) => name),
+  ]);
+
+  // The reference wins over the missing sfall functions page for the link
+  const missingDocs = parseFunctionDoc(MISSING_SFALL_FILE);
+  const referenceDocs = Object.fromEntries(
+    Object.entries(parseFunctionDocs(FUNCTIONS_DIR))
+      .filter(([, doc]) => !NON_CATEGORY_PAGES.includes(path.basename(doc.file))),
+  );
+  const docs = { ...missingDocs, ...referenceDocs };
+  console.log(`\nFunction index: ${Object.keys(getSslFunctions(index)).length} SSL functions (commit ${index._meta.shortCommit})`);
+  console.log(`Reference: ${Object.keys(docs).length} documented functions`);
+
+  // Load existing dataset if it exists
+  let existing = { _meta: {}, functions: {} };
+  if (fs.existsSync(OUTPUT_FILE)) {
+    try {
+      existing = loadIndex('compatibility');
+    } catch (e) {
+      console.warn(`Could not load existing dataset, treating as empty: ${e.message}`);
+    }
+  }
+
+  // UP usage: scanned, or carried over from the last recorded scan
+  let upUsage = null;
+  let up = existing._meta.up || null;
+  if (upPath) {
+    if (!fs.existsSync(upPath)) {
+      console.error(`ERROR: ${upPath} not found`);
+      process.exit(1);
+    }
+    const names = new Set([...Object.keys(getSslFunctions(index)), ...Object.keys(docs)]);
+    const scan = scanUnofficialPatch(upPath, names);
+    upUsage = scan.usage;
+    up = { commit: getShortCommit(upPath), files: scan.fileCount };
+    console.log(`Unofficial Patch: scanned ${scan.fileCount} files${up.commit ? ` (commit ${up.commit})` : ''}`);
+  } else if (up) {
+    upUsage = {};
+    for (const [name, info] of Object.entries(existing.functions)) {
+      if (info.upFiles) upUsage[name] = info.upFiles;
+    }
+    console.log(`Unofficial Patch: not scanned (use --up-path), keeping the scan of ${up.commit || 'a local checkout'}`);
+  } else {
+    console.log('Unofficial Patch: never scanned (use --up-path)');
+  }
+
+  const dataset = {
+    _meta: {
+      commit: index._meta.commit,
+      shortCommit: index._meta.shortCommit,
+      generatedAt: new Date().toISOString(),
+      ...(up ? { up } : {}),
+    },
+    functions: buildCompatibility(index, docs, macroNames, upUsage),
+  };
+
+  const changes = compareIndices(existing, dataset, { entries: 'functions', classify: classifyFunction });
+
+  if (!hasChanges(changes)) {
+    console.log('\nNo changes detected. Dataset is up to date.');
+    return;
+  }
+
+  printChanges(changes, [{ key: 'modified', title: '~ MODIFIED', print: printModified }]);
+  printSummary(dataset);
+
+  if (dryRun) {
+    console.log('\nDry run complete. No files written.');
+    return;
+  }
+
+  let shouldWrite = autoConfirm;
+  if (!autoConfirm) {
+    shouldWrite = await askConfirmation('\nWrite changes to compatibility.json? (y/N) ');
+  }
+
+  if (shouldWrite) {
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(dataset, null, 2));
+    console.log(`\nWrote compatibility dataset to: ${OUTPUT_FILE}`);
+  } else {
+    console.log('\nAborted. No changes written.');
+  }
+}
+
+main().catch(e => {
+  console.error('Error:', e);
+  process.exit(1);
+});
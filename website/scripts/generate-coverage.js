@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * Generates a documentation coverage report for the SSL function reference.
+ *
+ * This script:
+ * 1. Reads SSL function names from src/data/function-index.json
+ * 2. Reads {#name} anchors and tags from docs/ssl/functions/*.mdx
+ * 3. Reports implemented-but-undocumented functions, documented functions
+ *    missing from fallout2-ce (without a "Not Implemented" marker, and not
+ *    a header macro), and
+ *    tag-vanilla / tag-sfall badges that disagree with where the function
+ *    is implemented
+ * 4. Writes src/data/coverage.json and docs/compatibility/coverage.mdx
+ *
+ * Usage:
+ *   node scripts/generate-coverage.js [options]
+ *
+ * Options:
+ *   --dry-run           Print the report without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FUNCTIONS_DIR, parseFunctionDocs } = require('./lib/ssl-docs');
+const { DATA_DIR, INDICES, loadIndex, getOrigin, getSslFunctions } = require('./lib/indices');
+const { HEADER_MACROS } = require('./lib/header-macros');
+
+const DEFINE_INDEX_FILE = path.join(DATA_DIR, INDICES.defines.file);
+const JSON_OUTPUT = path.join(DATA_DIR, 'coverage.json');
+const MDX_OUTPUT = path.join(__dirname, '..', 'docs', 'compatibility', 'coverage.mdx');
+
+// Reference pages that are not function categories
+const NON_CATEGORY_PAGES = ['index.mdx', 'all.mdx', 'opcodes.mdx'];
+
+/**
+ * Read the page title from MDX frontmatter, falling back to the file name
+ */
+function getCategoryTitle(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const match = content.match(/^---[\s\S]*?^title:\s*(.+)$[\s\S]*?^---/m);
+  return match ? match[1].trim() : path.basename(filePath, '.mdx');
+}
+
+/**
+ * Build the coverage report
+ */
+function buildCoverage(index, docs, macroNames) {
+  const implemented = getSslFunctions(index);
+  const documented = Object.fromEntries(
+    Object.entries(docs).filter(([, doc]) => !NON_CATEGORY_PAGES.includes(path.basename(doc.file))),
+  );
+
+  const undocumented = Object.keys(implemented)
+    .filter(name => !documented[name])
+    .sort()
+    .map(name => ({
+      name,
+      origin: getOrigin(implemented[name]),
+      file: implemented[name].file,
+      startLine: implemented[name].startLine,
+    }));
+
+  const unimplemented = Object.entries(documented)
+    .filter(([name, doc]) => !implemented[name] && !doc.notImplemented && !macroNames.has(name))
+    .map(([name, doc]) => ({ name, page: path.basename(doc.file, '.mdx'), line: doc.line }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const tagMismatches = [];
+  for (const [name, doc] of Object.entries(documented)) {
+    const info = implemented[name];
+    if (!info) continue;
+    const tag = doc.tags.find(t => t === 'vanilla' || t === 'sfall');
+    const origin = getOrigin(info);
+    if (tag && tag !== origin) {
+      tagMismatches.push({
+        name,
+        page: path.basename(doc.file, '.mdx'),
+        line: doc.line,
+        tag,
+        origin,
+        file: info.file,
+      });
+    }
+  }
+  tagMismatches.sort((a, b) => a.name.localeCompare(b.name));
+
+  // Per-category coverage: how many documented functions are implemented
+  const categories = {};
+  for (const [name, doc] of Object.entries(documented)) {
+    const page = path.basename(doc.file, '.mdx');
+    if (!categories[page]) {
+      categories[page] = { title: getCategoryTitle(doc.file), documented: 0, implemented: 0, notImplemented: 0 };
+    }
+    categories[page].documented++;
+    if (implemented[name]) categories[page].implemented++;
+    if (doc.notImplemented) categories[page].notImplemented++;
+  }
+
+  // Per-origin coverage: how many implemented functions are documented
+  const origins = {};
+  for (const [name, info] of Object.entries(implemented)) {
+    const origin = getOrigin(info);
+    if (!origins[origin]) origins[origin] = { implemented: 0, documented: 0 };
+    origins[origin].implemented++;
+    if (documented[name]) origins[origin].documented++;
+  }
+
+  const implementedCount = Object.keys(implemented).length;
+  const documentedImplemented = implementedCount - undocumented.length;
+
+  return {
+    _meta: {
+      commit: index._meta?.shortCommit,
+      generatedAt: new Date().toISOString(),
+    },
+    summary: {
+      implemented: implementedCount,
+      documented: Object.keys(documented).length,
+      documentedImplemented,
+      percent: percent(documentedImplemented, implementedCount),
+    },
+    origins,
+    categories,
+    undocumented,
+    unimplemented,
+    tagMismatches,
+  };
+}
+
+/**
+ * Percentage rounded to one decimal place
+ */
+function percent(part, total) {
+  return total === 0 ? 100 : Math.round((part / total) * 1000) / 10;
+}
+
+/**
+ * Render the coverage report as an MDX page
+ */
+function renderMdx(coverage) {
+  const { summary, origins, categories, undocumented, unimplemented, tagMismatches } = coverage;
+  const out = [];
+
+  out.push('---');
+  out.push('sidebar_position: 2');
+  out.push('title: Documentation Coverage');
+  out.push('description: Which SSL functions implemented in fallout2-ce are documented');
+  out.push('---');
+  out.push('');
+  out.push('{/* AUTO-GENERATED by scripts/generate-coverage.js - do not edit by hand */}');
+  out.push('');
+  out.push('# Documentation Coverage');
+  out.push('');
+  out.push(`Cross-reference of the function index (fallout2-ce \`${coverage._meta.commit}\`) with the [function reference](../ssl/functions/index.mdx).`);
+  out.push('');
+  out.push(`**${summary.documentedImplemented} of ${summary.implemented}** implemented SSL functions are documented (**${summary.percent}%**).`);
+  out.push('');
+
+  out.push('## By Origin');
+  out.push('');
+  out.push('| Origin | Implemented | Documented | Coverage |');
+  out.push('|--------|-------------|------------|----------|');
+  for (const [origin, counts] of Object.entries(origins).sort()) {
+    out.push(`| ${origin} | ${counts.implemented} | ${counts.documented} | ${percent(counts.documented, counts.implemented)}% |`);
+  }
+  out.push('');
+
+  out.push('## By Category');
+  out.push('');
+  out.push('Share of the functions documented on each page that fallout2-ce implements.');
+  out.push('');
+  out.push('| Category | Documented | Implemented | Marked Not Implemented | Implemented % |');
+  out.push('|----------|------------|-------------|------------------------|---------------|');
+  for (const [page, counts] of Object.entries(categories).sort()) {
+    out.push(`| [${counts.title}](../ssl/functions/${page}.mdx) | ${counts.documented} | ${counts.implemented} | ${counts.notImplemented} | ${percent(counts.implemented, counts.documented)}% |`);
+  }
+  out.push('');
+
+  out.push(`## Implemented but Undocumented (${undocumented.length})`);
+  out.push('');
+  if (undocumented.length === 0) {
+    out.push('Every implemented function is documented.');
+  } else {
+    out.push('| Function | Origin | Implementation |');
+    out.push('|----------|--------|----------------|');
+    for (const { name, origin } of undocumented) {
+      out.push(`| \`${name}\` | ${origin} | <FnRef fn="${name}" label="source" inline /> |`);
+    }
+  }
+  out.push('');
+
+  out.push(`## Documented but Not Implemented (${unimplemented.length})`);
+  out.push('');
+  out.push('Documented functions missing from the index that carry no "Not Implemented" marker.');
+  out.push('');
+  if (unimplemented.length === 0) {
+    out.push('None.');
+  } else {
+    for (const { name, page } of unimplemented) {
+      out.push(`- [\`${name}\`](../ssl/functions/${page}.mdx#${name})`);
+    }
+  }
+  out.push('');
+
+  out.push(`## Tag Mismatches (${tagMismatches.length})`);
+  out.push('');
+  out.push('Functions whose `tag-vanilla` / `tag-sfall` badge disagrees with where fallout2-ce implements them.');
+  out.push('');
+  if (tagMismatches.length === 0) {
+    out.push('None.');
+  } else {
+    out.push('| Function | Tagged | Implemented in |');
+    out.push('|----------|--------|----------------|');
+    for (const { name, page, tag, file } of tagMismatches) {
+      out.push(`| [\`${name}\`](../ssl/functions/${page}.mdx#${name}) | ${tag} | \`${file}\` |`);
+    }
+  }
+  out.push('');
+
+  return out.join('\n');
+}
+
+/**
+ * Print the report summary
+ */
+function printReport(coverage) {
+  const { summary, undocumented, unimplemented, tagMismatches } = coverage;
+  console.log(`Implemented SSL functions: ${summary.implemented}`);
+  console.log(`Documented functions: ${summary.documented}`);
+  console.log(`Coverage: ${summary.documentedImplemented}/${summary.implemented} (${summary.percent}%)`);
+  console.log(`  Implemented but undocumented: ${undocumented.length}`);
+  console.log(`  Documented but not implemented: ${unimplemented.length}`);
+  unimplemented.forEach(({ name, page }) => console.log(`    - ${name} (${page}.mdx)`));
+  console.log(`  Tag mismatches: ${tagMismatches.length}`);
+  tagMismatches.forEach(({ name, tag, origin }) => console.log(`    ~ ${name}: tagged ${tag}, implemented as ${origin}`));
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  const index = loadIndex('functions');
+  const defineIndex = fs.existsSync(DEFINE_INDEX_FILE) ? loadIndex('defines') : { defines: {} };
+  const macroNames = new Set([
+    ...HEADER_MACROS,
+    ...Object.entries(defineIndex.defines).filter(([, d]) => d.kind === 'macro').map(([name]) => name),
+  ]);
+
+  const coverage = buildCoverage(index, parseFunctionDocs(FUNCTIONS_DIR), macroNames);
+  printReport(coverage);
+
+  if (dryRun) {
+    console.log('\nDry run complete. No files written.');
+    return;
+  }
+
+  fs.writeFileSync(JSON_OUTPUT, JSON.stringify(coverage, null, 2));
+  fs.writeFileSync(MDX_OUTPUT, renderMdx(coverage));
+  console.log(`\nWrote ${path.relative(process.cwd(), JSON_OUTPUT)}`);
+  console.log(`Wrote ${path.relative(process.cwd(), MDX_OUTPUT)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildCoverage,
+  renderMdx,
+};
@@ -1,18 +1,23 @@
 #!/usr/bin/env node
 /**
- * Generates a define index JSON from Fallout2 Restoration Project's define.h
+ * Generates a define index JSON from Fallout2 Restoration Project's headers
  *
  * This script:
- * 1. Fetches define.h from GitHub (BGforgeNet/Fallout2_Restoration_Project)
- * 2. Parses #define statements with regex
+ * 1. Reads the headers from a local checkout (--repo-path) or fetches them
+ *    from GitHub (BGforgeNet/Fallout2_Restoration_Project)
+ * 2. Parses #define statements with regex, including function-like macros
  * 3. Tracks known prefixes (PERK_, TRAIT_, STAT_, SKILL_, etc.)
- * 4. Records line numbers and values
+ * 4. Records source file, line numbers and values; resolves integer
+ *    expressions (including references to other defines) to numbers
  * 5. Outputs JSON index pinned to specific commit
  *
  * Usage:
  *   node scripts/generate-define-index.js [options]
  *
  * Options:
+ *   --repo-path <path>  Path to a local Restoration Project checkout (offline mode)
+ *   --headers <list>    Comma-separated header paths relative to the repo root
+ *                       (default: define.h, sfall.h, command.h, ModReact.h)
  *   --yes, -y           Auto-confirm changes without prompting
  *   --dry-run           Show what would change without writing
  */
@@ -20,11 +25,20 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
-const readline = require('readline');
+const { execSync } = require('child_process');
+const { DATA_DIR, INDICES, askConfirmation, compareIndices, printChanges, hasChanges } = require('./lib/indices');
 
 const REPO = 'BGforgeNet/Fallout2_Restoration_Project';
-const FILE_PATH = 'scripts_src/headers/define.h';
-const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'data', 'define-index.json');
+const HEADERS_DIR = 'scripts_src/headers';
+
+// Headers indexed by default, in priority order (first definition wins)
+const DEFAULT_HEADERS = [
+  `${HEADERS_DIR}/define.h`,
+  `${HEADERS_DIR}/sfall/sfall.h`,
+  `${HEADERS_DIR}/command.h`,
+  `${HEADERS_DIR}/ModReact.h`,
+];
+const OUTPUT_FILE = path.join(DATA_DIR, INDICES.defines.file);
 
 // Known prefixes for categorization
 const KNOWN_PREFIXES = [
@@ -65,6 +79,11 @@ const KNOWN_PREFIXES = [
 // Also handles: #define NAME (expression)
 const DEFINE_PATTERN = /^#define\s+([A-Za-z_][A-Za-z0-9_]*)\s+(.+?)(?:\s*\/\/.*)?$/;
 
+// Pattern for function-like macros
+// Matches: #define name(a, b) body
+// The parameter list must follow the name directly (no whitespace), as in C
+const MACRO_PATTERN = /^#define\s+([A-Za-z_][A-Za-z0-9_]*)\(([^)]*)\)\s*([\s\S]*)$/;
+
 /**
  * Fetch file content from GitHub raw URL
  */
@@ -141,6 +160,29 @@ function getLatestCommit(repo, filePath) {
   });
 }
 
+/**
+ * Get the current commit of a local checkout
+ */
+function getLocalCommit(repoPath) {
+  try {
+    const sha = execSync('git rev-parse HEAD', { cwd: repoPath, encoding: 'utf-8' }).trim();
+    const date = execSync('git log -1 --format=%cI', { cwd: repoPath, encoding: 'utf-8' }).trim();
+    return { sha, shortSha: sha.substring(0, 7), date };
+  } catch (e) {
+    console.error('Failed to get commit hash:', e.message);
+    return { sha: 'main', shortSha: 'main', date: null };
+  }
+}
+
+/**
+ * Read header content from a local checkout
+ */
+function readLocalHeader(repoPath, filePath) {
+  const fullPath = path.join(repoPath, filePath);
+  console.log(`Reading: ${fullPath}`);
+  return fs.readFileSync(fullPath, 'utf-8');
+}
+
 /**
  * Determine the prefix category for a define name
  */
@@ -154,163 +196,362 @@ function getPrefix(name) {
 }
 
 /**
- * Parse define.h content and extract defines
+ * Remove // and /* *\/ comments from a line, leaving string literals intact
  */
-function parseDefines(content) {
+function stripComments(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\' && i + 1 < text.length) {
+        result += text[++i];
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      break;
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) break;
+      result += ' ';
+      i = end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result.trimEnd();
+}
+
+/**
+ * Parse header content and extract defines
+ * Each entry records the header it came from (path relative to repo root).
+ * Function-like macros are indexed with their parameter list and body;
+ * backslash-continued lines are joined, keeping the line breaks in the body.
+ */
+function parseDefines(content, file) {
   const lines = content.split('\n');
   const defines = {};
 
-  lines.forEach((line, index) => {
+  for (let index = 0; index < lines.length; index++) {
     const lineNum = index + 1; // 1-indexed
-    const trimmed = line.trim();
+    const trimmed = lines[index].trim();
 
     // Skip empty lines, comments, and preprocessor directives other than #define
     if (!trimmed.startsWith('#define')) {
-      return;
+      continue;
     }
 
-    const match = trimmed.match(DEFINE_PATTERN);
-    if (match) {
-      const name = match[1];
-      let value = match[2].trim();
-
-      // Clean up value - remove trailing comments
-      const commentIdx = value.indexOf('//');
-      if (commentIdx !== -1) {
-        value = value.substring(0, commentIdx).trim();
-      }
+    // Join continuation lines (trailing backslash)
+    const parts = [];
+    let current = lines[index].replace(/\r$/, '');
+    while (/\\\s*$/.test(current) && index + 1 < lines.length) {
+      parts.push(stripComments(current.replace(/\\\s*$/, '')));
+      index++;
+      current = lines[index].replace(/\r$/, '');
+    }
+    parts.push(stripComments(current));
+    const endLine = index + 1;
+    const text = parts.join('\n').trim();
+
+    const macroMatch = text.match(MACRO_PATTERN);
+    const match = macroMatch || text.replace(/\s*\n\s*/g, ' ').match(DEFINE_PATTERN);
+    if (!match) {
+      continue;
+    }
 
-      // Skip function-like macros (those with parentheses in the name)
-      if (name.includes('(')) {
-        return;
-      }
+    const name = match[1];
 
-      // Skip internal/private defines (starting with underscore typically)
-      if (name.startsWith('_')) {
-        return;
-      }
+    // Skip internal/private defines (starting with underscore typically)
+    if (name.startsWith('_')) {
+      continue;
+    }
 
+    if (macroMatch) {
+      const params = macroMatch[2].split(',').map(p => p.trim()).filter(Boolean);
       defines[name] = {
+        file: file,
         line: lineNum,
-        value: value,
+        endLine: endLine,
+        kind: 'macro',
+        params: params,
+        value: dedent(macroMatch[3]),
+        prefix: getPrefix(name),
+      };
+    } else {
+      defines[name] = {
+        file: file,
+        line: lineNum,
+        kind: 'constant',
+        value: match[2].trim(),
         prefix: getPrefix(name),
       };
     }
-  });
+  }
 
   return defines;
 }
 
 /**
- * Ask user for confirmation
+ * Remove common leading indentation from a multi-line macro body
  */
-function askConfirmation(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      rl.close();
-      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
-    });
-  });
+function dedent(body) {
+  const lines = body.split('\n');
+  const rest = lines.slice(1).filter(l => l.trim() !== '');
+  const indent = Math.min(...rest.map(l => l.match(/^\s*/)[0].length));
+  return lines
+    .map((l, i) => (i === 0 || !Number.isFinite(indent) ? l : l.slice(indent)).trimEnd())
+    .join('\n')
+    .trim();
 }
 
 /**
- * Compare two indices and return changes
+ * Split an integer expression into tokens
+ * Returns null if the expression contains anything that is not an integer
+ * literal, identifier, operator or parenthesis (e.g. strings).
  */
-function compareIndices(oldIndex, newIndex) {
-  const changes = {
-    added: [],
-    removed: [],
-    modified: [],
-    commitChanged: false,
-  };
+function tokenizeExpression(expr) {
+  const tokens = [];
+  const pattern = /\s*(0[xX][0-9a-fA-F]+|\d+|[A-Za-z_][A-Za-z0-9_]*|<<|>>|<=|>=|==|!=|&&|\|\||[-+*\/%&|^~!<>()])/y;
+  let pos = 0;
+
+  while (pos < expr.length) {
+    if (/^\s*$/.test(expr.slice(pos))) break;
+    pattern.lastIndex = pos;
+    const match = pattern.exec(expr);
+    if (!match) return null;
+    tokens.push(match[1]);
+    pos = pattern.lastIndex;
+  }
+
+  return tokens;
+}
 
-  const oldDefines = oldIndex.defines || {};
-  const newDefines = newIndex.defines || {};
+// SSL spells bitwise and logical operators as words
+const WORD_OPERATORS = {
+  bwand: '&',
+  bwor: '|',
+  bwxor: '^',
+  bwnot: '~',
+  and: '&&',
+  or: '||',
+  not: '!',
+};
+
+// Binary operator precedence levels, lowest first (C rules)
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['|'],
+  ['^'],
+  ['&'],
+  ['==', '!='],
+  ['<', '>', '<=', '>='],
+  ['<<', '>>'],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
 
-  // Check for commit change
-  if (oldIndex._meta?.shortCommit !== newIndex._meta?.shortCommit) {
-    changes.commitChanged = true;
-    changes.oldCommit = oldIndex._meta?.shortCommit || 'none';
-    changes.newCommit = newIndex._meta?.shortCommit;
+/**
+ * Apply a binary operator with 32-bit integer semantics
+ */
+function applyBinary(op, a, b) {
+  switch (op) {
+    case '||': return (a || b) ? 1 : 0;
+    case '&&': return (a && b) ? 1 : 0;
+    case '|': return a | b;
+    case '^': return a ^ b;
+    case '&': return a & b;
+    case '==': return a === b ? 1 : 0;
+    case '!=': return a !== b ? 1 : 0;
+    case '<': return a < b ? 1 : 0;
+    case '>': return a > b ? 1 : 0;
+    case '<=': return a <= b ? 1 : 0;
+    case '>=': return a >= b ? 1 : 0;
+    case '<<': return a << b;
+    case '>>': return a >> b;
+    case '+': return (a + b) | 0;
+    case '-': return (a - b) | 0;
+    case '*': return Math.imul(a, b);
+    case '/':
+      if (b === 0) throw new Error('division by zero');
+      return (a / b) | 0;
+    case '%':
+      if (b === 0) throw new Error('division by zero');
+      return a % b;
+    default:
+      throw new Error(`unknown operator ${op}`);
   }
+}
 
-  // Find added and modified
-  for (const [name, newInfo] of Object.entries(newDefines)) {
-    const oldInfo = oldDefines[name];
-    if (!oldInfo) {
-      changes.added.push(name);
-    } else if (
-      oldInfo.line !== newInfo.line ||
-      oldInfo.value !== newInfo.value
-    ) {
-      changes.modified.push({
-        name,
-        old: oldInfo,
-        new: newInfo,
-      });
+/**
+ * Evaluate an integer expression
+ * resolveName(name) returns the numeric value of another define, or throws.
+ */
+function evaluateExpression(expr, resolveName) {
+  const tokens = tokenizeExpression(expr);
+  if (!tokens || tokens.length === 0) {
+    throw new Error('not an integer expression');
+  }
+  const normalized = tokens.map(t => WORD_OPERATORS[t] || t);
+  let pos = 0;
+
+  function parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) {
+      return parseUnary();
+    }
+    let left = parseBinary(level + 1);
+    while (pos < normalized.length && BINARY_PRECEDENCE[level].includes(normalized[pos])) {
+      const op = normalized[pos++];
+      const right = parseBinary(level + 1);
+      left = applyBinary(op, left, right);
     }
+    return left;
   }
 
-  // Find removed
-  for (const name of Object.keys(oldDefines)) {
-    if (!newDefines[name]) {
-      changes.removed.push(name);
+  function parseUnary() {
+    const token = normalized[pos];
+    if (token === '-') { pos++; return (-parseUnary()) | 0; }
+    if (token === '+') { pos++; return parseUnary(); }
+    if (token === '~') { pos++; return ~parseUnary(); }
+    if (token === '!') { pos++; return parseUnary() ? 0 : 1; }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = normalized[pos++];
+    if (token === undefined) {
+      throw new Error('unexpected end of expression');
     }
+    if (token === '(') {
+      const value = parseBinary(0);
+      if (normalized[pos++] !== ')') {
+        throw new Error('missing )');
+      }
+      return value;
+    }
+    if (/^0[xX]/.test(token)) {
+      return parseInt(token, 16) | 0;
+    }
+    if (/^0[0-7]+$/.test(token)) {
+      return parseInt(token, 8) | 0;
+    }
+    if (/^\d+$/.test(token)) {
+      return parseInt(token, 10) | 0;
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      if (normalized[pos] === '(') {
+        throw new Error(`call to ${token}`);
+      }
+      return resolveName(token);
+    }
+    throw new Error(`unexpected token ${token}`);
   }
 
-  return changes;
+  const value = parseBinary(0);
+  if (pos !== normalized.length) {
+    throw new Error(`unexpected token ${normalized[pos]}`);
+  }
+  return value;
 }
 
 /**
- * Print changes summary
+ * Resolve constant define values to numbers
+ * Sets numericValue on every constant whose value is an integer expression
+ * over literals and other defines; flags the rest with unresolved: true.
+ * Function-like macros are left alone.
  */
-function printChanges(changes) {
-  console.log('\n' + '='.repeat(60));
-  console.log('CHANGES DETECTED');
-  console.log('='.repeat(60));
-
-  if (changes.commitChanged) {
-    console.log(`\nCommit: ${changes.oldCommit} -> ${changes.newCommit}`);
-  }
-
-  if (changes.added.length > 0) {
-    console.log(`\n+ ADDED (${changes.added.length}):`);
-    changes.added.slice(0, 20).forEach(name => console.log(`  + ${name}`));
-    if (changes.added.length > 20) {
-      console.log(`  ... and ${changes.added.length - 20} more`);
+function evaluateDefines(defines) {
+  const cache = {};
+  const resolving = new Set();
+
+  function resolve(name) {
+    if (name in cache) {
+      if (cache[name] === null) throw new Error(`${name} is not numeric`);
+      return cache[name];
+    }
+    const info = defines[name];
+    if (!info || info.kind === 'macro') {
+      throw new Error(`unknown define ${name}`);
+    }
+    if (resolving.has(name)) {
+      throw new Error(`circular reference through ${name}`);
     }
-  }
 
-  if (changes.removed.length > 0) {
-    console.log(`\n- REMOVED (${changes.removed.length}):`);
-    changes.removed.slice(0, 20).forEach(name => console.log(`  - ${name}`));
-    if (changes.removed.length > 20) {
-      console.log(`  ... and ${changes.removed.length - 20} more`);
+    resolving.add(name);
+    try {
+      cache[name] = evaluateExpression(info.value, resolve);
+    } catch (e) {
+      cache[name] = null;
+      throw e;
+    } finally {
+      resolving.delete(name);
     }
+    return cache[name];
   }
 
-  if (changes.modified.length > 0) {
-    console.log(`\n~ MODIFIED (${changes.modified.length}):`);
-    changes.modified.slice(0, 10).forEach(({ name, old, new: newInfo }) => {
-      console.log(`  ~ ${name}:`);
-      if (old.line !== newInfo.line) {
-        console.log(`      line: ${old.line} -> ${newInfo.line}`);
-      }
-      if (old.value !== newInfo.value) {
-        console.log(`      value: ${old.value} -> ${newInfo.value}`);
-      }
-    });
-    if (changes.modified.length > 10) {
-      console.log(`  ... and ${changes.modified.length - 10} more`);
+  let resolved = 0;
+  const unresolved = [];
+  for (const [name, info] of Object.entries(defines)) {
+    if (info.kind === 'macro') continue;
+    delete info.numericValue;
+    delete info.unresolved;
+    try {
+      info.numericValue = resolve(name);
+      resolved++;
+    } catch (e) {
+      info.unresolved = true;
+      unresolved.push(name);
     }
   }
 
-  console.log('\n' + '='.repeat(60));
+  return { resolved, unresolved };
+}
+
+/**
+ * Whether a define present in both indices changed
+ */
+function classifyDefine(oldInfo, newInfo) {
+  const changed =
+    oldInfo.file !== newInfo.file ||
+    oldInfo.line !== newInfo.line ||
+    oldInfo.value !== newInfo.value ||
+    oldInfo.numericValue !== newInfo.numericValue ||
+    oldInfo.kind !== newInfo.kind ||
+    (oldInfo.params || []).join(',') !== (newInfo.params || []).join(',');
+  return changed ? 'modified' : null;
+}
+
+/**
+ * Print the fields of a modified define that changed
+ */
+function printModified({ name, old, new: newInfo }) {
+  console.log(`  ~ ${name}:`);
+  if (old.file !== newInfo.file) {
+    console.log(`      file: ${old.file} -> ${newInfo.file}`);
+  }
+  if (old.line !== newInfo.line) {
+    console.log(`      line: ${old.line} -> ${newInfo.line}`);
+  }
+  if (old.value !== newInfo.value) {
+    console.log(`      value: ${old.value} -> ${newInfo.value}`);
+  }
+  if (old.numericValue !== newInfo.numericValue) {
+    const format = (value) => (value === undefined ? 'unresolved' : value);
+    console.log(`      numericValue: ${format(old.numericValue)} -> ${format(newInfo.numericValue)}`);
+  }
+  if (old.kind !== newInfo.kind) {
+    console.log(`      kind: ${old.kind} -> ${newInfo.kind}`);
+  }
+  if ((old.params || []).join(',') !== (newInfo.params || []).join(',')) {
+    console.log(`      params: (${(old.params || []).join(', ')}) -> (${(newInfo.params || []).join(', ')})`);
+  }
 }
 
 /**
@@ -318,46 +559,80 @@ function printChanges(changes) {
  */
 async function main() {
   const args = process.argv.slice(2);
+  let repoPath = null;
+  let headers = DEFAULT_HEADERS;
   let autoConfirm = false;
   let dryRun = false;
 
   // Parse arguments
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--yes' || args[i] === '-y') {
+    if (args[i] === '--repo-path' && args[i + 1]) {
+      repoPath = args[i + 1];
+      i++;
+    } else if (args[i] === '--headers' && args[i + 1]) {
+      headers = args[i + 1].split(',').map(h => h.trim()).filter(Boolean);
+      i++;
+    } else if (args[i] === '--yes' || args[i] === '-y') {
       autoConfirm = true;
     } else if (args[i] === '--dry-run') {
       dryRun = true;
     }
   }
 
-  console.log(`Repository: ${REPO}`);
-  console.log(`File: ${FILE_PATH}`);
+  console.log(`Repository: ${repoPath || REPO}`);
+  console.log(`Headers: ${headers.join(', ')}`);
   if (dryRun) console.log('DRY RUN - no files will be written');
 
-  // Get latest commit info
+  // Get commit info
   let commitInfo;
-  try {
-    commitInfo = await getLatestCommit(REPO, FILE_PATH);
-    console.log(`Latest commit: ${commitInfo.sha} (${commitInfo.shortSha})`);
-    console.log(`Commit date: ${commitInfo.date}`);
-  } catch (e) {
-    console.error('Failed to get latest commit:', e.message);
-    console.log('Using "main" branch instead');
-    commitInfo = { sha: 'main', shortSha: 'main', date: null };
+  if (repoPath) {
+    commitInfo = getLocalCommit(repoPath);
+  } else {
+    try {
+      commitInfo = await getLatestCommit(REPO, HEADERS_DIR);
+    } catch (e) {
+      console.error('Failed to get latest commit:', e.message);
+      console.log('Using "main" branch instead');
+      commitInfo = { sha: 'main', shortSha: 'main', date: null };
+    }
   }
+  console.log(`Commit: ${commitInfo.sha} (${commitInfo.shortSha})`);
+  if (commitInfo.date) console.log(`Commit date: ${commitInfo.date}`);
 
-  // Fetch file content
-  let content;
-  try {
-    content = await fetchFromGitHub(REPO, FILE_PATH, commitInfo.sha);
-  } catch (e) {
-    console.error('Failed to fetch file:', e.message);
-    process.exit(1);
-  }
+  // Read and parse each header; the first definition of a name wins
+  const defines = {};
+  for (const header of headers) {
+    let content;
+    try {
+      content = repoPath
+        ? readLocalHeader(repoPath, header)
+        : await fetchFromGitHub(REPO, header, commitInfo.sha);
+    } catch (e) {
+      console.error(`Failed to read ${header}:`, e.message);
+      process.exit(1);
+    }
 
-  // Parse defines
-  const defines = parseDefines(content);
-  console.log(`Found ${Object.keys(defines).length} defines`);
+    const headerDefines = parseDefines(content, header);
+    let skipped = 0;
+    for (const [name, info] of Object.entries(headerDefines)) {
+      if (defines[name]) {
+        skipped++;
+        continue;
+      }
+      defines[name] = info;
+    }
+    console.log(`  ${header}: ${Object.keys(headerDefines).length} defines` +
+      (skipped > 0 ? ` (${skipped} already defined earlier)` : ''));
+  }
+  const macroCount = Object.values(defines).filter(d => d.kind === 'macro').length;
+  console.log(`Found ${Object.keys(defines).length} defines (${macroCount} function-like macros)`);
+
+  // Resolve values to numbers
+  const { resolved, unresolved } = evaluateDefines(defines);
+  console.log(`Resolved ${resolved} numeric values, ${unresolved.length} could not be evaluated`);
+  if (unresolved.length > 0) {
+    console.log(`  e.g. ${unresolved.slice(0, 10).join(', ')}${unresolved.length > 10 ? ', ...' : ''}`);
+  }
 
   // Count by prefix
   const prefixCounts = {};
@@ -375,11 +650,12 @@ async function main() {
   const index = {
     _meta: {
       repo: REPO,
-      file: FILE_PATH,
+      files: headers,
       commit: commitInfo.sha,
       shortCommit: commitInfo.shortSha,
       generatedAt: new Date().toISOString(),
       defineCount: Object.keys(defines).length,
+      macroCount: macroCount,
     },
     defines: defines,
   };
@@ -399,19 +675,15 @@ async function main() {
   }
 
   // Compare indices
-  const changes = compareIndices(existingIndex, index);
-  const hasChanges = changes.added.length > 0 ||
-                     changes.removed.length > 0 ||
-                     changes.modified.length > 0 ||
-                     changes.commitChanged;
+  const changes = compareIndices(existingIndex, index, { entries: 'defines', classify: classifyDefine });
 
-  if (!hasChanges) {
+  if (!hasChanges(changes)) {
     console.log('\nNo changes detected. Index is up to date.');
     return;
   }
 
   // Print changes
-  printChanges(changes);
+  printChanges(changes, [{ key: 'modified', title: '~ MODIFIED', print: printModified }]);
 
   // Summary
   console.log(`\nSummary:`);
@@ -436,7 +708,15 @@ async function main() {
   }
 }
 
-main().catch(e => {
-  console.error('Error:', e);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(e => {
+    console.error('Error:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseDefines,
+  evaluateExpression,
+  evaluateDefines,
+};
@@ -5,9 +5,19 @@
  * This script:
  * 1. Clones/updates fallout2-ce repository (or uses existing)
  * 2. Parses C++ source files for SSL opcode implementations
- * 3. Extracts function locations (file, line numbers)
- * 4. Detects duplicate SSL entries (multiple names for same C++ implementation)
- * 5. Shows diff and asks for confirmation before updating
+ * 3. Extracts function locations (file, line numbers) and their source
+ * 4. Infers SSL signatures (arity, argument and return types) from the
+ *    interpreter stack calls in each opcode handler
+ * 5. Names vanilla metarule cases from the RP headers (via define-index.json)
+ *    and sfall metarules from fallout2-ce's registration table
+ * 6. Resolves registered opcodes to their numbers (enum Opcode / #define OPCODE_*)
+ * 7. Optionally walks release tags to record the version each SSL entry
+ *    appeared in (sinceVersion) and was removed in (removedIn); without
+ *    --versions, the existing index's version data is kept
+ * 8. Detects duplicate SSL entries (multiple names for same C++ implementation)
+ * 9. Shows diff (moved vs implementation changed, via a normalized body hash)
+ *    and asks for confirmation before updating
+ * 10. Writes the engine changelog page for the previous -> current commit
  *
  * Usage:
  *   node scripts/generate-function-index.js [options]
@@ -17,15 +27,24 @@
  *   --yes, -y           Auto-confirm changes without prompting
  *   --dry-run           Show what would change without writing
  *   --validate          Check existing function-index.json for duplicates
+ *   --versions <tags>   Comma-separated release tags, oldest first, or "all"
+ *   --max-source-lines <n>
+ *                       Truncate stored implementation sources to n lines
+ *                       (0: store no sources)
  */
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
-const readline = require('readline');
-
-const REPO_URL = 'https://github.com/fallout2-ce/fallout2-ce.git';
-const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'data', 'function-index.json');
+const { tokenize, findFunctionEnd, firstTokenAtLine, findMatchingBrace } = require('./lib/cpp-lexer');
+const { DATA_DIR, INDICES, loadIndex, askConfirmation, compareIndices, printChanges, hasChanges } = require('./lib/indices');
+const {
+  DEFAULT_REPO_PATH, getCommitHash, getShortCommitHash, ensureRepo, fetchTags, findSourceFiles,
+} = require('./lib/source-repo');
+const OUTPUT_FILE = path.join(DATA_DIR, INDICES.functions.file);
+const CHANGELOG_FILE = path.join(__dirname, '..', 'docs', 'compatibility', 'engine-changelog.mdx');
 
 // Patterns for finding SSL opcode implementations
 const OPCODE_PATTERNS = [
@@ -58,8 +77,26 @@ const OPCODE_REGISTER_PATTERN = /interpreterRegisterOpcode\s*\(\s*(\w+)\s*,\s*(_
 const SSL_COMMENT_PATTERN = /^\/\/\s*([a-z][a-z0-9_]*)/;
 
 // Pattern for #define OPCODE_NAME value
+// Opcodes declared in `enum Opcode { OPCODE_NAME = 0x8000, ... }` are read with the lexer
 const OPCODE_DEFINE_PATTERN = /^#define\s+(OPCODE_[A-Z_0-9]+)\s+(\d+|0x[0-9a-fA-F]+)/;
 
+// Interpreter stack calls used by opcode handlers, mapped to SSL types
+// Handlers pop their arguments last-to-first and push the return value
+const STACK_POP_TYPES = {
+  programStackPopInteger: 'int',
+  programStackPopFloat: 'float',
+  programStackPopString: 'string',
+  programStackPopPointer: 'ObjectPtr',
+  programStackPopValue: 'any',
+};
+const STACK_PUSH_TYPES = {
+  programStackPushInteger: 'int',
+  programStackPushFloat: 'float',
+  programStackPushString: 'string',
+  programStackPushPointer: 'ObjectPtr',
+  programStackPushValue: 'any',
+};
+
 // Additional patterns for common script functions
 const SCRIPT_FUNCTION_PATTERNS = [
   // scriptPredefinedProcedure_ functions
@@ -68,38 +105,16 @@ const SCRIPT_FUNCTION_PATTERNS = [
   /^(?:static\s+)?(?:int|void|bool)\s+(builtin[A-Z][a-zA-Z0-9_]*)\s*\(/,
 ];
 
-// Metarule SSL function name mappings
-// These are SSL functions implemented as cases in opMetarule, not as separate functions
-// The SSL names are defined in the SSL compiler, not in the C++ source
-const METARULE_SSL_NAMES = {
-  'METARULE_SIGNAL_END_GAME': 'signal_end_game',
-  'METARULE_FIRST_RUN': 'map_first_run',
-  'METARULE_ELEVATOR': 'elevator', // Note: elevator is typically used differently
-  'METARULE_PARTY_COUNT': 'party_member_count',
-  'METARULE_AREA_KNOWN': 'town_known',
-  'METARULE_WHO_ON_DRUGS': 'drug_influence',
-  'METARULE_MAP_KNOWN': 'map_is_known',
-  'METARULE_IS_LOADGAME': 'is_loading_game',
-  'METARULE_CAR_CURRENT_TOWN': 'car_current_town',
-  'METARULE_GIVE_CAR_TO_PARTY': 'car_give_to_party',
-  'METARULE_GIVE_CAR_GAS': 'car_give_gas',
-  'METARULE_SKILL_CHECK_TAG': 'is_skill_tagged',
-  'METARULE_DROP_ALL_INVEN': 'obj_drop_everything',
-  'METARULE_INVEN_UNWIELD_WHO': 'inven_unwield',
-  'METARULE_GET_WORLDMAP_XPOS': 'world_map_x_pos',
-  'METARULE_GET_WORLDMAP_YPOS': 'world_map_y_pos',
-  'METARULE_CURRENT_TOWN': 'cur_town',
-  'METARULE_LANGUAGE_FILTER': 'language_filter_is_on',
-  'METARULE_VIOLENCE_FILTER': 'violence_level_setting',
-  'METARULE_WEAPON_DAMAGE_TYPE': 'weapon_damage_type',
-  'METARULE_CRITTER_BARTERS': 'critter_barters',
-  'METARULE_CRITTER_KILL_TYPE': 'critter_kill_type',
-  'METARULE_SET_CAR_CARRY_AMOUNT': 'set_car_carry_amount',
-  'METARULE_GET_CAR_CARRY_AMOUNT': 'get_car_carry_amount',
-};
+// Define index of the Restoration Project headers (see generate-define-index.js)
+// Vanilla metarule SSL names come from its `name metarule(METARULE_X, ...)` defines
+const DEFINE_INDEX_FILE = path.join(DATA_DIR, INDICES.defines.file);
+
+// Pattern for #define METARULE_NAME value
+const METARULE_DEFINE_PATTERN = /^#define\s+(METARULE_[A-Z_0-9]+)\s+(\d+|0x[0-9a-fA-F]+)/;
 
-// Pattern to find metarule case statements
-const METARULE_CASE_PATTERN = /^\s*case\s+(METARULE_[A-Z_]+)\s*:/;
+// Pattern for a define/macro body that calls a vanilla metarule
+// Matches: metarule(METARULE_TEST_FIRSTRUN, 0)
+const METARULE_CALL_PATTERN = /^\(?\s*metarule\s*\(\s*([A-Za-z_][A-Za-z0-9_]*)\s*,/;
 
 // Override mappings for functions with WRONG comments in source code
 // These override the comment-derived SSL name (not function name mismatches)
@@ -113,109 +128,23 @@ const SSL_COMMENT_OVERRIDES = {
   '_op_gdialog_barter': 'gdialog_mod_barter',  // Comment says "gdialog_barter" but SSL uses "gdialog_mod_barter"
 };
 
-/**
- * Get the current commit hash of a repository
- */
-function getCommitHash(repoPath) {
-  try {
-    return execSync('git rev-parse HEAD', { cwd: repoPath, encoding: 'utf-8' }).trim();
-  } catch (e) {
-    console.error('Failed to get commit hash:', e.message);
-    return 'main';
-  }
-}
-
-/**
- * Get the short commit hash
- */
-function getShortCommitHash(repoPath) {
-  try {
-    return execSync('git rev-parse --short HEAD', { cwd: repoPath, encoding: 'utf-8' }).trim();
-  } catch (e) {
-    return 'main';
-  }
-}
-
-/**
- * Clone or update the repository
- */
-function ensureRepo(targetPath) {
-  if (fs.existsSync(path.join(targetPath, '.git'))) {
-    console.log('Repository exists, fetching latest...');
-    try {
-      execSync('git fetch origin', { cwd: targetPath, stdio: 'inherit' });
-      execSync('git checkout main', { cwd: targetPath, stdio: 'inherit' });
-      execSync('git pull origin main', { cwd: targetPath, stdio: 'inherit' });
-    } catch (e) {
-      console.warn('Failed to update repository, using existing state');
-    }
-  } else {
-    console.log('Cloning repository...');
-    fs.mkdirSync(targetPath, { recursive: true });
-    execSync(`git clone --depth 1 ${REPO_URL} ${targetPath}`, { stdio: 'inherit' });
-  }
-}
-
-/**
- * Find all C/C++ source files in a directory
- */
-function findSourceFiles(dir, extensions = ['.c', '.cc', '.cpp', '.h', '.hpp']) {
-  const results = [];
-
-  function walk(currentDir) {
-    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
-      if (entry.isDirectory() && !entry.name.startsWith('.')) {
-        walk(fullPath);
-      } else if (entry.isFile() && extensions.some(ext => entry.name.endsWith(ext))) {
-        results.push(fullPath);
-      }
-    }
-  }
-
-  walk(dir);
-  return results;
-}
-
-/**
- * Find function boundaries in a file
- * Returns the end line of a function starting at startLine
- */
-function findFunctionEnd(lines, startLine) {
-  let braceCount = 0;
-  let foundOpenBrace = false;
-
-  for (let i = startLine; i < lines.length; i++) {
-    const line = lines[i];
-
-    for (const char of line) {
-      if (char === '{') {
-        braceCount++;
-        foundOpenBrace = true;
-      } else if (char === '}') {
-        braceCount--;
-        if (foundOpenBrace && braceCount === 0) {
-          return i + 1; // 1-indexed
-        }
-      }
-    }
-  }
-
-  // If we can't find the end, return a reasonable default
-  return Math.min(startLine + 50, lines.length);
-}
-
 /**
  * Parse a source file for function definitions
  * Also extracts SSL names from comments above functions (e.g., "// self_obj")
+ *
+ * Function ends are found with the C/C++ lexer, so braces in strings, char
+ * literals and comments are ignored. Prototypes are skipped; definitions
+ * whose closing brace cannot be found are returned in `unresolved` instead
+ * of being indexed with a guessed range.
  */
 function parseSourceFile(filePath, repoPath) {
   const content = fs.readFileSync(filePath, 'utf-8');
   const lines = content.split('\n');
+  const tokens = tokenize(content);
   const relativePath = path.relative(repoPath, filePath).replace(/\\/g, '/');
   const functions = {};
   const sslNamesFromComments = {}; // funcName -> sslName
+  const unresolved = []; // { name, file, startLine }
 
   lines.forEach((line, index) => {
     const lineNum = index + 1; // 1-indexed
@@ -225,13 +154,24 @@ function parseSourceFile(filePath, repoPath) {
       const match = line.match(pattern);
       if (match) {
         const funcName = match[1];
-        const endLine = findFunctionEnd(lines, index);
+        const end = findFunctionEnd(tokens, lineNum);
+        if (!end) {
+          unresolved.push({ name: funcName, file: relativePath, startLine: lineNum });
+          continue;
+        }
+        if (end.declaration) {
+          continue;
+        }
         functions[funcName] = {
           file: relativePath,
           startLine: lineNum,
-          endLine: endLine,
+          endLine: end.endLine,
           kind: 'opcode',
+          bodyHash: hashTokens(tokens, end.openIndex, end.closeIndex + 1),
         };
+        if (!funcName.startsWith('mf_')) {
+          functions[funcName].signature = inferSignature(tokens, end.openIndex, end.closeIndex);
+        }
 
         // Check the lines above for an SSL name comment (e.g., "// self_obj")
         // May need to look past hex address comments like "// 0x455600"
@@ -256,19 +196,92 @@ function parseSourceFile(filePath, repoPath) {
       if (match) {
         const funcName = match[1];
         if (!functions[funcName]) {
-          const endLine = findFunctionEnd(lines, index);
+          const end = findFunctionEnd(tokens, lineNum);
+          if (!end) {
+            unresolved.push({ name: funcName, file: relativePath, startLine: lineNum });
+            continue;
+          }
+          if (end.declaration) {
+            continue;
+          }
           functions[funcName] = {
             file: relativePath,
             startLine: lineNum,
-            endLine: endLine,
+            endLine: end.endLine,
             kind: 'function',
+            bodyHash: hashTokens(tokens, end.openIndex, end.closeIndex + 1),
           };
         }
       }
     }
   });
 
-  return { functions, sslNamesFromComments };
+  return { functions, sslNamesFromComments, unresolved };
+}
+
+/**
+ * Hash the tokens in [start, end) with comments dropped and whitespace
+ * collapsed, so moving or reformatting a function keeps its hash
+ */
+function hashTokens(tokens, start, end) {
+  const normalized = tokens.slice(start, end)
+    .filter(token => token.type !== 'comment')
+    .map(token => token.value.replace(/\s+/g, ' '))
+    .join(' ');
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Infer the SSL signature of an opcode handler from its interpreter stack calls
+ * Arguments are popped in reverse order, so the pop sequence is reversed.
+ * The signature is marked `uncertain` when pops happen inside loops or nested
+ * blocks, or several values are pushed unconditionally, since counting calls
+ * then no longer gives the arity.
+ */
+function inferSignature(tokens, openIndex, closeIndex) {
+  const pops = [];
+  const pushTypes = new Set();
+  let unconditionalPushes = 0;
+  let uncertain = false;
+  let depth = 0;
+  let sawLoop = false;
+
+  for (let i = openIndex + 1; i < closeIndex; i++) {
+    const token = tokens[i];
+    if (token.inactive) {
+      continue;
+    }
+    if (token.type === 'punct') {
+      if (token.value === '{') depth++;
+      if (token.value === '}') depth--;
+      continue;
+    }
+    if (token.type !== 'ident') {
+      continue;
+    }
+    if (token.value === 'for' || token.value === 'while' || token.value === 'do') {
+      sawLoop = true;
+    } else if (STACK_POP_TYPES[token.value]) {
+      pops.push(STACK_POP_TYPES[token.value]);
+      if (depth > 0 || sawLoop) uncertain = true;
+    } else if (STACK_PUSH_TYPES[token.value]) {
+      pushTypes.add(STACK_PUSH_TYPES[token.value]);
+      if (depth === 0) unconditionalPushes++;
+    }
+  }
+
+  if (unconditionalPushes > 1) uncertain = true;
+
+  let returns = 'void';
+  if (pushTypes.size === 1) {
+    returns = [...pushTypes][0];
+  } else if (pushTypes.size > 1) {
+    returns = 'any';
+  }
+
+  const signature = { args: pops.reverse(), returns };
+  if (uncertain) signature.uncertain = true;
+  return signature;
 }
 
 /**
@@ -298,81 +311,268 @@ function parseOpcodeRegistrations(filePath, repoPath) {
   return { mappings, sslNames };
 }
 
+/**
+ * Parse numeric constant definitions
+ * Handles `#define NAME 0x8000` lines matching `definePattern` and enum members
+ * (`NAME = 0x8000,` with implicit increments for members without a value)
+ * whose names match `namePattern`. Returns { NAME: number }.
+ */
+function parseConstantDefinitions(filePath, definePattern, namePattern) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const values = {};
+
+  for (const line of content.split('\n')) {
+    const match = line.trim().match(definePattern);
+    if (match) {
+      values[match[1]] = parseInt(match[2]);
+    }
+  }
+
+  const tokens = tokenize(content);
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].value !== 'enum' || tokens[i].type !== 'ident') continue;
+
+    // Find the enum body; skip forward declarations
+    let open = i + 1;
+    while (open < tokens.length && tokens[open].value !== '{' && tokens[open].value !== ';') open++;
+    if (tokens[open]?.value !== '{') continue;
+    const close = findMatchingBrace(tokens, open);
+    if (close === -1) continue;
+
+    let next = 0;
+    for (let j = open + 1; j < close; j++) {
+      const token = tokens[j];
+      if (token.type !== 'ident') continue;
+      let value = next;
+      let k = j + 1;
+      if (tokens[k]?.value === '=') {
+        const literal = tokens[k + 1];
+        if (literal?.type !== 'number' || tokens[k + 2]?.value !== ',' && k + 2 !== close) {
+          // Not a plain literal: skip to the next member without recording
+          while (k < close && tokens[k].value !== ',') k++;
+          j = k;
+          next = NaN;
+          continue;
+        }
+        value = parseInt(literal.value);
+        k += 2;
+      }
+      if (namePattern.test(token.value) && Number.isFinite(value)) {
+        values[token.value] = value;
+      }
+      next = value + 1;
+      j = k;
+    }
+    i = close;
+  }
+
+  return values;
+}
+
+/**
+ * Parse opcode number definitions (enum Opcode, #define OPCODE_*)
+ */
+function parseOpcodeDefinitions(filePath) {
+  return parseConstantDefinitions(filePath, OPCODE_DEFINE_PATTERN, /^OPCODE_[A-Z_0-9]+$/);
+}
+
+/**
+ * Parse vanilla metarule number definitions (enum Metarule, #define METARULE_*)
+ */
+function parseMetaruleDefinitions(filePath) {
+  return parseConstantDefinitions(filePath, METARULE_DEFINE_PATTERN, /^METARULE_[A-Z_0-9]+$/);
+}
+
+/**
+ * Match fallout2-ce METARULE_* constants to SSL names from the RP headers
+ *
+ * The Restoration Project defines script-facing names such as
+ * `#define map_first_run metarule(METARULE_TEST_FIRSTRUN, 0)`. Constant names
+ * differ between RP and fallout2-ce, so both sides are matched by number.
+ * Returns { METARULE_CE_NAME: sslName }.
+ */
+function loadMetaruleNames(metaruleValues) {
+  if (!fs.existsSync(DEFINE_INDEX_FILE)) {
+    console.warn(`Define index not found (${DEFINE_INDEX_FILE}); metarule cases will not be named`);
+    console.warn('Run `npm run generate-defines` first.');
+    return {};
+  }
+
+  let defines;
+  try {
+    defines = JSON.parse(fs.readFileSync(DEFINE_INDEX_FILE, 'utf-8')).defines || {};
+  } catch (e) {
+    console.warn(`Could not parse define index: ${e.message}`);
+    return {};
+  }
+
+  const ceNamesByValue = {};
+  for (const [name, value] of Object.entries(metaruleValues)) {
+    if (!(value in ceNamesByValue)) ceNamesByValue[value] = name;
+  }
+
+  const names = {};
+  for (const [sslName, info] of Object.entries(defines)) {
+    const match = info.value.match(METARULE_CALL_PATTERN);
+    if (!match) continue;
+    const number = defines[match[1]]?.numericValue;
+    const ceName = ceNamesByValue[number];
+    if (ceName && !names[ceName]) {
+      names[ceName] = sslName;
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Resolve a registered opcode (OPCODE_* name or numeric literal) to its number
+ */
+function resolveOpcode(opcode, opcodeValues) {
+  if (/^(?:0x[0-9a-fA-F]+|\d+)$/.test(opcode)) {
+    return parseInt(opcode);
+  }
+  return opcodeValues[opcode];
+}
+
 /**
  * Parse metarule case statements in opMetarule function
  * Returns entries for SSL functions implemented as metarule cases
+ *
+ * Each case runs until the `break` at the same nesting depth, or up to the
+ * last token before the next `case`/`default` label or the end of the switch.
  */
-function parseMetaruleCases(filePath, repoPath) {
+function parseMetaruleCases(filePath, repoPath, metaruleNames) {
   const content = fs.readFileSync(filePath, 'utf-8');
   const lines = content.split('\n');
+  const tokens = tokenize(content);
   const relativePath = path.relative(repoPath, filePath).replace(/\\/g, '/');
   const metaruleFunctions = {};
+  const unresolved = [];
+  const unnamed = []; // METARULE_* cases without an SSL name in the RP headers
 
   // Find opMetarule function
-  let inMetarule = false;
-  let braceCount = 0;
+  const startIndex = lines.findIndex(line =>
+    /^(?:static\s+)?void\s+opMetarule\s*\(\s*(?:fallout::)?Program\s*\*\s*\w+\s*\)/.test(line));
+  if (startIndex === -1) {
+    return { metaruleFunctions, unresolved, unnamed };
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineNum = i + 1;
+  const end = findFunctionEnd(tokens, startIndex + 1);
+  if (!end || end.declaration) {
+    unresolved.push({ name: 'opMetarule', file: relativePath, startLine: startIndex + 1 });
+    return { metaruleFunctions, unresolved, unnamed };
+  }
 
-    // Detect start of opMetarule function
-    if (line.includes('void opMetarule(Program* program)') ||
-        line.includes('static void opMetarule(Program* program)')) {
-      inMetarule = true;
-      braceCount = 0;
+  for (let i = end.openIndex + 1; i < end.closeIndex; i++) {
+    // Match: case METARULE_NAME :
+    if (tokens[i].type !== 'ident' || tokens[i].value !== 'case') continue;
+    const nameToken = tokens[i + 1];
+    if (!nameToken || !/^METARULE_[A-Z_]+$/.test(nameToken.value) ||
+        tokens[i + 2]?.value !== ':') {
+      continue;
     }
 
-    if (inMetarule) {
-      // Track braces to know when we exit the function
-      for (const char of line) {
-        if (char === '{') braceCount++;
-        if (char === '}') braceCount--;
-      }
+    const metaruleName = nameToken.value;
+    const sslName = metaruleNames[metaruleName];
+    if (!sslName) {
+      unnamed.push(metaruleName);
+      continue;
+    }
 
-      // Check for metarule case
-      const caseMatch = line.match(METARULE_CASE_PATTERN);
-      if (caseMatch) {
-        const metaruleName = caseMatch[1];
-        const sslName = METARULE_SSL_NAMES[metaruleName];
-
-        if (sslName) {
-          // Find the end of this case (next case, break, or default)
-          let endLine = lineNum;
-          for (let j = i + 1; j < lines.length; j++) {
-            const nextLine = lines[j];
-            if (nextLine.match(/^\s*case\s+/) ||
-                nextLine.match(/^\s*default\s*:/) ||
-                nextLine.match(/^\s*break\s*;/)) {
-              endLine = j + 1;
-              break;
-            }
-            // Also stop at closing brace of switch
-            if (nextLine.match(/^\s*}\s*$/)) {
-              endLine = j;
-              break;
-            }
-          }
+    const endLine = findCaseEnd(tokens, i + 3, end.closeIndex);
+    if (endLine === null) {
+      unresolved.push({ name: sslName, file: relativePath, startLine: tokens[i].line });
+      continue;
+    }
 
-          metaruleFunctions[sslName] = {
-            file: relativePath,
-            startLine: lineNum,
-            endLine: endLine,
-            kind: 'metarule',
-            cppName: 'opMetarule',
-            metarule: metaruleName,
-          };
-        }
-      }
+    let caseEnd = i;
+    while (caseEnd < end.closeIndex && tokens[caseEnd].line <= endLine) caseEnd++;
+
+    metaruleFunctions[sslName] = {
+      file: relativePath,
+      startLine: tokens[i].line,
+      endLine: endLine,
+      kind: 'metarule',
+      cppName: 'opMetarule',
+      metarule: metaruleName,
+      bodyHash: hashTokens(tokens, i, caseEnd),
+    };
+  }
 
-      // Exit when we leave the function
-      if (braceCount === 0 && line.includes('}')) {
-        inMetarule = false;
+  return { metaruleFunctions, unresolved, unnamed };
+}
+
+/**
+ * Parse the sfall metarule registration table
+ * Matches entries of the form `{ "name", mf_handler, minArgs, maxArgs }`
+ * (as in kMetarules in sfall_metarules.cc). Returns { name: { handler, minArgs, maxArgs, line } }.
+ */
+function parseMetaruleTable(filePath) {
+  const tokens = tokenize(fs.readFileSync(filePath, 'utf-8'))
+    .filter(token => token.type !== 'comment');
+  const table = {};
+
+  for (let i = 0; i + 7 < tokens.length; i++) {
+    if (tokens[i].value !== '{' ||
+        tokens[i + 1].type !== 'string' ||
+        tokens[i + 2].value !== ',' ||
+        tokens[i + 3].type !== 'ident' ||
+        tokens[i + 4].value !== ',' ||
+        tokens[i + 5].type !== 'number' ||
+        tokens[i + 6].value !== ',' ||
+        tokens[i + 7].type !== 'number') {
+      continue;
+    }
+
+    const name = tokens[i + 1].value.slice(1, -1);
+    if (!/^[a-z_][a-z0-9_]*$/.test(name)) continue;
+
+    table[name] = {
+      handler: tokens[i + 3].value,
+      minArgs: parseInt(tokens[i + 5].value),
+      maxArgs: parseInt(tokens[i + 7].value),
+      line: tokens[i].line,
+    };
+  }
+
+  return table;
+}
+
+/**
+ * Find the last line of a switch case whose body starts at token `from`
+ * Returns null if the case runs past `limit` (the function's closing brace).
+ */
+function findCaseEnd(tokens, from, limit) {
+  let depth = 0;
+  for (let j = from; j < limit; j++) {
+    const token = tokens[j];
+    if (token.inactive) continue;
+    if (token.type === 'punct' && token.value === '{') {
+      depth++;
+    } else if (token.type === 'punct' && token.value === '}') {
+      if (depth === 0) {
+        return lastCodeLine(tokens, j);
       }
+      depth--;
+    } else if (depth === 0 && token.type === 'ident' && token.value === 'break') {
+      return token.line;
+    } else if (depth === 0 && token.type === 'ident' &&
+               (token.value === 'case' || token.value === 'default')) {
+      return lastCodeLine(tokens, j);
     }
   }
+  return null;
+}
 
-  return metaruleFunctions;
+/**
+ * Line of the last non-comment token before token index `index`
+ */
+function lastCodeLine(tokens, index) {
+  for (let k = index - 1; k >= 0; k--) {
+    if (tokens[k].type !== 'comment') return tokens[k].line;
+  }
+  return tokens[index].line;
 }
 
 /**
@@ -407,69 +607,55 @@ function opcodeToSSLName(opcodeName) {
 }
 
 /**
- * Ask user for confirmation
+ * Sort a function present in both indices into a change bucket
+ * Entries whose body hash changed are "changed"; entries that only moved
+ * (same hash, different location) are "moved"; other field changes, and
+ * location changes without hashes to compare, are "modified". The release
+ * fields (sinceVersion, removedIn) are not part of that comparison: entries
+ * that differ only there, or that were dropped from the sources and kept as
+ * removed, are "versioned".
  */
-function askConfirmation(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
+function classifyFunction(oldInfo, newInfo) {
+  if ((oldInfo.removedIn === undefined) !== (newInfo.removedIn === undefined)) {
+    return 'versioned';
+  }
 
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      rl.close();
-      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
-    });
-  });
+  const hashed = Boolean(oldInfo.bodyHash && newInfo.bodyHash);
+  const locationChanged =
+    oldInfo.file !== newInfo.file ||
+    oldInfo.startLine !== newInfo.startLine ||
+    oldInfo.endLine !== newInfo.endLine;
+  const fieldsChanged =
+    oldInfo.opcode !== newInfo.opcode ||
+    oldInfo.minArgs !== newInfo.minArgs ||
+    oldInfo.maxArgs !== newInfo.maxArgs ||
+    oldInfo.source !== newInfo.source ||
+    Boolean(oldInfo.bodyHash) !== Boolean(newInfo.bodyHash) ||
+    JSON.stringify(oldInfo.signature) !== JSON.stringify(newInfo.signature);
+
+  if (hashed && oldInfo.bodyHash !== newInfo.bodyHash) {
+    return 'changed';
+  }
+  if (fieldsChanged || (locationChanged && !hashed)) {
+    return 'modified';
+  }
+  if (locationChanged) {
+    return 'moved';
+  }
+  return oldInfo.sinceVersion !== newInfo.sinceVersion || oldInfo.removedIn !== newInfo.removedIn
+    ? 'versioned'
+    : null;
 }
 
 /**
  * Compare two indices and return changes
  */
-function compareIndices(oldIndex, newIndex) {
-  const changes = {
-    added: [],
-    removed: [],
-    modified: [],
-    commitChanged: false,
-  };
-
-  const oldFunctions = oldIndex.functions || {};
-  const newFunctions = newIndex.functions || {};
-
-  // Check for commit change
-  if (oldIndex._meta?.shortCommit !== newIndex._meta?.shortCommit) {
-    changes.commitChanged = true;
-    changes.oldCommit = oldIndex._meta?.shortCommit || 'none';
-    changes.newCommit = newIndex._meta?.shortCommit;
-  }
-
-  // Find added and modified
-  for (const [name, newInfo] of Object.entries(newFunctions)) {
-    const oldInfo = oldFunctions[name];
-    if (!oldInfo) {
-      changes.added.push(name);
-    } else if (
-      oldInfo.file !== newInfo.file ||
-      oldInfo.startLine !== newInfo.startLine ||
-      oldInfo.endLine !== newInfo.endLine
-    ) {
-      changes.modified.push({
-        name,
-        old: oldInfo,
-        new: newInfo,
-      });
-    }
-  }
-
-  // Find removed
-  for (const name of Object.keys(oldFunctions)) {
-    if (!newFunctions[name]) {
-      changes.removed.push(name);
-    }
-  }
-
-  return changes;
+function compareFunctionIndices(oldIndex, newIndex) {
+  return compareIndices(oldIndex, newIndex, {
+    entries: 'functions',
+    classify: classifyFunction,
+    buckets: ['changed', 'moved', 'modified', 'versioned'],
+  });
 }
 
 /**
@@ -485,6 +671,13 @@ function detectDuplicates(index) {
     // We only want to check SSL aliases
     if (!info.cppName) continue;
 
+    // sfall metarule names come from fallout2-ce's own registration table,
+    // which may register one handler under several names
+    if (info.kind === 'sfall_metarule') continue;
+
+    // Removed entries point into older tags
+    if (info.removedIn !== undefined) continue;
+
     const locationKey = `${info.file}:${info.startLine}:${info.endLine}`;
     if (!locationToNames[locationKey]) {
       locationToNames[locationKey] = [];
@@ -534,50 +727,190 @@ function printDuplicates(duplicates) {
 }
 
 /**
- * Print changes summary
+ * Print definitions whose end could not be determined
+ * These are left out of the index rather than given a guessed line range.
  */
-function printChanges(changes) {
+function printUnresolved(unresolved) {
+  if (unresolved.length === 0) {
+    return;
+  }
+
   console.log('\n' + '='.repeat(60));
-  console.log('CHANGES DETECTED');
+  console.log('UNRESOLVED FUNCTION ENDS');
   console.log('='.repeat(60));
+  console.log('\nCould not find the closing brace for these definitions (not indexed):\n');
+  for (const { name, file, startLine } of unresolved) {
+    console.log(`  ! ${name} (${file}:${startLine})`);
+  }
+  console.log('\n' + '='.repeat(60));
+}
+
+/**
+ * Format an opcode number as hex (e.g. 0x80A1)
+ */
+function formatOpcode(opcode) {
+  return opcode === undefined ? 'none' : `0x${opcode.toString(16).toUpperCase()}`;
+}
+
+/**
+ * Format an inferred signature as "returns(arg, arg)"
+ */
+function formatSignature(signature) {
+  return signature ? `${signature.returns}(${signature.args.join(', ')})` : 'none';
+}
+
+/**
+ * Format an entry's location as file:Lstart-end
+ */
+function formatLocation(info) {
+  return `${info.file}:L${info.startLine}-${info.endLine}`;
+}
+
+/**
+ * Format a removedIn value (null: removed after the latest tag)
+ */
+function formatRemovedIn(removedIn) {
+  if (removedIn === undefined) return 'none';
+  return removedIn === null ? 'unreleased' : removedIn;
+}
 
-  if (changes.commitChanged) {
-    console.log(`\nCommit: ${changes.oldCommit} -> ${changes.newCommit}`);
+/**
+ * Print the fields of a modified entry that changed
+ */
+function printModified({ name, old, new: newInfo }) {
+  console.log(`  ~ ${name}:`);
+  if (old.file !== newInfo.file) {
+    console.log(`      file: ${old.file} -> ${newInfo.file}`);
+  }
+  if (old.startLine !== newInfo.startLine || old.endLine !== newInfo.endLine) {
+    console.log(`      lines: L${old.startLine}-${old.endLine} -> L${newInfo.startLine}-${newInfo.endLine}`);
+  }
+  if (old.opcode !== newInfo.opcode) {
+    console.log(`      opcode: ${formatOpcode(old.opcode)} -> ${formatOpcode(newInfo.opcode)}`);
+  }
+  if (JSON.stringify(old.signature) !== JSON.stringify(newInfo.signature)) {
+    console.log(`      signature: ${formatSignature(old.signature)} -> ${formatSignature(newInfo.signature)}`);
+  }
+  if (old.source !== newInfo.source && old.bodyHash === newInfo.bodyHash) {
+    console.log('      source: updated');
   }
+  if (Boolean(old.bodyHash) !== Boolean(newInfo.bodyHash)) {
+    console.log(`      body hash: ${old.bodyHash || 'none'} -> ${newInfo.bodyHash || 'none'}`);
+  }
+}
 
-  if (changes.added.length > 0) {
-    console.log(`\n+ ADDED (${changes.added.length}):`);
-    changes.added.slice(0, 20).forEach(name => console.log(`  + ${name}`));
-    if (changes.added.length > 20) {
-      console.log(`  ... and ${changes.added.length - 20} more`);
+/**
+ * Print the release fields of a versioned entry that changed
+ */
+function printVersioned({ name, old, new: newInfo }) {
+  console.log(`  @ ${name}:`);
+  if (old.sinceVersion !== newInfo.sinceVersion) {
+    console.log(`      since: ${old.sinceVersion || 'none'} -> ${newInfo.sinceVersion || 'none'}`);
+  }
+  if (old.removedIn !== newInfo.removedIn) {
+    console.log(`      removed in: ${formatRemovedIn(old.removedIn)} -> ${formatRemovedIn(newInfo.removedIn)}`);
+  }
+}
+
+// Change summary sections after the added and removed names
+const CHANGE_SECTIONS = [
+  {
+    key: 'changed',
+    title: '! IMPLEMENTATION CHANGED',
+    limit: 20,
+    print: ({ name, new: newInfo }) => console.log(`  ! ${name} (${newInfo.file}:${newInfo.startLine}-${newInfo.endLine})`),
+  },
+  {
+    key: 'moved',
+    title: '> MOVED',
+    note: 'implementation unchanged',
+    print: ({ name, old, new: newInfo }) => console.log(`  > ${name}: ${formatLocation(old)} -> ${formatLocation(newInfo)}`),
+  },
+  { key: 'modified', title: '~ MODIFIED', print: printModified },
+  { key: 'versioned', title: '@ VERSION DATA', note: 'since / removed in only', print: printVersioned },
+];
+
+/**
+ * Link to an index entry's source at the commit it was indexed from
+ */
+function sourceLink(meta, info) {
+  const commit = info.commit || meta.shortCommit;
+  const range = info.startLine === info.endLine
+    ? `L${info.startLine}`
+    : `L${info.startLine}-L${info.endLine}`;
+  const url = `https://github.com/${meta.repo}/blob/${commit}/${info.file}#${range}`;
+  return `[${info.file}:${info.startLine}](${url})`;
+}
+
+/**
+ * Render the engine changelog page: SSL functions added, removed or with a
+ * changed implementation between the previous and the new index
+ */
+function renderChangelog(oldIndex, newIndex, changes) {
+  const oldMeta = oldIndex._meta;
+  const newMeta = newIndex._meta;
+  // Removed entries kept by --versions count as gone
+  const isSsl = info => Boolean(info?.cppName) && info.removedIn === undefined;
+  const sslNames = functions => Object.keys(functions).filter(name => isSsl(functions[name]));
+  const changed = changes.changed.filter(({ old, new: newInfo }) => isSsl(old) && isSsl(newInfo));
+  const added = sslNames(newIndex.functions).filter(name => !isSsl(oldIndex.functions[name])).sort();
+  const removed = sslNames(oldIndex.functions).filter(name => !isSsl(newIndex.functions[name])).sort();
+  const commitLink = meta => `[\`${meta.shortCommit}\`](https://github.com/${meta.repo}/commit/${meta.commit})`;
+  const out = [];
+
+  out.push('---');
+  out.push('sidebar_position: 3');
+  out.push('title: Engine Changelog');
+  out.push('description: SSL functions whose fallout2-ce implementation changed in the last index update');
+  out.push('---');
+  out.push('');
+  out.push('{/* AUTO-GENERATED by scripts/generate-function-index.js - do not edit by hand */}');
+  out.push('');
+  out.push('# Engine Changelog');
+  out.push('');
+  out.push(`SSL functions whose implementation changed in fallout2-ce between ${commitLink(oldMeta)} and ${commitLink(newMeta)} ([compare](https://github.com/${newMeta.repo}/compare/${oldMeta.commit}...${newMeta.commit})), the previously indexed and the current commit. Functions that only moved are not listed.`);
+  out.push('');
+
+  out.push(`## Implementation Changed (${changed.length})`);
+  out.push('');
+  if (changed.length === 0) {
+    out.push('None.');
+  } else {
+    out.push('| Function | Before | After |');
+    out.push('|----------|--------|-------|');
+    for (const { name, old, new: newInfo } of changed.sort((a, b) => a.name.localeCompare(b.name))) {
+      out.push(`| \`${name}\` | ${sourceLink(oldMeta, old)} | ${sourceLink(newMeta, newInfo)} |`);
     }
   }
+  out.push('');
 
-  if (changes.removed.length > 0) {
-    console.log(`\n- REMOVED (${changes.removed.length}):`);
-    changes.removed.slice(0, 20).forEach(name => console.log(`  - ${name}`));
-    if (changes.removed.length > 20) {
-      console.log(`  ... and ${changes.removed.length - 20} more`);
+  out.push(`## Added (${added.length})`);
+  out.push('');
+  if (added.length === 0) {
+    out.push('None.');
+  } else {
+    out.push('| Function | Implementation |');
+    out.push('|----------|----------------|');
+    for (const name of added) {
+      out.push(`| \`${name}\` | ${sourceLink(newMeta, newIndex.functions[name])} |`);
     }
   }
+  out.push('');
 
-  if (changes.modified.length > 0) {
-    console.log(`\n~ MODIFIED (${changes.modified.length}):`);
-    changes.modified.slice(0, 10).forEach(({ name, old, new: newInfo }) => {
-      console.log(`  ~ ${name}:`);
-      if (old.file !== newInfo.file) {
-        console.log(`      file: ${old.file} -> ${newInfo.file}`);
-      }
-      if (old.startLine !== newInfo.startLine || old.endLine !== newInfo.endLine) {
-        console.log(`      lines: L${old.startLine}-${old.endLine} -> L${newInfo.startLine}-${newInfo.endLine}`);
-      }
-    });
-    if (changes.modified.length > 10) {
-      console.log(`  ... and ${changes.modified.length - 10} more`);
+  out.push(`## Removed (${removed.length})`);
+  out.push('');
+  if (removed.length === 0) {
+    out.push('None.');
+  } else {
+    out.push('| Function | Last Implementation |');
+    out.push('|----------|---------------------|');
+    for (const name of removed) {
+      out.push(`| \`${name}\` | ${sourceLink(oldMeta, oldIndex.functions[name])} |`);
     }
   }
+  out.push('');
 
-  console.log('\n' + '='.repeat(60));
+  return out.join('\n');
 }
 
 /**
@@ -586,16 +919,11 @@ function printChanges(changes) {
 function validateExistingIndex() {
   console.log('Validating existing function-index.json...\n');
 
-  if (!fs.existsSync(OUTPUT_FILE)) {
-    console.error(`ERROR: ${OUTPUT_FILE} not found`);
-    process.exit(1);
-  }
-
   let index;
   try {
-    index = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf-8'));
+    index = loadIndex('functions');
   } catch (e) {
-    console.error(`ERROR: Failed to parse ${OUTPUT_FILE}: ${e.message}`);
+    console.error(`ERROR: ${e.message}`);
     process.exit(1);
   }
 
@@ -615,82 +943,233 @@ function validateExistingIndex() {
 }
 
 /**
- * Main function
+ * Resolve the --versions argument to a list of tags, oldest first
+ * "all" expands to every tag in the checkout, sorted by version.
  */
-async function main() {
-  const args = process.argv.slice(2);
-  let repoPath = null;
-  let autoConfirm = false;
-  let dryRun = false;
-  let validateOnly = false;
+function resolveVersionTags(repoPath, versions) {
+  const tags = versions === 'all'
+    ? execSync('git tag --list --sort=v:refname', { cwd: repoPath, encoding: 'utf-8' }).split('\n')
+    : versions.split(',');
+  const result = tags.map(tag => tag.trim()).filter(Boolean);
 
-  // Parse arguments
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--repo-path' && args[i + 1]) {
-      repoPath = args[i + 1];
-      i++;
-    } else if (args[i] === '--yes' || args[i] === '-y') {
-      autoConfirm = true;
-    } else if (args[i] === '--dry-run') {
-      dryRun = true;
-    } else if (args[i] === '--validate') {
-      validateOnly = true;
+  const missing = result.filter(tag => {
+    try {
+      execSync(`git rev-parse --verify --quiet "${tag}^{commit}"`, { cwd: repoPath, stdio: 'ignore' });
+      return false;
+    } catch (e) {
+      return true;
     }
+  });
+  if (missing.length > 0) {
+    console.error(`ERROR: Tags not found in ${repoPath}: ${missing.join(', ')}`);
+    process.exit(1);
   }
 
-  // Validate existing index without regenerating
-  if (validateOnly) {
-    validateExistingIndex();
-    return;
+  return result;
+}
+
+/**
+ * Build the index of each tag from a `git archive` export of its sources,
+ * leaving the checkout untouched. Returns [{ tag, functions }] in tag order.
+ */
+function collectTagIndices(repoPath, tags, maxSourceLines) {
+  const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'fallout2-ce-tags-'));
+  try {
+    return tags.map(tag => {
+      const tagPath = path.join(tmpRoot, tag.replace(/[^\w.-]/g, '_'));
+      fs.mkdirSync(tagPath);
+      execSync(`git archive --format=tar "${tag}" src | tar -x -C "${tagPath}"`, {
+        cwd: repoPath,
+        stdio: ['ignore', 'ignore', 'inherit'],
+      });
+      const { functions } = buildIndex(tagPath, tag, tag, { quiet: true, maxSourceLines });
+      const sslCount = Object.values(functions).filter(info => info.cppName).length;
+      console.log(`  ${tag}: ${sslCount} SSL entries`);
+      return { tag, functions };
+    });
+  } finally {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
   }
+}
 
-  // Default repo path
-  if (!repoPath) {
-    repoPath = path.join(__dirname, '..', '.fallout2-ce');
+/**
+ * Record sinceVersion/removedIn on SSL entries from the per-tag indices
+ *
+ * sinceVersion is the first tag of the latest unbroken run of tags containing
+ * the entry, so a function that was dropped and re-added dates from its return.
+ * Entries missing from the latest tag have no sinceVersion (not released yet).
+ * SSL entries that are gone from the current sources are kept, pinned to the
+ * last tag that had them, with removedIn set to the first tag without them
+ * (null when the removal is not in a release yet).
+ */
+function applyVersions(index, tagIndices) {
+  const names = new Set(Object.keys(index.functions).filter(name => index.functions[name].cppName));
+  for (const { functions } of tagIndices) {
+    for (const [name, info] of Object.entries(functions)) {
+      if (info.cppName) names.add(name);
+    }
   }
 
-  console.log(`Repository path: ${repoPath}`);
-  if (dryRun) console.log('DRY RUN - no files will be written');
+  const lastTag = tagIndices.length - 1;
+  for (const name of names) {
+    let since;
+    let last = -1; // position of the last tag containing the entry
+    tagIndices.forEach(({ tag, functions }, i) => {
+      if (!functions[name]?.cppName) return;
+      if (since === undefined || last !== i - 1) since = tag;
+      last = i;
+    });
 
-  // Ensure repository exists
-  ensureRepo(repoPath);
+    const current = index.functions[name];
+    if (current) {
+      // Only SSL entries in the latest tag are dated; C++ names are skipped
+      // even if an older tag used the same name for an SSL entry
+      if (current.cppName && last === lastTag) {
+        current.sinceVersion = since;
+      }
+    } else {
+      index.functions[name] = {
+        ...tagIndices[last].functions[name],
+        sinceVersion: since,
+        removedIn: last < lastTag ? tagIndices[last + 1].tag : null,
+      };
+    }
+  }
 
-  const commit = getCommitHash(repoPath);
-  const shortCommit = getShortCommitHash(repoPath);
-  console.log(`Commit: ${commit} (${shortCommit})`);
+  index._meta.versions = tagIndices.map(({ tag }) => tag);
+}
+
+/**
+ * Keep the version data of the existing index when no tags are walked
+ *
+ * Entries still in the sources keep their sinceVersion. Entries the existing
+ * index already lists as removed stay, as do released entries that are gone
+ * from the sources now; those get removedIn null (not in a release yet), like
+ * applyVersions gives them.
+ */
+function carryVersions(index, existingIndex) {
+  const versions = existingIndex._meta?.versions;
+  if (!versions) return;
+
+  for (const [name, old] of Object.entries(existingIndex.functions || {})) {
+    const current = index.functions[name];
+    if (current) {
+      if (current.cppName && old.cppName && old.sinceVersion && old.removedIn === undefined) {
+        current.sinceVersion = old.sinceVersion;
+      }
+    } else if (old.cppName && old.sinceVersion) {
+      index.functions[name] = {
+        ...old,
+        commit: old.commit || existingIndex._meta.shortCommit,
+        removedIn: old.removedIn === undefined ? null : old.removedIn,
+      };
+    }
+  }
+
+  index._meta.versions = versions;
+}
+
+/**
+ * Cut an entry's lines out of its file
+ * Returns { source } or, past maxSourceLines, { source, sourceTruncated: true }.
+ */
+function extractSource(lines, info, maxSourceLines) {
+  const body = lines.slice(info.startLine - 1, info.endLine);
+  if (maxSourceLines && body.length > maxSourceLines) {
+    return { source: body.slice(0, maxSourceLines).join('\n'), sourceTruncated: true };
+  }
+  return { source: body.join('\n') };
+}
+
+/**
+ * Drop the source from SSL entries that cover the same lines as their C++
+ * entry; FnRef reads it from the C++ entry instead. This keeps the index
+ * from carrying every opcode body twice.
+ */
+function dropAliasSources(index) {
+  for (const info of Object.values(index.functions)) {
+    const impl = info.cppName && index.functions[info.cppName];
+    if (impl && impl.source !== undefined && impl.commit === info.commit &&
+        impl.file === info.file && impl.startLine === info.startLine && impl.endLine === info.endLine) {
+      delete info.source;
+      delete info.sourceTruncated;
+    }
+  }
+}
+
+/**
+ * Parse a fallout2-ce source tree and build the function index for it
+ * `quiet` silences progress output (used when walking release tags);
+ * `maxSourceLines` truncates the stored sources (0 stores none).
+ */
+function buildIndex(repoPath, commit, shortCommit, { quiet = false, maxSourceLines } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const warn = quiet ? () => {} : console.warn;
 
   // Find all source files
   const srcDir = path.join(repoPath, 'src');
   const sourceFiles = findSourceFiles(srcDir);
-  console.log(`Found ${sourceFiles.length} source files`);
+  log(`Found ${sourceFiles.length} source files`);
 
   // Parse all files
   const allFunctions = {};
   const opcodeMappings = {};
   const allSslNames = {}; // funcName -> sslName (from comments and registrations)
   const allMetaruleFunctions = {}; // SSL metarule functions
+  const allUnresolved = []; // definitions whose end could not be found
+  const opcodeValues = {}; // OPCODE_NAME -> number
+  const metaruleValues = {}; // METARULE_NAME -> number
+  const metaruleTable = {}; // sfall metarule name -> { handler, minArgs, maxArgs, line, file }
+  let metaruleFile = null; // file containing opMetarule
 
   for (const file of sourceFiles) {
-    const { functions, sslNamesFromComments } = parseSourceFile(file, repoPath);
+    const { functions, sslNamesFromComments, unresolved } = parseSourceFile(file, repoPath);
     Object.assign(allFunctions, functions);
     Object.assign(allSslNames, sslNamesFromComments);
+    allUnresolved.push(...unresolved);
 
     // Also look for opcode registrations
     const { mappings, sslNames } = parseOpcodeRegistrations(file, repoPath);
     Object.assign(opcodeMappings, mappings);
     Object.assign(allSslNames, sslNames); // SSL names from registration comments
 
-    // Parse metarule cases (only in interpreter_extra.cc)
+    // Opcode numbers (enum Opcode in interpreter.h, #define OPCODE_*)
+    if (file.endsWith('.h')) {
+      Object.assign(opcodeValues, parseOpcodeDefinitions(file));
+    }
+
+    // Vanilla metarule numbers (enum Metarule, #define METARULE_*)
+    Object.assign(metaruleValues, parseMetaruleDefinitions(file));
     if (file.endsWith('interpreter_extra.cc')) {
-      const metaruleFunctions = parseMetaruleCases(file, repoPath);
-      Object.assign(allMetaruleFunctions, metaruleFunctions);
+      metaruleFile = file;
+    }
+
+    // sfall metarule registration table ({ "name", mf_handler, minArgs, maxArgs })
+    const relativePath = path.relative(repoPath, file).replace(/\\/g, '/');
+    for (const [name, entry] of Object.entries(parseMetaruleTable(file))) {
+      metaruleTable[name] = { ...entry, file: relativePath };
+    }
+  }
+
+  // Parse metarule cases, named after the RP headers' metarule(...) defines
+  if (metaruleFile) {
+    const metaruleNames = loadMetaruleNames(metaruleValues);
+    const { metaruleFunctions, unresolved: unresolvedCases, unnamed } =
+      parseMetaruleCases(metaruleFile, repoPath, metaruleNames);
+    Object.assign(allMetaruleFunctions, metaruleFunctions);
+    allUnresolved.push(...unresolvedCases);
+    if (unnamed.length > 0) {
+      log(`Metarule cases without an SSL name in the RP headers (not indexed): ${unnamed.join(', ')}`);
     }
   }
 
-  console.log(`Found ${Object.keys(allFunctions).length} functions`);
-  console.log(`Found ${Object.keys(opcodeMappings).length} opcode registrations`);
-  console.log(`Found ${Object.keys(allSslNames).length} SSL name mappings from comments`);
-  console.log(`Found ${Object.keys(allMetaruleFunctions).length} metarule functions`);
+  log(`Found ${Object.keys(allFunctions).length} functions`);
+  log(`Found ${Object.keys(opcodeMappings).length} opcode registrations`);
+  log(`Found ${Object.keys(opcodeValues).length} opcode number definitions`);
+  log(`Found ${Object.keys(allSslNames).length} SSL name mappings from comments`);
+  log(`Found ${Object.keys(allMetaruleFunctions).length} metarule functions`);
+  log(`Found ${Object.keys(metaruleTable).length} sfall metarules`);
+  if (!quiet) printUnresolved(allUnresolved);
 
   // Build the final index with SSL names
   const index = {
@@ -704,6 +1183,32 @@ async function main() {
     functions: {},
   };
 
+  // Resolve registered opcodes to numbers: funcName -> { opcode, opcodeName }
+  // A handler registered under several opcodes keeps the lowest number
+  const opcodeNamesByValue = {};
+  for (const [name, value] of Object.entries(opcodeValues)) {
+    if (!(value in opcodeNamesByValue)) opcodeNamesByValue[value] = name;
+  }
+  const opcodesByFunction = {};
+  const unresolvedOpcodes = [];
+  for (const [opcode, funcName] of Object.entries(opcodeMappings)) {
+    const value = resolveOpcode(opcode, opcodeValues);
+    if (value === undefined) {
+      unresolvedOpcodes.push(opcode);
+      continue;
+    }
+    const existing = opcodesByFunction[funcName];
+    if (!existing || value < existing.opcode) {
+      opcodesByFunction[funcName] = {
+        opcode: value,
+        opcodeName: opcode.startsWith('OPCODE_') ? opcode : opcodeNamesByValue[value],
+      };
+    }
+  }
+  if (unresolvedOpcodes.length > 0) {
+    warn(`Could not resolve ${unresolvedOpcodes.length} opcode names: ${unresolvedOpcodes.join(', ')}`);
+  }
+
   // Add functions with their C++ name and ONE canonical SSL name
   for (const [funcName, info] of Object.entries(allFunctions)) {
     // Store by C++ function name
@@ -712,6 +1217,12 @@ async function main() {
       commit: shortCommit,
     };
 
+    // sfall metarule handlers are named by the registration table below;
+    // fall back to the name derivation only if no table was found
+    if (funcName.startsWith('mf_') && Object.keys(metaruleTable).length > 0) {
+      continue;
+    }
+
     // If it's an opcode or metarule function, also store by ONE canonical SSL name
     // Priority: 1) Override for wrong comments, 2) Comment-derived name, 3) Function name derivation
     if (funcName.startsWith('op') || funcName.startsWith('_op') || funcName.startsWith('mf_')) {
@@ -722,6 +1233,13 @@ async function main() {
           commit: shortCommit,
           cppName: funcName,
         };
+        const opcode = opcodesByFunction[funcName];
+        if (opcode) {
+          index.functions[sslName].opcode = opcode.opcode;
+          if (opcode.opcodeName) {
+            index.functions[sslName].opcodeName = opcode.opcodeName;
+          }
+        }
       }
     }
   }
@@ -734,6 +1252,120 @@ async function main() {
     };
   }
 
+  // Add sfall metarules (called as sfall_funcX("name", ...)) under their registered names
+  for (const [name, entry] of Object.entries(metaruleTable)) {
+    const handler = allFunctions[entry.handler];
+    if (!handler) {
+      warn(`sfall metarule "${name}": handler ${entry.handler} not found, linking to the table entry`);
+    }
+    index.functions[name] = {
+      file: handler ? handler.file : entry.file,
+      startLine: handler ? handler.startLine : entry.line,
+      endLine: handler ? handler.endLine : entry.line,
+      kind: 'sfall_metarule',
+      commit: shortCommit,
+      cppName: entry.handler,
+      minArgs: entry.minArgs,
+      maxArgs: entry.maxArgs,
+    };
+    if (handler) {
+      index.functions[name].bodyHash = handler.bodyHash;
+    }
+  }
+
+  // Store the implementation source so FnRef can show it offline
+  if (maxSourceLines !== 0) {
+    const fileLines = {};
+    for (const info of Object.values(index.functions)) {
+      if (!fileLines[info.file]) {
+        fileLines[info.file] = fs.readFileSync(path.join(repoPath, info.file), 'utf-8').split(/\r?\n/);
+      }
+      Object.assign(info, extractSource(fileLines[info.file], info, maxSourceLines));
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  let repoPath = null;
+  let autoConfirm = false;
+  let dryRun = false;
+  let validateOnly = false;
+  let versions = null;
+  let maxSourceLines;
+
+  // Parse arguments
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--repo-path' && args[i + 1]) {
+      repoPath = args[i + 1];
+      i++;
+    } else if (args[i] === '--yes' || args[i] === '-y') {
+      autoConfirm = true;
+    } else if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--validate') {
+      validateOnly = true;
+    } else if (args[i] === '--versions' && args[i + 1]) {
+      versions = args[i + 1];
+      i++;
+    } else if (args[i] === '--max-source-lines' && args[i + 1]) {
+      maxSourceLines = parseInt(args[i + 1], 10);
+      i++;
+    }
+  }
+
+  // Validate existing index without regenerating
+  if (validateOnly) {
+    validateExistingIndex();
+    return;
+  }
+
+  // Default repo path
+  if (!repoPath) {
+    repoPath = DEFAULT_REPO_PATH;
+  }
+
+  console.log(`Repository path: ${repoPath}`);
+  if (dryRun) console.log('DRY RUN - no files will be written');
+
+  // Ensure repository exists
+  ensureRepo(repoPath);
+
+  const commit = getCommitHash(repoPath);
+  const shortCommit = getShortCommitHash(repoPath);
+  console.log(`Commit: ${commit} (${shortCommit})`);
+
+  const index = buildIndex(repoPath, commit, shortCommit, { maxSourceLines });
+
+  // Load existing index if it exists
+  let existingIndex = { _meta: {}, functions: {} };
+  if (fs.existsSync(OUTPUT_FILE)) {
+    try {
+      existingIndex = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf-8'));
+    } catch (e) {
+      console.warn('Could not parse existing index, treating as empty');
+    }
+  }
+
+  // Walk release tags to find when each SSL entry appeared (and disappeared)
+  if (versions) {
+    fetchTags(repoPath);
+    const tags = resolveVersionTags(repoPath, versions);
+    console.log(`\nWalking ${tags.length} tags...`);
+    applyVersions(index, collectTagIndices(repoPath, tags, maxSourceLines));
+    const removed = Object.values(index.functions).filter(info => info.removedIn !== undefined);
+    console.log(`Found ${removed.length} removed SSL entries`);
+  } else {
+    carryVersions(index, existingIndex);
+  }
+
+  dropAliasSources(index);
+
   // Check for duplicate SSL entries pointing to same C++ implementation
   const duplicates = detectDuplicates(index);
   const hasDuplicates = printDuplicates(duplicates);
@@ -749,30 +1381,16 @@ async function main() {
   const outputDir = path.dirname(OUTPUT_FILE);
   fs.mkdirSync(outputDir, { recursive: true });
 
-  // Load existing index if it exists
-  let existingIndex = { _meta: {}, functions: {} };
-  if (fs.existsSync(OUTPUT_FILE)) {
-    try {
-      existingIndex = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf-8'));
-    } catch (e) {
-      console.warn('Could not parse existing index, treating as empty');
-    }
-  }
-
   // Compare indices
-  const changes = compareIndices(existingIndex, index);
-  const hasChanges = changes.added.length > 0 ||
-                     changes.removed.length > 0 ||
-                     changes.modified.length > 0 ||
-                     changes.commitChanged;
+  const changes = compareFunctionIndices(existingIndex, index);
 
-  if (!hasChanges) {
+  if (!hasChanges(changes)) {
     console.log('\nNo changes detected. Index is up to date.');
     return;
   }
 
   // Print changes
-  printChanges(changes);
+  printChanges(changes, CHANGE_SECTIONS);
 
   // Summary
   console.log(`\nSummary:`);
@@ -796,6 +1414,12 @@ async function main() {
   if (shouldWrite) {
     fs.writeFileSync(OUTPUT_FILE, JSON.stringify(index, null, 2));
     console.log(`\nWrote function index to: ${OUTPUT_FILE}`);
+
+    // The changelog covers the previously indexed commit -> this one
+    if (changes.commitChanged && existingIndex._meta?.shortCommit) {
+      fs.writeFileSync(CHANGELOG_FILE, renderChangelog(existingIndex, index, changes));
+      console.log(`Wrote engine changelog to: ${CHANGELOG_FILE}`);
+    }
   } else {
     console.log('\nAborted. No changes written.');
   }
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Generates the sample sprite and palette the FRM viewer shows by default:
+ * static/examples/sample.frm and static/examples/sample.pal.
+ *
+ * The site cannot ship the game's art, so the sprite is drawn here: a ball
+ * with an arrow pointing in each of the six directions, and a dot running
+ * along the arrow over four frames. The palette is a few ramps in the 6-bit
+ * format of color.pal.
+ *
+ * Run: node scripts/generate-sample-frm.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DIRECTIONS } = require('./lib/frm-parser');
+
+const outputDir = path.join(__dirname, '../static/examples');
+
+const SIZE = 29;
+const CENTER = 14;
+const FRAMES = 4;
+
+// Palette ramps: ball shades, arrow, dot
+const BALL = 1;
+const BALL_SHADES = 16;
+const ARROW = 32;
+const DOT = 33;
+
+function buildPalette() {
+  const colors = new Uint8Array(768);
+  const set = (index, r, g, b) => colors.set([r, g, b], index * 3);
+  for (let i = 0; i < BALL_SHADES; i++) {
+    set(BALL + i, 8 + i * 2, 24 + i * 2, 16 + i);
+  }
+  set(ARROW, 63, 52, 16);
+  set(DOT, 63, 16, 8);
+  // Gray ramp for the rest, so any index shows something
+  for (let i = 48; i < 256; i++) {
+    set(i, (i - 48) >> 2, (i - 48) >> 2, (i - 48) >> 2);
+  }
+  return colors;
+}
+
+// Screen angle of each direction in degrees, y pointing down
+const ANGLES = [-60, 0, 60, 120, 180, 240];
+
+function drawFrame(direction, frame) {
+  const pixels = new Uint8Array(SIZE * SIZE);
+  const plot = (x, y, index) => {
+    const px = Math.round(x);
+    const py = Math.round(y);
+    if (px >= 0 && px < SIZE && py >= 0 && py < SIZE) pixels[py * SIZE + px] = index;
+  };
+
+  // Ball, lit from the top left
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const dx = x - CENTER;
+      const dy = y - CENTER;
+      if (dx * dx + dy * dy <= 81) {
+        const light = Math.hypot(dx + 4, dy + 4) / 17;
+        plot(x, y, BALL + BALL_SHADES - 1 - Math.min(BALL_SHADES - 1, Math.floor(light * BALL_SHADES)));
+      }
+    }
+  }
+
+  const angle = (ANGLES[direction] * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  for (let r = 0; r <= 13; r += 0.5) {
+    plot(CENTER + cos * r, CENTER + sin * r, ARROW);
+  }
+  // Arrow head
+  for (const side of [-1, 1]) {
+    const back = angle + side * 2.5;
+    for (let r = 0; r <= 4; r += 0.5) {
+      plot(CENTER + cos * 13 + Math.cos(back) * r, CENTER + sin * 13 + Math.sin(back) * r, ARROW);
+    }
+  }
+
+  const along = 3 + frame * 3;
+  for (const [ox, oy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+    plot(CENTER + cos * along + ox - 0.5, CENTER + sin * along + oy - 0.5, DOT);
+  }
+  return pixels;
+}
+
+function buildFrm() {
+  const frameSize = 12 + SIZE * SIZE;
+  const directionSize = frameSize * FRAMES;
+  const buffer = Buffer.alloc(0x3e + directionSize * DIRECTIONS.length);
+
+  buffer.writeUInt32BE(4, 0x00);
+  buffer.writeUInt16BE(8, 0x04);
+  buffer.writeUInt16BE(0, 0x06);
+  buffer.writeUInt16BE(FRAMES, 0x08);
+  DIRECTIONS.forEach((_, direction) => {
+    buffer.writeUInt32BE(direction * directionSize, 0x22 + direction * 4);
+  });
+  buffer.writeUInt32BE(directionSize * DIRECTIONS.length, 0x3a);
+
+  let offset = 0x3e;
+  DIRECTIONS.forEach((_, direction) => {
+    for (let frame = 0; frame < FRAMES; frame++) {
+      buffer.writeUInt16BE(SIZE, offset);
+      buffer.writeUInt16BE(SIZE, offset + 2);
+      buffer.writeUInt32BE(SIZE * SIZE, offset + 4);
+      buffer.set(drawFrame(direction, frame), offset + 12);
+      offset += frameSize;
+    }
+  });
+  return buffer;
+}
+
+fs.mkdirSync(outputDir, { recursive: true });
+fs.writeFileSync(path.join(outputDir, 'sample.frm'), buildFrm());
+fs.writeFileSync(path.join(outputDir, 'sample.pal'), buildPalette());
+
+console.log(`Generated ${path.join(outputDir, 'sample.frm')} and sample.pal`);
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Generates a symbol index JSON from fallout2-ce source code.
+ *
+ * This script:
+ * 1. Clones/updates fallout2-ce repository (or uses existing)
+ * 2. Tokenizes C++ headers and sources with the shared lexer
+ * 3. Records struct, class, union and enum definitions (with their bodies),
+ *    typedefs and #defines with their file and line range
+ * 4. Shows diff and asks for confirmation before updating
+ *
+ * The index is pinned to the commit it was generated from, so ImplRef links
+ * keep pointing at the right lines when upstream files change.
+ *
+ * Usage:
+ *   node scripts/generate-symbol-index.js [options]
+ *
+ * Options:
+ *   --repo-path <path>  Path to fallout2-ce repo (default: .fallout2-ce)
+ *   --yes, -y           Auto-confirm changes without prompting
+ *   --dry-run           Show what would change without writing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, findMatchingBrace } = require('./lib/cpp-lexer');
+const { DATA_DIR, INDICES, askConfirmation, compareIndices, printChanges, hasChanges } = require('./lib/indices');
+const {
+  DEFAULT_REPO_PATH, getCommitHash, getShortCommitHash, ensureRepo, findSourceFiles,
+} = require('./lib/source-repo');
+const OUTPUT_FILE = path.join(DATA_DIR, INDICES.symbols.file);
+
+// Keywords that introduce a named aggregate: `struct Name { ... }`
+const AGGREGATE_KEYWORDS = new Set(['struct', 'class', 'union', 'enum']);
+
+// Pattern for #define NAME value / #define NAME(params) body
+// Defines without a value (include guards, feature flags) are not indexed
+const DEFINE_PATTERN = /^#\s*define\s+([A-Za-z_][A-Za-z0-9_]*)(\([^)]*\))?([\s\S]*)$/;
+
+/**
+ * Parse a named aggregate definition starting at a struct/class/union/enum keyword
+ * Handles `enum class Name : type {` and base clauses. Returns
+ * { name, endLine } or null for forward declarations, anonymous aggregates
+ * and uses such as `struct Name* ptr` or `template <class T>`.
+ */
+function parseAggregate(tokens, keywordIndex) {
+  let i = keywordIndex + 1;
+  if (tokens[keywordIndex].value === 'enum' &&
+      (tokens[i]?.value === 'class' || tokens[i]?.value === 'struct')) {
+    i++;
+  }
+
+  const nameToken = tokens[i];
+  if (!nameToken || nameToken.type !== 'ident') return null;
+  i++;
+  if (tokens[i]?.value === 'final') i++;
+
+  // Skip a base clause / underlying type up to the opening brace
+  if (tokens[i]?.value === ':') {
+    while (i < tokens.length && tokens[i].value !== '{') {
+      if (tokens[i].value === ';' || tokens[i].value === '(' || tokens[i].value === ')') return null;
+      i++;
+    }
+  }
+  if (tokens[i]?.type !== 'punct' || tokens[i].value !== '{') return null;
+
+  const closeIndex = findMatchingBrace(tokens, i);
+  if (closeIndex === -1) return null;
+  return { name: nameToken.value, endLine: tokens[closeIndex].line };
+}
+
+/**
+ * Parse a typedef starting at the `typedef` keyword
+ * Returns { name, endLine, kind } or null. The name is the declarator before
+ * the closing `;`, or the one in parentheses for function pointer typedefs.
+ * `typedef struct { ... } Name;` is indexed as a struct; for
+ * `typedef struct Name { ... } Name;` the struct itself is indexed instead,
+ * and `typedef struct Name Name;` aliases are skipped.
+ */
+function parseTypedef(tokens, typedefIndex) {
+  let depth = 0;
+  let end = -1;
+  for (let i = typedefIndex + 1; i < tokens.length; i++) {
+    const value = tokens[i].type === 'punct' && !tokens[i].inactive ? tokens[i].value : null;
+    if (value === '{') depth++;
+    if (value === '}') depth--;
+    if (value === ';' && depth === 0) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  // Function pointer typedef: typedef int (*Name)(int);
+  let name = null;
+  const bodyStart = tokens[typedefIndex + 1];
+  const hasBody = tokens.slice(typedefIndex + 1, end).some(token => token.type === 'punct' && token.value === '{');
+  const openParen = tokens.slice(typedefIndex + 1, end).findIndex(token => token.type === 'punct' && token.value === '(');
+  if (!hasBody && openParen !== -1) {
+    const inner = tokens.slice(typedefIndex + 1 + openParen, end).find(token => token.type === 'ident');
+    name = inner ? inner.value : null;
+  } else {
+    for (let i = end - 1; i > typedefIndex; i--) {
+      if (tokens[i].type === 'ident') {
+        name = tokens[i].value;
+        break;
+      }
+      if (tokens[i].type === 'punct' && tokens[i].value === '}') break;
+    }
+  }
+  if (!name) return null;
+
+  let kind = 'typedef';
+  if (AGGREGATE_KEYWORDS.has(bodyStart.value)) {
+    const tagToken = tokens[typedefIndex + 2];
+    if (tagToken.value === name) {
+      return null;
+    }
+    if (hasBody && tagToken.type === 'punct' && tagToken.value === '{') {
+      kind = bodyStart.value;
+    }
+  }
+
+  return { name, endLine: tokens[end].line, kind };
+}
+
+/**
+ * Parse a source file for symbol definitions
+ * Returns { symbols, duplicates } where duplicates lists names defined more
+ * than once in the file (the first definition is kept).
+ */
+function parseSymbols(filePath, repoPath) {
+  const tokens = tokenize(fs.readFileSync(filePath, 'utf-8'))
+    .filter(token => token.type !== 'comment');
+  const relativePath = path.relative(repoPath, filePath).replace(/\\/g, '/');
+  const symbols = {};
+  const duplicates = [];
+
+  const add = (name, startLine, endLine, kind) => {
+    if (symbols[name]) {
+      duplicates.push(name);
+      return;
+    }
+    symbols[name] = { file: relativePath, startLine, endLine, kind };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'preprocessor') {
+      const match = token.value.match(DEFINE_PATTERN);
+      if (match && match[3].replace(/\\\n/g, '').trim()) {
+        const endLine = token.line + (token.value.match(/\n/g) || []).length;
+        add(match[1], token.line, endLine, 'define');
+      }
+      continue;
+    }
+
+    if (token.type !== 'ident') continue;
+
+    if (AGGREGATE_KEYWORDS.has(token.value)) {
+      // `enum class Name` is handled at the enum keyword
+      if (token.value !== 'enum' && tokens[i - 1]?.value === 'enum') continue;
+      const aggregate = parseAggregate(tokens, i);
+      if (aggregate) {
+        add(aggregate.name, token.line, aggregate.endLine, token.value);
+      }
+    } else if (token.value === 'typedef') {
+      const typedef = parseTypedef(tokens, i);
+      if (typedef) {
+        add(typedef.name, token.line, typedef.endLine, typedef.kind);
+      }
+    }
+  }
+
+  return { symbols, duplicates };
+}
+
+/**
+ * Whether a symbol present in both indices changed
+ */
+function classifySymbol(oldInfo, newInfo) {
+  const changed =
+    oldInfo.file !== newInfo.file ||
+    oldInfo.startLine !== newInfo.startLine ||
+    oldInfo.endLine !== newInfo.endLine ||
+    oldInfo.kind !== newInfo.kind;
+  return changed ? 'modified' : null;
+}
+
+/**
+ * Print the fields of a modified symbol that changed
+ */
+function printModified({ name, old, new: newInfo }) {
+  console.log(`  ~ ${name}:`);
+  if (old.file !== newInfo.file) {
+    console.log(`      file: ${old.file} -> ${newInfo.file}`);
+  }
+  if (old.startLine !== newInfo.startLine || old.endLine !== newInfo.endLine) {
+    console.log(`      lines: L${old.startLine}-${old.endLine} -> L${newInfo.startLine}-${newInfo.endLine}`);
+  }
+  if (old.kind !== newInfo.kind) {
+    console.log(`      kind: ${old.kind} -> ${newInfo.kind}`);
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  let repoPath = null;
+  let autoConfirm = false;
+  let dryRun = false;
+
+  // Parse arguments
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--repo-path' && args[i + 1]) {
+      repoPath = args[i + 1];
+      i++;
+    } else if (args[i] === '--yes' || args[i] === '-y') {
+      autoConfirm = true;
+    } else if (args[i] === '--dry-run') {
+      dryRun = true;
+    }
+  }
+
+  // Default repo path (shared with the function index generator)
+  if (!repoPath) {
+    repoPath = DEFAULT_REPO_PATH;
+  }
+
+  console.log(`Repository path: ${repoPath}`);
+  if (dryRun) console.log('DRY RUN - no files will be written');
+
+  ensureRepo(repoPath);
+
+  const commit = getCommitHash(repoPath);
+  const shortCommit = getShortCommitHash(repoPath);
+  console.log(`Commit: ${commit} (${shortCommit})`);
+
+  const sourceFiles = findSourceFiles(path.join(repoPath, 'src'));
+  console.log(`Found ${sourceFiles.length} source files`);
+
+  const allSymbols = {};
+  const duplicates = new Set();
+  for (const file of sourceFiles) {
+    const { symbols, duplicates: fileDuplicates } = parseSymbols(file, repoPath);
+    fileDuplicates.forEach(name => duplicates.add(name));
+    for (const [name, info] of Object.entries(symbols)) {
+      if (allSymbols[name]) {
+        duplicates.add(name);
+      } else {
+        allSymbols[name] = info;
+      }
+    }
+  }
+
+  const counts = {};
+  for (const info of Object.values(allSymbols)) {
+    counts[info.kind] = (counts[info.kind] || 0) + 1;
+  }
+  console.log(`Found ${Object.keys(allSymbols).length} symbols`);
+  for (const [kind, count] of Object.entries(counts).sort()) {
+    console.log(`  - ${kind}: ${count}`);
+  }
+  if (duplicates.size > 0) {
+    console.log(`${duplicates.size} symbols are defined more than once (first definition kept)`);
+  }
+
+  // Sort for stable output
+  const index = {
+    _meta: {
+      repo: 'fallout2-ce/fallout2-ce',
+      commit: commit,
+      shortCommit: shortCommit,
+      generatedAt: new Date().toISOString(),
+      symbolCount: Object.keys(allSymbols).length,
+    },
+    symbols: {},
+  };
+  for (const name of Object.keys(allSymbols).sort()) {
+    index.symbols[name] = allSymbols[name];
+  }
+
+  // Load existing index if it exists
+  let existingIndex = { _meta: {}, symbols: {} };
+  if (fs.existsSync(OUTPUT_FILE)) {
+    try {
+      existingIndex = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf-8'));
+    } catch (e) {
+      console.warn('Could not parse existing index, treating as empty');
+    }
+  }
+
+  const changes = compareIndices(existingIndex, index, { entries: 'symbols', classify: classifySymbol });
+
+  if (!hasChanges(changes)) {
+    console.log('\nNo changes detected. Index is up to date.');
+    return;
+  }
+
+  printChanges(changes, [{ key: 'modified', title: '~ MODIFIED', print: printModified }]);
+
+  if (dryRun) {
+    console.log('\nDry run complete. No files written.');
+    return;
+  }
+
+  let shouldWrite = autoConfirm;
+  if (!autoConfirm) {
+    shouldWrite = await askConfirmation('\nWrite changes to symbol-index.json? (y/N) ');
+  }
+
+  if (shouldWrite) {
+    fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(index, null, 2));
+    console.log(`\nWrote symbol index to: ${OUTPUT_FILE}`);
+  } else {
+    console.log('\nAborted. No changes written.');
+  }
+}
+
+main().catch(e => {
+  console.error('Error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,312 @@
+/**
+ * Minimal C/C++ lexer used by the index generators.
+ *
+ * It only understands as much of the language as is needed to find block
+ * boundaries reliably: comments, string/char literals (including raw strings),
+ * preprocessor directives, identifiers, numbers and single-character
+ * punctuation. Braces inside any of the skipped constructs are never counted.
+ *
+ * Of each #if/#elif/#else group only the first branch is read (the #else
+ * branch of `#if 0`), as ctags does: tokens in the other branches are marked
+ * `inactive`, so a signature written once per branch opens one block.
+ */
+
+/**
+ * Split C/C++ source into tokens
+ * Each token is { type, value, line } with a 1-indexed line number, plus
+ * `inactive: true` in skipped preprocessor branches. Types: 'ident',
+ * 'number', 'string', 'char', 'punct', 'comment', 'preprocessor'.
+ */
+function tokenize(source) {
+  const tokens = [];
+  const length = source.length;
+  let pos = 0;
+  let line = 1;
+  let atLineStart = true;
+
+  // Advance over source[from..to), counting newlines
+  function advance(to) {
+    for (let i = pos; i < to; i++) {
+      if (source[i] === '\n') line++;
+    }
+    pos = to;
+  }
+
+  // Index just past a quoted literal starting at `start` (the opening quote)
+  // An unterminated literal ends before the newline, so the directive or
+  // line it is on ends there too.
+  function skipQuoted(start, quote) {
+    let i = start + 1;
+    while (i < length) {
+      const c = source[i];
+      if (c === '\\') {
+        i += source.startsWith('\r\n', i + 1) ? 3 : 2;
+      } else if (c === quote) {
+        return i + 1;
+      } else if (c === '\n') {
+        return i;
+      } else {
+        i++;
+      }
+    }
+    return length;
+  }
+
+  // Index just past a block comment starting at `start`
+  function skipBlockComment(start) {
+    const end = source.indexOf('*/', start + 2);
+    return end === -1 ? length : end + 2;
+  }
+
+  // Index just past a line comment (honours backslash continuations)
+  function skipLineComment(start) {
+    let i = start;
+    while (i < length && source[i] !== '\n') {
+      if (source[i] === '\\' && source[i + 1] === '\n') i++;
+      i++;
+    }
+    return i;
+  }
+
+  while (pos < length) {
+    const c = source[pos];
+    const start = pos;
+    const startLine = line;
+
+    if (c === '\n') {
+      atLineStart = true;
+      advance(pos + 1);
+      continue;
+    }
+    if (c === ' ' || c === '\t' || c === '\r' || c === '\f' || c === '\v') {
+      pos++;
+      continue;
+    }
+
+    // Preprocessor directive: runs to the end of the line, with continuations
+    if (c === '#' && atLineStart) {
+      let i = pos + 1;
+      while (i < length && source[i] !== '\n') {
+        if (source[i] === '\\' && (source[i + 1] === '\n' || source.startsWith('\r\n', i + 1))) {
+          i += source[i + 1] === '\r' ? 3 : 2;
+        } else if (source[i] === '/' && source[i + 1] === '*') {
+          i = skipBlockComment(i);
+        } else if (source[i] === '/' && source[i + 1] === '/') {
+          i = skipLineComment(i);
+        } else if (source[i] === '"' || source[i] === '\'') {
+          i = skipQuoted(i, source[i]);
+        } else {
+          i++;
+        }
+      }
+      advance(i);
+      tokens.push({ type: 'preprocessor', value: source.slice(start, i), line: startLine });
+      continue;
+    }
+
+    atLineStart = false;
+
+    if (c === '/' && source[pos + 1] === '/') {
+      advance(skipLineComment(pos));
+      tokens.push({ type: 'comment', value: source.slice(start, pos), line: startLine });
+      continue;
+    }
+    if (c === '/' && source[pos + 1] === '*') {
+      advance(skipBlockComment(pos));
+      tokens.push({ type: 'comment', value: source.slice(start, pos), line: startLine });
+      continue;
+    }
+
+    // Identifiers, including string prefixes (u8, u, U, L, R and combinations)
+    if (/[A-Za-z_]/.test(c)) {
+      let i = pos + 1;
+      while (i < length && /[A-Za-z0-9_]/.test(source[i])) i++;
+      const word = source.slice(pos, i);
+
+      // Raw string literal: R"delim( ... )delim"
+      if (/^(?:u8|u|U|L)?R$/.test(word) && source[i] === '"') {
+        const open = source.indexOf('(', i);
+        const delimiter = source.slice(i + 1, open);
+        const close = source.indexOf(`)${delimiter}"`, open);
+        const end = close === -1 ? length : close + delimiter.length + 2;
+        advance(end);
+        tokens.push({ type: 'string', value: source.slice(start, end), line: startLine });
+        continue;
+      }
+      // Prefixed ordinary literal: u8"...", L'x'
+      if (/^(?:u8|u|U|L)$/.test(word) && (source[i] === '"' || source[i] === '\'')) {
+        const end = skipQuoted(i, source[i]);
+        advance(end);
+        tokens.push({
+          type: source[i] === '"' ? 'string' : 'char',
+          value: source.slice(start, end),
+          line: startLine,
+        });
+        continue;
+      }
+
+      pos = i;
+      tokens.push({ type: 'ident', value: word, line: startLine });
+      continue;
+    }
+
+    // Numbers, including digit separators (1'000) and suffixes
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+      let i = pos + 1;
+      while (i < length) {
+        if (/[A-Za-z0-9_.]/.test(source[i])) {
+          i++;
+        } else if (source[i] === '\'' && /[0-9A-Fa-f]/.test(source[i + 1] || '')) {
+          i += 2;
+        } else if ((source[i] === '+' || source[i] === '-') && /[eEpP]/.test(source[i - 1])) {
+          i++;
+        } else {
+          break;
+        }
+      }
+      pos = i;
+      tokens.push({ type: 'number', value: source.slice(start, i), line: startLine });
+      continue;
+    }
+
+    if (c === '"' || c === '\'') {
+      advance(skipQuoted(pos, c));
+      tokens.push({ type: c === '"' ? 'string' : 'char', value: source.slice(start, pos), line: startLine });
+      continue;
+    }
+
+    pos++;
+    tokens.push({ type: 'punct', value: c, line: startLine });
+  }
+
+  markInactiveBranches(tokens);
+  return tokens;
+}
+
+/**
+ * Mark the tokens of every conditional branch but the one that is read
+ * Tokens inside a conditional also get `branches`: { group, branch, read }
+ * for each enclosing #if group, innermost last.
+ */
+function markInactiveBranches(tokens) {
+  // One entry per open #if: its current branch, whether that branch is read,
+  // and whether one of its branches already was
+  const groups = [];
+  let nextGroup = 0;
+  const isZero = (condition) => /^\(?\s*0\s*\)?$/.test(condition.replace(/\/\*.*?\*\/|\/\/.*$/g, '').trim());
+
+  for (const token of tokens) {
+    if (token.type === 'preprocessor') {
+      const match = token.value.match(/^#\s*(\w+)([\s\S]*)$/);
+      const directive = match ? match[1] : '';
+      const condition = match ? match[2] : '';
+      const group = groups[groups.length - 1];
+      if (directive === 'if' || directive === 'ifdef' || directive === 'ifndef') {
+        const read = !(directive === 'if' && isZero(condition));
+        groups.push({ group: nextGroup++, branch: 0, read, taken: read });
+      } else if (directive === 'elif' && group) {
+        group.branch++;
+        group.read = !group.taken && !isZero(condition);
+        group.taken = group.taken || group.read;
+      } else if (directive === 'else' && group) {
+        group.branch++;
+        group.read = !group.taken;
+        group.taken = true;
+      } else if (directive === 'endif') {
+        groups.pop();
+      }
+      continue;
+    }
+    if (groups.length > 0) {
+      token.branches = groups.map(({ group, branch, read }) => ({ group, branch, read }));
+      if (groups.some((group) => !group.read)) {
+        token.inactive = true;
+      }
+    }
+  }
+}
+
+/**
+ * Predicate for the tokens read together with `start`
+ * For a token in a skipped branch this is that branch (and the code around
+ * it), so a block that opens in one is still matched.
+ */
+function sameBranches(start) {
+  const chosen = new Map((start?.branches || []).map(({ group, branch }) => [group, branch]));
+  return (token) => !token.branches || token.branches.every(({ group, branch, read }) =>
+    (chosen.has(group) ? chosen.get(group) === branch : read));
+}
+
+/**
+ * Index of the first token on or after a 1-indexed line
+ */
+function firstTokenAtLine(tokens, line) {
+  let lo = 0;
+  let hi = tokens.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (tokens[mid].line < line) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Find the token index of the brace closing the block opened at `openIndex`
+ * Returns -1 if the block is never closed. Braces in other preprocessor
+ * branches than the opening brace's are ignored.
+ */
+function findMatchingBrace(tokens, openIndex) {
+  const read = sameBranches(tokens[openIndex]);
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'punct' || !read(token)) continue;
+    if (token.value === '{') {
+      depth++;
+    } else if (token.value === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the end of a function whose signature starts at a 1-indexed line
+ *
+ * Returns:
+ * - { endLine, openIndex, closeIndex } for a definition
+ * - { declaration: true } when a ';' precedes the body (prototype only)
+ * - null when the body is never opened or never closed
+ */
+function findFunctionEnd(tokens, startLine) {
+  const first = firstTokenAtLine(tokens, startLine);
+  const read = sameBranches(tokens[first]);
+  let parenDepth = 0;
+  for (let i = first; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'punct' || !read(token)) continue;
+    if (token.value === '(') {
+      parenDepth++;
+    } else if (token.value === ')') {
+      parenDepth--;
+    } else if (token.value === ';' && parenDepth === 0) {
+      return { declaration: true };
+    } else if (token.value === '{') {
+      const closeIndex = findMatchingBrace(tokens, i);
+      if (closeIndex === -1) return null;
+      return { endLine: tokens[closeIndex].line, openIndex: i, closeIndex };
+    } else if (token.value === '}') {
+      return null;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  tokenize,
+  firstTokenAtLine,
+  findMatchingBrace,
+  findFunctionEnd,
+};
@@ -0,0 +1,131 @@
+/**
+ * Reads Fallout 2 art: FRM sprites (and the single-direction .FR0-.FR5
+ * files) and the color.pal palette, as described in docs/formats/frm.mdx
+ * and read by artRead() in fallout2-ce's art.cc.
+ *
+ * Like the other format parsers, this has no file system access; it decodes
+ * bytes, so the FRM viewer runs it in the browser.
+ */
+
+// Directions in file order, clockwise from north-east
+const DIRECTIONS = ['NE', 'E', 'SE', 'SW', 'W', 'NW'];
+
+const HEADER_SIZE = 0x3e;
+const FRAME_HEADER_SIZE = 12;
+
+/**
+ * Parse an FRM file
+ *
+ * `data` is a Uint8Array (or Buffer) with the whole file. Returns
+ * { version, fps, actionFrame, framesPerDirection, shiftX, shiftY,
+ *   dataOffsets, frameAreaSize, directions }:
+ * - `shiftX`, `shiftY`, `dataOffsets`: the six per-direction header values;
+ *   data offsets are relative to the end of the header (0x3E)
+ * - `directions`: six arrays of frames { offset, width, height, offsetX,
+ *   offsetY, pixels }, where `offset` is the frame's position in the file
+ *   and `pixels` the width * height palette indices, row by row. Directions
+ *   with the same data offset share their frames, so a file with one
+ *   direction has the same array six times.
+ *
+ * Throws when the file ends inside the header or a frame.
+ */
+function parseFrm(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (data.byteLength < HEADER_SIZE) {
+    throw new Error(`File is ${data.byteLength} bytes, shorter than the ${HEADER_SIZE}-byte header`);
+  }
+
+  const frm = {
+    version: view.getUint32(0x00),
+    fps: view.getUint16(0x04),
+    actionFrame: view.getUint16(0x06),
+    framesPerDirection: view.getUint16(0x08),
+    shiftX: DIRECTIONS.map((_, i) => view.getInt16(0x0a + i * 2)),
+    shiftY: DIRECTIONS.map((_, i) => view.getInt16(0x16 + i * 2)),
+    dataOffsets: DIRECTIONS.map((_, i) => view.getUint32(0x22 + i * 4)),
+    frameAreaSize: view.getUint32(0x3a),
+  };
+
+  const byOffset = new Map();
+  frm.directions = frm.dataOffsets.map((dataOffset, direction) => {
+    if (byOffset.has(dataOffset)) {
+      return byOffset.get(dataOffset);
+    }
+
+    const frames = [];
+    let offset = HEADER_SIZE + dataOffset;
+    for (let i = 0; i < frm.framesPerDirection; i++) {
+      if (offset + FRAME_HEADER_SIZE > data.byteLength) {
+        throw new Error(`File ends inside the header of ${DIRECTIONS[direction]} frame ${i} (0x${offset.toString(16).toUpperCase()})`);
+      }
+      const width = view.getUint16(offset);
+      const height = view.getUint16(offset + 2);
+      const size = width * height;
+      if (offset + FRAME_HEADER_SIZE + size > data.byteLength) {
+        throw new Error(`File ends inside the pixels of ${DIRECTIONS[direction]} frame ${i} (${width}x${height})`);
+      }
+      frames.push({
+        offset,
+        width,
+        height,
+        offsetX: view.getInt16(offset + 8),
+        offsetY: view.getInt16(offset + 10),
+        pixels: data.subarray(offset + FRAME_HEADER_SIZE, offset + FRAME_HEADER_SIZE + size),
+      });
+      offset += FRAME_HEADER_SIZE + size;
+    }
+    byOffset.set(dataOffset, frames);
+    return frames;
+  });
+
+  return frm;
+}
+
+/**
+ * Parse a palette (color.pal, or another .pal)
+ * Returns 256 [r, g, b] colors scaled to 0-255. The file stores 6-bit
+ * components (0-63); components above 63 mark unused entries, which become
+ * black. The lookup tables after the 768 color bytes are ignored.
+ */
+function parsePalette(data) {
+  if (data.byteLength < 768) {
+    throw new Error(`Palette is ${data.byteLength} bytes, shorter than 256 RGB triples (768 bytes)`);
+  }
+  const colors = [];
+  for (let i = 0; i < 256; i++) {
+    const rgb = [data[i * 3], data[i * 3 + 1], data[i * 3 + 2]];
+    colors.push(rgb.some((c) => c > 63) ? [0, 0, 0] : rgb.map((c) => c * 4));
+  }
+  return colors;
+}
+
+/**
+ * Gray ramp to show frames with when no palette is loaded
+ */
+function grayPalette() {
+  return Array.from({ length: 256 }, (_, i) => [i, i, i]);
+}
+
+/**
+ * Frame pixels as RGBA bytes (for ImageData); index 0 is transparent
+ */
+function frameToRgba(frame, palette) {
+  const rgba = new Uint8ClampedArray(frame.width * frame.height * 4);
+  frame.pixels.forEach((index, i) => {
+    if (index === 0) return;
+    const [r, g, b] = palette[index];
+    rgba[i * 4] = r;
+    rgba[i * 4 + 1] = g;
+    rgba[i * 4 + 2] = b;
+    rgba[i * 4 + 3] = 255;
+  });
+  return rgba;
+}
+
+module.exports = {
+  DIRECTIONS,
+  parseFrm,
+  parsePalette,
+  grayPalette,
+  frameToRgba,
+};
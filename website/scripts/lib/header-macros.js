@@ -0,0 +1,46 @@
+/**
+ * Macros from the Restoration Project headers (command.h, animcomd.h and
+ * friends) that scripts call like functions
+ *
+ * The reference documents them next to the engine functions they expand
+ * to, but the engine has no opcode by these names, so they are neither
+ * implemented nor missing in fallout2-ce. A define index generated from the
+ * full headers lists them as macros too; this list keeps the linter, the
+ * compatibility dataset and the coverage report right when it does not.
+ */
+
+const HEADER_MACROS = [
+  'animate_rotation',
+  'animate_run_to_tile',
+  'animate_set_frame',
+  'animate_stand',
+  'animate_stand_reverse',
+  'attack',
+  'boption',
+  'create_object',
+  'critter_skill_level',
+  'gdialog_barter',
+  'giq_option_macro',
+  'goption',
+  'gsay_end_macro',
+  'gsay_message_macro',
+  'gsay_option_macro',
+  'gsay_reply_macro',
+  'gsay_start_macro',
+  'inven_count',
+  'inven_ptr',
+  'nmessage',
+  'noption',
+  'obj_is_visible_flag',
+  'reg_anim_begin',
+  'reg_anim_clear',
+  'reg_anim_end',
+  'reply',
+  'rm_fixed_timer_event',
+  'start_dialogue',
+  'wield_obj',
+];
+
+module.exports = {
+  HEADER_MACROS,
+};
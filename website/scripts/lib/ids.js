@@ -0,0 +1,114 @@
+/**
+ * Fallout 2 object IDs: the bit fields of PIDs (prototypes), FIDs (art) and
+ * SIDs (scripts), as packed by fallout2-ce.
+ *
+ * Pure functions, shared by the ID decoder, the PRO inspector and the map
+ * viewer, and imported by the tests.
+ */
+
+// Object types (PID/FID type byte); 6-10 only occur in FIDs
+const OBJECT_TYPES = [
+  'Item', 'Critter', 'Scenery', 'Wall', 'Tile', 'Misc',
+  'Interface', 'Inventory', 'Head', 'Background', 'Skilldex',
+];
+
+// Script types (SID type byte)
+const SCRIPT_TYPES = ['System', 'Spatial', 'Time', 'Item', 'Critter'];
+
+// Hex directions, clockwise from north-east
+const ROTATIONS = ['NE', 'E', 'SE', 'SW', 'W', 'NW'];
+
+// Weapon animation codes and the letter they use in critter FRM names
+const WEAPON_CODES = [
+  'None (a)', 'Knife (d)', 'Club (e)', 'Hammer (f)', 'Spear (g)', 'Pistol (h)',
+  'SMG (i)', 'Rifle (j)', 'Big gun (k)', 'Minigun (l)', 'Rocket launcher (m)',
+];
+
+// enum AnimationType in fallout2-ce's animation.h
+const ANIMATIONS = [
+  'ANIM_STAND', 'ANIM_WALK', 'ANIM_JUMP_BEGIN', 'ANIM_JUMP_END', 'ANIM_CLIMB_LADDER',
+  'ANIM_FALLING', 'ANIM_UP_STAIRS_RIGHT', 'ANIM_UP_STAIRS_LEFT', 'ANIM_DOWN_STAIRS_RIGHT',
+  'ANIM_DOWN_STAIRS_LEFT', 'ANIM_MAGIC_HANDS_GROUND', 'ANIM_MAGIC_HANDS_MIDDLE',
+  'ANIM_MAGIC_HANDS_UP', 'ANIM_DODGE_ANIM', 'ANIM_HIT_FROM_FRONT', 'ANIM_HIT_FROM_BACK',
+  'ANIM_THROW_PUNCH', 'ANIM_KICK_LEG', 'ANIM_THROW_ANIM', 'ANIM_RUNNING', 'ANIM_FALL_BACK',
+  'ANIM_FALL_FRONT', 'ANIM_BAD_LANDING', 'ANIM_BIG_HOLE', 'ANIM_CHARRED_BODY',
+  'ANIM_CHUNKS_OF_FLESH', 'ANIM_DANCING_AUTOFIRE', 'ANIM_ELECTRIFY', 'ANIM_SLICED_IN_HALF',
+  'ANIM_BURNED_TO_NOTHING', 'ANIM_ELECTRIFIED_TO_NOTHING', 'ANIM_EXPLODED_TO_NOTHING',
+  'ANIM_MELTED_TO_NOTHING', 'ANIM_FIRE_DANCE', 'ANIM_FALL_BACK_BLOOD', 'ANIM_FALL_FRONT_BLOOD',
+  'ANIM_PRONE_TO_STANDING', 'ANIM_BACK_TO_STANDING', 'ANIM_TAKE_OUT', 'ANIM_PUT_AWAY',
+  'ANIM_PARRY_ANIM', 'ANIM_THRUST_ANIM', 'ANIM_SWING_ANIM', 'ANIM_POINT', 'ANIM_UNPOINT',
+  'ANIM_FIRE_SINGLE', 'ANIM_FIRE_BURST', 'ANIM_FIRE_CONTINUOUS', 'ANIM_FALL_BACK_SF',
+  'ANIM_FALL_FRONT_SF', 'ANIM_BAD_LANDING_SF', 'ANIM_BIG_HOLE_SF', 'ANIM_CHARRED_BODY_SF',
+  'ANIM_CHUNKS_OF_FLESH_SF', 'ANIM_DANCING_AUTOFIRE_SF', 'ANIM_ELECTRIFY_SF',
+  'ANIM_SLICED_IN_HALF_SF', 'ANIM_BURNED_TO_NOTHING_SF', 'ANIM_ELECTRIFIED_TO_NOTHING_SF',
+  'ANIM_EXPLODED_TO_NOTHING_SF', 'ANIM_MELTED_TO_NOTHING_SF', 'ANIM_FIRE_DANCE_SF',
+  'ANIM_FALL_BACK_BLOOD_SF', 'ANIM_FALL_FRONT_BLOOD_SF', 'ANIM_CALLED_SHOT_PIC',
+];
+
+/**
+ * Bit layouts of each ID kind, highest field first: { key, label, shift, bits,
+ * names? }, where `shift` is the position of the field's lowest bit and
+ * `names` names its values by number. FIDs follow buildFid() in fallout2-ce's art.cc:
+ * (rotation << 28) | (type << 24) | (anim << 16) | (weapon << 12) | id
+ */
+const ID_LAYOUTS = {
+  pid: [
+    { key: 'type', label: 'Object type', shift: 24, bits: 8, names: OBJECT_TYPES },
+    { key: 'index', label: 'Proto number (line in the type\'s .lst)', shift: 0, bits: 24 },
+  ],
+  fid: [
+    { key: 'rotation', label: 'Rotation', shift: 28, bits: 3, names: ROTATIONS },
+    { key: 'type', label: 'Object type', shift: 24, bits: 4, names: OBJECT_TYPES },
+    { key: 'anim', label: 'Animation', shift: 16, bits: 8, names: ANIMATIONS },
+    { key: 'weapon', label: 'Weapon code', shift: 12, bits: 4, names: WEAPON_CODES },
+    { key: 'id', label: 'Art ID (line in the type\'s .lst)', shift: 0, bits: 12 },
+  ],
+  sid: [
+    { key: 'type', label: 'Script type', shift: 24, bits: 8, names: SCRIPT_TYPES },
+    { key: 'index', label: 'Script index', shift: 0, bits: 24 },
+  ],
+};
+
+/**
+ * Split an ID into its fields
+ * `kind` is 'pid', 'fid' or 'sid'; returns the field values by key.
+ */
+function decodeId(kind, value) {
+  const parts = {};
+  for (const field of ID_LAYOUTS[kind]) {
+    parts[field.key] = Math.floor((value >>> 0) / 2 ** field.shift) % 2 ** field.bits;
+  }
+  return parts;
+}
+
+/**
+ * Build an ID from its fields; each field is masked to its width and missing
+ * fields are 0. The result is an unsigned 32-bit number.
+ */
+function encodeId(kind, parts) {
+  let value = 0;
+  for (const field of ID_LAYOUTS[kind]) {
+    const part = (parts[field.key] || 0) % 2 ** field.bits;
+    value += (part < 0 ? part + 2 ** field.bits : part) * 2 ** field.shift;
+  }
+  return value >>> 0;
+}
+
+/**
+ * Format an ID as 8-digit hex (e.g. 0x01000004)
+ */
+function formatId(value) {
+  return `0x${(value >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
+module.exports = {
+  OBJECT_TYPES,
+  SCRIPT_TYPES,
+  ROTATIONS,
+  WEAPON_CODES,
+  ANIMATIONS,
+  ID_LAYOUTS,
+  decodeId,
+  encodeId,
+  formatId,
+};
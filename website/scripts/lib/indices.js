@@ -0,0 +1,286 @@
+/**
+ * The generated indices in src/data/ and the pieces their generators share:
+ * loading and validating an index file, picking the SSL entries out of the
+ * function index, diffing two versions of an index and asking before one is
+ * overwritten.
+ *
+ * Used by the generators, the fallout-indices Docusaurus plugin
+ * (src/plugins/indices.js) and the remark plugin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'src', 'data');
+
+// _meta fields every fallout2-ce / Restoration Project index carries
+const SOURCE_META = ['repo', 'commit', 'shortCommit'];
+
+/**
+ * Every index: its file in src/data/, the key holding its entries, the
+ * required _meta strings and entry fields (name -> type), and the npm
+ * script that regenerates it
+ */
+const INDICES = {
+  functions: {
+    label: 'Function index',
+    file: 'function-index.json',
+    entries: 'functions',
+    meta: SOURCE_META,
+    fields: { file: 'string', startLine: 'integer' },
+    command: 'generate-index',
+  },
+  defines: {
+    label: 'Define index',
+    file: 'define-index.json',
+    entries: 'defines',
+    meta: SOURCE_META,
+    fields: { file: 'string', line: 'integer' },
+    command: 'generate-defines',
+  },
+  symbols: {
+    label: 'Symbol index',
+    file: 'symbol-index.json',
+    entries: 'symbols',
+    meta: SOURCE_META,
+    fields: { file: 'string', startLine: 'integer' },
+    command: 'generate-symbols',
+  },
+  compatibility: {
+    label: 'Compatibility dataset',
+    file: 'compatibility.json',
+    entries: 'functions',
+    meta: ['commit', 'shortCommit'],
+    fields: { origin: 'string', ce: 'boolean' },
+    command: 'generate-compatibility',
+  },
+};
+
+// Problems reported per index before the rest are summarized
+const MAX_PROBLEMS = 10;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasType(value, type) {
+  return type === 'integer' ? Number.isInteger(value) : typeof value === type;
+}
+
+/**
+ * Check the shape of a parsed index
+ * Returns a list of problems; empty when the index is valid.
+ */
+function validateIndex(kind, index) {
+  const { entries, meta, fields } = INDICES[kind];
+  const problems = [];
+
+  if (!isObject(index)) {
+    return ['not a JSON object'];
+  }
+  if (!isObject(index._meta)) {
+    problems.push('missing _meta');
+  } else {
+    for (const field of meta) {
+      if (typeof index._meta[field] !== 'string') {
+        problems.push(`_meta.${field} is not a string`);
+      }
+    }
+  }
+  if (!isObject(index[entries])) {
+    problems.push(`missing "${entries}" object`);
+    return problems;
+  }
+
+  const required = Object.entries(fields).map(([field, type]) => `${type} "${field}"`).join(', ');
+  for (const [name, info] of Object.entries(index[entries])) {
+    if (!isObject(info)) {
+      problems.push(`${name}: entry is not an object`);
+    } else if (!Object.entries(fields).every(([field, type]) => hasType(info[field], type))) {
+      problems.push(`${name}: needs ${required}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read and validate an index from src/data/ (or `dataDir`)
+ * Throws when the file is missing, is not JSON or does not look like an index.
+ */
+function loadIndex(kind, dataDir = DATA_DIR) {
+  const { label, file, command } = INDICES[kind];
+  const filePath = path.join(dataDir, file);
+  const hint = `Run "npm run ${command}" to regenerate it.`;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${label} not found: ${filePath}. ${hint}`);
+  }
+
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${label} ${filePath} is not valid JSON: ${e.message}. ${hint}`);
+  }
+
+  const problems = validateIndex(kind, index);
+  if (problems.length > 0) {
+    const shown = problems.slice(0, MAX_PROBLEMS).map((p) => `  - ${p}`);
+    if (problems.length > MAX_PROBLEMS) {
+      shown.push(`  ... and ${problems.length - MAX_PROBLEMS} more`);
+    }
+    throw new Error(`${label} ${filePath} is malformed:\n${shown.join('\n')}\n${hint}`);
+  }
+
+  return index;
+}
+
+/**
+ * Determine whether a function index entry is a vanilla or sfall function
+ * sfall opcodes and metarules live in the sfall_* sources in fallout2-ce
+ */
+function getOrigin(info) {
+  return /(^|\/)sfall_/.test(info.file) ? 'sfall' : 'vanilla';
+}
+
+/**
+ * Collect SSL entries from the function index (entries with a C++ handler
+ * name, plus metarule cases) keyed by SSL name, leaving out removed ones
+ */
+function getSslFunctions(index) {
+  const functions = {};
+  for (const [name, info] of Object.entries(index.functions)) {
+    if (info.removedIn !== undefined) continue;
+    if (info.cppName || info.kind === 'metarule') {
+      functions[name] = info;
+    }
+  }
+  return functions;
+}
+
+/**
+ * Ask user for confirmation
+ */
+function askConfirmation(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+    });
+  });
+}
+
+/**
+ * Compare two versions of an index and return changes
+ * `classify(oldInfo, newInfo)` sorts an entry present in both into one of
+ * `buckets`, or returns null when it did not change.
+ */
+function compareIndices(oldIndex, newIndex, { entries, classify, buckets = ['modified'] }) {
+  const changes = {
+    added: [],
+    removed: [],
+    commitChanged: false,
+  };
+  for (const bucket of buckets) {
+    changes[bucket] = [];
+  }
+
+  const oldEntries = oldIndex[entries] || {};
+  const newEntries = newIndex[entries] || {};
+
+  // Check for commit change
+  if (oldIndex._meta?.shortCommit !== newIndex._meta?.shortCommit) {
+    changes.commitChanged = true;
+    changes.oldCommit = oldIndex._meta?.shortCommit || 'none';
+    changes.newCommit = newIndex._meta?.shortCommit;
+  }
+
+  // Find added and changed
+  for (const [name, newInfo] of Object.entries(newEntries)) {
+    const oldInfo = oldEntries[name];
+    if (!oldInfo) {
+      changes.added.push(name);
+      continue;
+    }
+    const bucket = classify(oldInfo, newInfo);
+    if (bucket) {
+      changes[bucket].push({ name, old: oldInfo, new: newInfo });
+    }
+  }
+
+  // Find removed
+  for (const name of Object.keys(oldEntries)) {
+    if (!newEntries[name]) {
+      changes.removed.push(name);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Print one section of a change summary, at most `limit` entries
+ */
+function printSection(items, heading, limit, printItem) {
+  if (items.length === 0) {
+    return;
+  }
+  console.log(`\n${heading}:`);
+  items.slice(0, limit).forEach(printItem);
+  if (items.length > limit) {
+    console.log(`  ... and ${items.length - limit} more`);
+  }
+}
+
+/**
+ * Print changes summary
+ * Added and removed names are listed first, then each of `sections`:
+ * { key, title, note?, limit?, print(change) } for the bucket `key`.
+ */
+function printChanges(changes, sections) {
+  console.log('\n' + '='.repeat(60));
+  console.log('CHANGES DETECTED');
+  console.log('='.repeat(60));
+
+  if (changes.commitChanged) {
+    console.log(`\nCommit: ${changes.oldCommit} -> ${changes.newCommit}`);
+  }
+
+  printSection(changes.added, `+ ADDED (${changes.added.length})`, 20, (name) => console.log(`  + ${name}`));
+  printSection(changes.removed, `- REMOVED (${changes.removed.length})`, 20, (name) => console.log(`  - ${name}`));
+
+  for (const { key, title, note, limit = 10, print } of sections) {
+    const items = changes[key];
+    const count = note ? `${items.length}, ${note}` : items.length;
+    printSection(items, `${title} (${count})`, limit, print);
+  }
+
+  console.log('\n' + '='.repeat(60));
+}
+
+/**
+ * Whether a comparison found anything to write
+ */
+function hasChanges(changes) {
+  return Object.values(changes).some((value) => value === true || (Array.isArray(value) && value.length > 0));
+}
+
+module.exports = {
+  DATA_DIR,
+  INDICES,
+  validateIndex,
+  loadIndex,
+  getOrigin,
+  getSslFunctions,
+  askConfirmation,
+  compareIndices,
+  printChanges,
+  hasChanges,
+};
@@ -0,0 +1,33 @@
+/**
+ * Reads Fallout 2 list (.lst) files: one file name per line, indexing the
+ * protos of a proto/ directory or the art of an art/ directory, as described
+ * in docs/formats/lst.mdx.
+ *
+ * Like the other format parsers, this has no file system access.
+ */
+
+/**
+ * Parse the text of a .lst file
+ *
+ * Returns [{ line, name, rest }] for every line, in order. `line` is the
+ * 1-based line number: the index a PID uses (PID 0x00000003 is line 3),
+ * while FIDs count from 0. `name` is the text up to the first whitespace,
+ * `;` or `,` (empty for a blank line); `rest` is whatever follows, such as
+ * a comment or the extra fields of art/critters/critters.lst. Blank lines at
+ * the end of the file are not entries.
+ */
+function parseLst(text) {
+  const lines = text.split(/\r?\n/);
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+
+  return lines.map((raw, index) => {
+    const match = raw.match(/^\s*([^\s;,]*)\s*[;,]?\s*(.*?)\s*$/);
+    return { line: index + 1, name: match[1], rest: match[2] };
+  });
+}
+
+module.exports = {
+  parseLst,
+};
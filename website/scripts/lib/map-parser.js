@@ -0,0 +1,326 @@
+/**
+ * Reads Fallout 2 maps (.map): the header, map and local variables, the
+ * floor and roof tiles of each elevation, the scripts and the objects, as
+ * described in docs/formats/map.mdx and read by mapLoad() in fallout2-ce's
+ * map.cc.
+ *
+ * Like the other format parsers, this has no file system access; it decodes
+ * bytes, so the map viewer runs it in the browser.
+ */
+
+const { pidType } = require('./pro-parser');
+
+const HEADER_SIZE = 0xec;
+const TILE_COUNT = 10000;
+const ELEVATION_COUNT = 3;
+
+// Header flag bits marking an elevation with no tiles
+const NO_ELEVATION_FLAGS = [0x2, 0x4, 0x8];
+
+const SCRIPT_TYPES = ['system', 'spatial', 'timer', 'item', 'critter'];
+const SCRIPT_EXTENT_SIZE = 16;
+
+const FIRST_EXIT_GRID_PID = 0x05000010;
+const LAST_EXIT_GRID_PID = 0x05000017;
+
+// Values after the common object data, by item or scenery subtype
+const ITEM_DATA = {
+  weapon: ['ammoQuantity', 'ammoPid'],
+  ammo: ['quantity'],
+  misc: ['charges'],
+  key: ['keyCode'],
+};
+
+const SCENERY_DATA = {
+  door: ['openFlags'],
+  stairs: ['destinationTile', 'destinationMap'],
+  elevator: ['elevatorType', 'elevatorLevel'],
+  ladderUp: ['destinationMap', 'destinationTile'],
+  ladderDown: ['destinationMap', 'destinationTile'],
+};
+
+const CRITTER_DATA = [
+  'reaction', 'damageLastTurn', 'maneuver', 'ap', 'results', 'aiPacket', 'team', 'whoHitMe',
+  'hp', 'radiation', 'poison',
+];
+
+const EXIT_GRID_DATA = ['destinationMap', 'destinationTile', 'destinationElevation', 'destinationRotation'];
+
+function formatOffset(offset) {
+  return `0x${offset.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+function formatPid(pid) {
+  return `0x${(pid >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
+/**
+ * Field names of the data following an item's or scenery's common data
+ */
+function subtypeData(kind, subtype, version) {
+  if (kind === 'item') {
+    return ITEM_DATA[subtype] || [];
+  }
+  if ((subtype === 'ladderUp' || subtype === 'ladderDown') && version === 19) {
+    // Fallout 1 maps store only the tile
+    return ['destinationTile'];
+  }
+  return SCENERY_DATA[subtype] || [];
+}
+
+/**
+ * Parse a .map file
+ *
+ * `data` is a Uint8Array (or Buffer) with the whole file. Items and scenery
+ * store extra values depending on their subtype, which only the proto knows,
+ * so `options.subtypeOf(pid)` should return the subtype name of an item or
+ * scenery PID ('weapon', 'door', ... as in pro-parser.js). For PIDs it
+ * returns nothing for (or without the option), the number of values (0-2)
+ * is inferred by checking which is followed by a plausible object; the
+ * object is then marked `guessed` and the values are in `data.values`.
+ *
+ * Returns { header, globalVars, localVars, tiles, scripts, objects }:
+ * - `header`: { version, name, enteringTile, enteringElevation,
+ *   enteringRotation, localVarsCount, scriptIndex, flags, darkness,
+ *   globalVarsCount, mapIndex, lastVisitTime }; `scriptIndex` is the map
+ *   script's 1-based line in scripts.lst, or 0 for none
+ * - `globalVars`, `localVars`: the variable values; map variables (MVARs)
+ *   are the global ones, and scripts' LVARs are slices of the local ones
+ * - `tiles`: per elevation, null when the header flags leave it out, or
+ *   { floor, roof } arrays of 10000 16-bit values: 4 flag bits and a 12-bit
+ *   line in art/tiles/tiles.lst
+ * - `scripts`: { offset, type, sid, tile?, elevation?, radius?, time?,
+ *   flags, index, ownerId, localVarsOffset, localVarsCount } for each script
+ *   in use; `index` is the 0-based line in scripts.lst
+ * - `objects`: per elevation, objects as { offset, id, tile, x, y, sx, sy,
+ *   frame, rotation, fid, flags, elevation, pid, kind, cid, lightDistance,
+ *   lightIntensity, sid, scriptIndex, inventoryCapacity, data, inventory,
+ *   subtype?, guessed? }, where `inventory` holds { quantity, object } and
+ *   `data` the type-specific values
+ *
+ * Throws when the version is not 19 or 20, the file ends early, or the data
+ * size of an object cannot be worked out.
+ */
+function parseMap(data, options = {}) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const end = data.byteLength;
+  let offset = 0;
+
+  function need(size, what) {
+    if (offset + size > end) {
+      throw new Error(`File ends at ${formatOffset(end)} inside ${what} (${formatOffset(offset)})`);
+    }
+  }
+
+  function int32(what) {
+    need(4, what);
+    const value = view.getInt32(offset);
+    offset += 4;
+    return value;
+  }
+
+  function readNamed(names, target, what) {
+    for (const name of names) {
+      target[name] = int32(`${what} ${name}`);
+    }
+    return target;
+  }
+
+  // Header
+  need(HEADER_SIZE, 'the header');
+  const nameBytes = data.subarray(0x04, 0x14);
+  const nameEnd = nameBytes.indexOf(0);
+  const header = {
+    version: view.getInt32(0x00),
+    name: String.fromCharCode(...nameBytes.subarray(0, nameEnd === -1 ? 16 : nameEnd)),
+    enteringTile: view.getInt32(0x14),
+    enteringElevation: view.getInt32(0x18),
+    enteringRotation: view.getInt32(0x1c),
+    localVarsCount: view.getInt32(0x20),
+    scriptIndex: view.getInt32(0x24),
+    flags: view.getInt32(0x28),
+    darkness: view.getInt32(0x2c),
+    globalVarsCount: view.getInt32(0x30),
+    mapIndex: view.getInt32(0x34),
+    lastVisitTime: view.getInt32(0x38),
+  };
+  if (header.version !== 19 && header.version !== 20) {
+    throw new Error(`Version ${header.version} is not a map version (19 for Fallout 1, 20 for Fallout 2)`);
+  }
+  if (header.globalVarsCount < 0 || header.localVarsCount < 0) {
+    throw new Error(`Negative variable count (${header.globalVarsCount} map, ${header.localVarsCount} local)`);
+  }
+  offset = HEADER_SIZE;
+
+  // Variables
+  const globalVars = [];
+  for (let i = 0; i < header.globalVarsCount; i++) globalVars.push(int32(`map variable ${i}`));
+  const localVars = [];
+  for (let i = 0; i < header.localVarsCount; i++) localVars.push(int32(`local variable ${i}`));
+
+  // Tiles: roof in the high 16 bits, floor in the low 16 bits
+  const tiles = NO_ELEVATION_FLAGS.map((flag, elevation) => {
+    if (header.flags & flag) return null;
+    need(TILE_COUNT * 4, `the tiles of elevation ${elevation}`);
+    const floor = new Uint16Array(TILE_COUNT);
+    const roof = new Uint16Array(TILE_COUNT);
+    for (let i = 0; i < TILE_COUNT; i++) {
+      roof[i] = view.getUint16(offset);
+      floor[i] = view.getUint16(offset + 2);
+      offset += 4;
+    }
+    return { floor, roof };
+  });
+
+  // Scripts: per type, a count and then extents of 16 slots, of which the
+  // first `length` are in use
+  const scripts = [];
+  SCRIPT_TYPES.forEach((typeName) => {
+    const count = int32(`the ${typeName} script count`);
+    const extents = Math.ceil(Math.max(count, 0) / SCRIPT_EXTENT_SIZE);
+    for (let e = 0; e < extents; e++) {
+      const slots = [];
+      for (let s = 0; s < SCRIPT_EXTENT_SIZE; s++) {
+        const script = { offset, type: null };
+        script.sid = int32('a script SID');
+        int32('a script'); // next script, unused
+        script.type = SCRIPT_TYPES[(script.sid >>> 24) & 0xff] || null;
+        if (script.type === 'spatial') {
+          const builtTile = int32('a spatial script tile');
+          script.tile = builtTile & 0x3ffffff;
+          script.elevation = (builtTile >>> 29) & 0x7;
+          script.radius = int32('a spatial script radius');
+        } else if (script.type === 'timer') {
+          script.time = int32('a timer script time');
+        }
+        script.flags = int32('script flags');
+        script.index = int32('a script index');
+        int32('a script'); // program pointer
+        script.ownerId = int32('a script owner');
+        script.localVarsOffset = int32('a script');
+        script.localVarsCount = int32('a script');
+        for (let i = 0; i < 8; i++) {
+          int32('a script'); // runtime state: return value, action, ...
+        }
+        slots.push(script);
+      }
+      const length = int32('a script extent length');
+      int32('a script extent'); // next extent, unused
+      if (length < 0 || length > SCRIPT_EXTENT_SIZE) {
+        throw new Error(`Script extent at ${formatOffset(slots[0].offset)} has ${length} scripts, more than ${SCRIPT_EXTENT_SIZE}`);
+      }
+      scripts.push(...slots.slice(0, length));
+    }
+  });
+
+  // Objects
+  const objectAt = (at) => {
+    if (at + 0x54 > end) return false;
+    const pid = view.getUint32(at + 0x2c);
+    const tile = view.getInt32(at + 0x04);
+    const fid = view.getInt32(at + 0x20);
+    const rotation = view.getInt32(at + 0x1c);
+    const elevation = view.getInt32(at + 0x28);
+    const inventoryLength = view.getInt32(at + 0x48);
+    return pidType(pid) !== null && (pid & 0xffffff) !== 0 &&
+      (fid === -1 || ((fid >>> 24) & 0x0f) === pid >>> 24) &&
+      tile >= -1 && tile < 40000 && rotation >= 0 && rotation < 6 &&
+      elevation >= 0 && elevation < ELEVATION_COUNT &&
+      inventoryLength >= 0 && inventoryLength < 10000;
+  };
+
+  // Whether the rest of the elevation list, starting at `at`, looks right:
+  // counts of the remaining elevations, each 0 or followed by an object
+  const elevationsFrom = (next) => (at) => {
+    for (let e = next; e < ELEVATION_COUNT; e++) {
+      if (at + 4 > end) return false;
+      const count = view.getInt32(at);
+      at += 4;
+      if (count < 0) return false;
+      if (count > 0) return objectAt(at);
+    }
+    return at <= end;
+  };
+
+  // `follows(at)` checks what comes after the object and its inventory
+  function readObject(what, follows) {
+    const object = { offset };
+    readNamed(['id', 'tile', 'x', 'y', 'sx', 'sy', 'frame', 'rotation', 'fid', 'flags', 'elevation', 'pid', 'cid',
+      'lightDistance', 'lightIntensity', 'outline', 'sid', 'scriptIndex'], object, what);
+    delete object.outline;
+    object.kind = pidType(object.pid);
+    if (!object.kind) {
+      throw new Error(`${what} at ${formatOffset(object.offset)} has PID ${formatPid(object.pid)}, which is not a proto PID`);
+    }
+
+    const inventoryLength = int32(`${what} inventory length`);
+    object.inventoryCapacity = int32(`${what} inventory capacity`);
+    int32(`${what} inventory`); // item array pointer
+    if (inventoryLength < 0) {
+      throw new Error(`${what} at ${formatOffset(object.offset)} has ${inventoryLength} inventory items`);
+    }
+
+    object.data = {};
+    if (object.kind === 'critter') {
+      readNamed(CRITTER_DATA, object.data, what);
+    } else {
+      object.data.flags = int32(`${what} flags`);
+      if (object.kind === 'item' || object.kind === 'scenery') {
+        const subtype = options.subtypeOf ? options.subtypeOf(object.pid) : null;
+        if (subtype) {
+          object.subtype = subtype;
+          readNamed(subtypeData(object.kind, subtype, header.version), object.data, what);
+        } else {
+          const size = guessDataSize(object, inventoryLength, follows);
+          object.data.values = [];
+          for (let i = 0; i < size; i++) object.data.values.push(int32(what));
+          object.guessed = true;
+        }
+      } else if (object.kind === 'misc' && object.pid >= FIRST_EXIT_GRID_PID && object.pid <= LAST_EXIT_GRID_PID) {
+        readNamed(EXIT_GRID_DATA, object.data, what);
+      }
+    }
+
+    object.inventory = [];
+    for (let i = 0; i < inventoryLength; i++) {
+      const quantity = int32(`${what} inventory item ${i} quantity`);
+      const last = i === inventoryLength - 1;
+      const item = readObject(`${what} inventory item ${i}`, last ? follows : (at) => objectAt(at + 4));
+      object.inventory.push({ quantity, object: item });
+    }
+    return object;
+  }
+
+  // Number of subtype values (0-2) that leaves `offset` where the next
+  // object starts
+  function guessDataSize(object, inventoryLength, follows) {
+    const check = inventoryLength > 0 ? (at) => objectAt(at + 4) : follows;
+    const size = [0, 1, 2].find((n) => check(offset + n * 4));
+    if (size === undefined) {
+      throw new Error(
+        `Cannot tell the data size of ${object.kind} ${formatPid(object.pid)} at ${formatOffset(object.offset)}; ` +
+          'its proto is needed',
+      );
+    }
+    return size;
+  }
+
+  int32('the object count');
+  const objects = [];
+  for (let elevation = 0; elevation < ELEVATION_COUNT; elevation++) {
+    const count = int32(`the object count of elevation ${elevation}`);
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      const last = i === count - 1;
+      list.push(readObject(`Object ${i} of elevation ${elevation}`, last ? elevationsFrom(elevation + 1) : objectAt));
+    }
+    objects.push(list);
+  }
+
+  return { header, globalVars, localVars, tiles, scripts, objects };
+}
+
+module.exports = {
+  SCRIPT_TYPES,
+  parseMap,
+};
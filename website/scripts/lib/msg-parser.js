@@ -0,0 +1,169 @@
+/**
+ * Reads Fallout 2 message (.msg) files: `{number}{sound}{text}` entries, as
+ * described in docs/formats/msg.mdx and read by messageListLoad() in
+ * fallout2-ce's message.cc.
+ *
+ * Like the SSL parser, this has no file system access; callers pass the
+ * text, or the bytes to decodeMsg().
+ */
+
+// Longest field the engine reads; longer ones make the whole file fail to load
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Decode the bytes of a .msg file
+ * The game files are Windows-1252; localized versions use their own code
+ * page (e.g. windows-1251 for Russian), passed as `encoding`. Any label
+ * TextDecoder knows works.
+ */
+function decodeMsg(bytes, encoding = 'windows-1252') {
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+/**
+ * Parse the text of a .msg file
+ *
+ * Like the engine, everything outside braces is ignored (that is how
+ * comments are written), and line breaks inside a field are dropped, so a
+ * text can span lines. Returns { entries, errors }:
+ * - `entries`: [{ id, number, sound, text, line, column }] in file order;
+ *   `id` is the number field as written, `number` its value or null when
+ *   it is not a number; `line`/`column` are those of the opening brace
+ * - `errors`: [{ line, column, message }] for unbalanced braces and
+ *   entries with fewer than three fields
+ *
+ * A `{` inside a field on the line the field opened on is a stray brace:
+ * it is reported and kept as text, so the entry keeps its other fields. On
+ * a later line it starts a new entry instead, and the open field before it
+ * is reported as unclosed.
+ */
+function parseMsg(text) {
+  const entries = [];
+  const errors = [];
+  let fields = [];
+  let field = null;
+  let line = 1;
+  let column = 0;
+
+  function endEntry() {
+    const [id, sound, message] = fields;
+    const value = /^[+-]?\d+$/.test(id.text) ? parseInt(id.text, 10) : null;
+    entries.push({
+      id: id.text,
+      number: value,
+      sound: sound.text,
+      text: message.text,
+      line: id.line,
+      column: id.column,
+    });
+    fields = [];
+  }
+
+  for (const ch of text) {
+    if (ch === '\n') {
+      line++;
+      column = 0;
+      continue;
+    }
+    column++;
+    if (ch === '\r') {
+      continue;
+    }
+
+    if (field) {
+      if (ch === '}') {
+        fields.push(field);
+        field = null;
+        if (fields.length === 3) endEntry();
+      } else if (ch === '{' && line === field.line) {
+        errors.push({ line, column, message: `Stray { inside a field opened at column ${field.column}` });
+        field.text += ch;
+      } else if (ch === '{') {
+        const id = (fields[0] || field).text;
+        errors.push({ line: field.line, column: field.column, message: `Unclosed {, entry {${id}} is dropped` });
+        fields = [];
+        field = { text: '', line, column };
+      } else {
+        field.text += ch;
+      }
+    } else if (ch === '{') {
+      field = { text: '', line, column };
+    } else if (ch === '}') {
+      errors.push({ line, column, message: 'Unmatched }' });
+    }
+  }
+
+  if (field) {
+    errors.push({ line: field.line, column: field.column, message: 'Unclosed { at end of file' });
+  } else if (fields.length > 0) {
+    errors.push({
+      line: fields[0].line,
+      column: fields[0].column,
+      message: `Entry {${fields[0].text}} has ${fields.length} of 3 fields at end of file`,
+    });
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Check a parsed file
+ *
+ * Returns diagnostics { line, column, severity: 'error' | 'warning' |
+ * 'info', code, message }, in source order. Codes:
+ * - syntax: unbalanced braces, incomplete entries (errors)
+ * - invalid-id: a number field the engine cannot parse (error)
+ * - too-long: a field over the engine's 1024 characters (error)
+ * - duplicate-id: a number used twice (error)
+ * - unsorted: a number lower than one before it (warning)
+ * - gap: numbers skipped between two entries (info; `gaps: false` leaves
+ *   them out). Files usually group messages by hundreds, so gaps are often
+ *   deliberate.
+ */
+function validateMsg({ entries, errors }, { gaps = true } = {}) {
+  const diagnostics = errors.map((e) => ({ ...e, severity: 'error', code: 'syntax' }));
+  const report = (entry, severity, code, message) => {
+    diagnostics.push({ line: entry.line, column: entry.column, severity, code, message });
+  };
+
+  const seen = new Map();
+  let previous = null; // highest number so far
+  for (const entry of entries) {
+    if (entry.number === null) {
+      report(entry, 'error', 'invalid-id', `Message number "${entry.id}" is not a number`);
+      continue;
+    }
+    for (const [name, value] of [['sound', entry.sound], ['text', entry.text]]) {
+      if (value.length >= MAX_FIELD_LENGTH) {
+        report(entry, 'error', 'too-long',
+          `Message ${entry.number}: ${name} is ${value.length} characters, the engine reads at most ${MAX_FIELD_LENGTH - 1}`);
+      }
+    }
+    if (seen.has(entry.number)) {
+      report(entry, 'error', 'duplicate-id', `Message ${entry.number} is already defined on line ${seen.get(entry.number).line}`);
+      continue;
+    }
+    seen.set(entry.number, entry);
+
+    if (previous !== null && entry.number < previous.number) {
+      report(entry, 'warning', 'unsorted', `Message ${entry.number} comes after ${previous.number}`);
+      continue;
+    }
+    if (previous !== null && gaps && entry.number > previous.number + 1) {
+      const missing = entry.number - previous.number - 1;
+      report(entry, 'info', 'gap', missing === 1
+        ? `Message ${previous.number + 1} is missing`
+        : `Messages ${previous.number + 1}-${entry.number - 1} are missing`);
+    }
+    previous = entry;
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = {
+  MAX_FIELD_LENGTH,
+  decodeMsg,
+  parseMsg,
+  validateMsg,
+};
@@ -0,0 +1,308 @@
+/**
+ * Reads Fallout 2 prototype (.pro) files: the big-endian layouts in
+ * docs/formats/pro.mdx, in the order fallout2-ce's protoRead() reads them.
+ *
+ * Like the SSL parser, this has no file system access; it decodes bytes, so
+ * the PRO inspector page runs it in the browser.
+ */
+
+const OBJECT_TYPES = ['item', 'critter', 'scenery', 'wall', 'tile', 'misc'];
+
+const ITEM_TYPES = ['armor', 'container', 'drug', 'weapon', 'ammo', 'misc', 'key'];
+
+const SCENERY_TYPES = ['door', 'stairs', 'elevator', 'ladderUp', 'ladderDown', 'generic'];
+
+const DAMAGE_TYPES = ['Normal', 'Laser', 'Fire', 'Plasma', 'Electrical', 'EMP', 'Explosion'];
+
+const MATERIALS = ['Glass', 'Metal', 'Plastic', 'Wood', 'Dirt', 'Stone', 'Cement', 'Leather'];
+
+const CALIBERS = [
+  'None', 'Rocket', 'Flamethrower Fuel', 'C Energy Cell', 'D Energy Cell', '.223', '5mm', '.40',
+  '10mm', '.44', '14mm', '12 gauge', '9mm', 'BB', '.45', '2mm EC', '4.7mm caseless', 'HN Needler',
+  '7.62mm',
+];
+
+const BODY_TYPES = ['Biped', 'Quadruped', 'Robotic'];
+
+// Stats stored in critter protos (SAVEABLE_STATS_COUNT), in enum Stat order
+const STATS = [
+  'Strength', 'Perception', 'Endurance', 'Charisma', 'Intelligence', 'Agility', 'Luck',
+  'Max HP', 'Max AP', 'Armor Class', 'Unarmed Damage', 'Melee Damage', 'Carry Weight', 'Sequence',
+  'Healing Rate', 'Critical Chance', 'Better Criticals',
+  ...DAMAGE_TYPES.map((type) => `DT ${type}`),
+  ...DAMAGE_TYPES.map((type) => `DR ${type}`),
+  'Radiation Resistance', 'Poison Resistance', 'Age', 'Gender',
+];
+
+const SKILLS = [
+  'Small Guns', 'Big Guns', 'Energy Weapons', 'Unarmed', 'Melee Weapons', 'Throwing', 'First Aid',
+  'Doctor', 'Sneak', 'Lockpick', 'Steal', 'Traps', 'Science', 'Repair', 'Speech', 'Barter',
+  'Gambling', 'Outdoorsman',
+];
+
+const TYPE_SIZES = { s32: 4, u32: 4, u8: 1 };
+
+/**
+ * A field in a layout
+ * - `count`: read an array of this many values
+ * - `names`: value names by number, or element names for arrays
+ * - `id`: 'pid', 'fid' or 'sid' for values that are object IDs
+ * - `hex`: show the value as hex (bit flags)
+ * - `optional`: the file may end before this field
+ */
+function field(name, type, options = {}) {
+  return { name, type, ...options };
+}
+
+const COMMON = [
+  field('pid', 's32', { id: 'pid' }),
+  field('messageId', 's32'),
+  field('fid', 's32', { id: 'fid' }),
+];
+
+const LIGHT_AND_FLAGS = [
+  field('lightDistance', 's32'),
+  field('lightIntensity', 's32'),
+  field('flags', 'u32', { hex: true }),
+  field('extendedFlags', 'u32', { hex: true }),
+];
+
+const SID = field('sid', 's32', { id: 'sid' });
+const MATERIAL = field('material', 's32', { names: MATERIALS });
+
+// Header of each object type; `subtype` names the field that picks the data layout
+const HEADERS = {
+  item: [
+    ...COMMON, ...LIGHT_AND_FLAGS, SID,
+    field('type', 's32', { names: ITEM_TYPES, subtype: true }),
+    MATERIAL,
+    field('size', 's32'),
+    field('weight', 's32'),
+    field('cost', 's32'),
+    field('inventoryFid', 's32', { id: 'fid' }),
+    field('soundId', 'u8'),
+  ],
+  critter: [
+    ...COMMON, ...LIGHT_AND_FLAGS, SID,
+    field('headFid', 's32', { id: 'fid' }),
+    field('aiPacket', 's32'),
+    field('team', 's32'),
+  ],
+  scenery: [
+    ...COMMON, ...LIGHT_AND_FLAGS, SID,
+    field('type', 's32', { names: SCENERY_TYPES, subtype: true }),
+    MATERIAL,
+    field('soundId', 'u8'),
+  ],
+  wall: [...COMMON, ...LIGHT_AND_FLAGS, SID, MATERIAL],
+  tile: [
+    ...COMMON,
+    field('flags', 'u32', { hex: true }),
+    field('extendedFlags', 'u32', { hex: true }),
+    SID,
+    MATERIAL,
+  ],
+  misc: [...COMMON, ...LIGHT_AND_FLAGS],
+};
+
+// Type-specific data following the header, by object type and subtype
+const DATA = {
+  item: {
+    armor: [
+      field('armorClass', 's32'),
+      field('damageResistance', 's32', { count: 7, names: DAMAGE_TYPES }),
+      field('damageThreshold', 's32', { count: 7, names: DAMAGE_TYPES }),
+      field('perk', 's32'),
+      field('maleFid', 's32', { id: 'fid' }),
+      field('femaleFid', 's32', { id: 'fid' }),
+    ],
+    container: [
+      field('maxSize', 's32'),
+      field('openFlags', 'u32', { hex: true }),
+    ],
+    drug: [
+      field('stat', 's32', { count: 3 }),
+      field('amount', 's32', { count: 3 }),
+      field('duration1', 's32'),
+      field('amount1', 's32', { count: 3 }),
+      field('duration2', 's32'),
+      field('amount2', 's32', { count: 3 }),
+      field('addictionChance', 's32'),
+      field('withdrawalEffect', 's32'),
+      field('withdrawalOnset', 's32'),
+    ],
+    weapon: [
+      field('animationCode', 's32'),
+      field('minDamage', 's32'),
+      field('maxDamage', 's32'),
+      field('damageType', 's32', { names: DAMAGE_TYPES }),
+      field('maxRange1', 's32'),
+      field('maxRange2', 's32'),
+      field('projectilePid', 's32', { id: 'pid' }),
+      field('minStrength', 's32'),
+      field('actionPointCost1', 's32'),
+      field('actionPointCost2', 's32'),
+      field('criticalFailureType', 's32'),
+      field('perk', 's32'),
+      field('rounds', 's32'),
+      field('caliber', 's32', { names: CALIBERS }),
+      field('ammoTypePid', 's32', { id: 'pid' }),
+      field('ammoCapacity', 's32'),
+      field('soundCode', 'u8'),
+    ],
+    ammo: [
+      field('caliber', 's32', { names: CALIBERS }),
+      field('quantity', 's32'),
+      field('armorClassModifier', 's32'),
+      field('damageResistanceModifier', 's32'),
+      field('damageMultiplier', 's32'),
+      field('damageDivisor', 's32'),
+    ],
+    misc: [
+      field('powerTypePid', 's32', { id: 'pid' }),
+      field('powerType', 's32', { names: CALIBERS }),
+      field('charges', 's32'),
+    ],
+    key: [field('keyCode', 's32')],
+  },
+  critter: [
+    field('flags', 'u32', { hex: true }),
+    field('baseStats', 's32', { count: 35, names: STATS }),
+    field('bonusStats', 's32', { count: 35, names: STATS }),
+    field('skills', 's32', { count: 18, names: SKILLS }),
+    field('bodyType', 's32', { names: BODY_TYPES }),
+    field('experience', 's32'),
+    field('killType', 's32'),
+    // Missing from a few critter protos shipped with the game
+    field('damageType', 's32', { names: DAMAGE_TYPES, optional: true }),
+  ],
+  scenery: {
+    door: [
+      field('openFlags', 'u32', { hex: true }),
+      field('keyCode', 's32'),
+    ],
+    stairs: [
+      field('destinationBuiltTile', 's32'),
+      field('destinationMap', 's32'),
+    ],
+    elevator: [
+      field('type', 's32'),
+      field('level', 's32'),
+    ],
+    ladderUp: [field('destinationBuiltTile', 's32')],
+    ladderDown: [field('destinationBuiltTile', 's32')],
+    generic: [field('unknown', 's32')],
+  },
+};
+
+/**
+ * Object type of a PID ('item', 'critter', ...), or null for other types
+ */
+function pidType(pid) {
+  return OBJECT_TYPES[(pid >>> 24) & 0x0f] || null;
+}
+
+function formatOffset(offset) {
+  return `0x${offset.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/**
+ * Parse a .pro file
+ *
+ * `data` is a Uint8Array (or Buffer) with the whole file. Returns
+ * { kind, subtype, fields, proto, size, trailing }:
+ * - `kind`: object type from the PID ('item', 'critter', 'scenery', 'wall',
+ *   'tile' or 'misc'); `subtype`: item or scenery type name, or null
+ * - `fields`: every value read, in file order, as { offset, size, type,
+ *   name, value, section: 'header' | 'data', id?, hex?, meaning? }; array
+ *   elements are separate fields named like `skills[3]`
+ * - `proto`: the values as an object, with the type-specific data under `data`
+ * - `trailing`: bytes left after the last field
+ *
+ * Throws when the PID has an unknown object type, the subtype is unknown or
+ * the file ends inside a required field.
+ */
+function parsePro(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const fields = [];
+  let offset = 0;
+
+  function read(spec, section, target) {
+    const size = TYPE_SIZES[spec.type];
+    const count = spec.count || 1;
+    if (offset + size * count > data.byteLength) {
+      if (spec.optional && offset === data.byteLength) {
+        return false;
+      }
+      throw new Error(
+        `File ends at ${formatOffset(data.byteLength)} inside ${spec.name} ` +
+          `(${formatOffset(offset)}, ${size * count} bytes)`,
+      );
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const value = spec.type === 'u8'
+        ? view.getUint8(offset)
+        : spec.type === 'u32'
+          ? view.getUint32(offset)
+          : view.getInt32(offset);
+      const entry = {
+        offset,
+        size,
+        type: spec.type,
+        name: spec.count ? `${spec.name}[${i}]` : spec.name,
+        value,
+        section,
+      };
+      if (spec.id) entry.id = spec.id;
+      if (spec.hex) entry.hex = true;
+      const meaning = spec.names && (spec.count ? spec.names[i] : spec.names[value]);
+      if (meaning) entry.meaning = meaning;
+      fields.push(entry);
+      values.push(value);
+      offset += size;
+    }
+    target[spec.name] = spec.count ? values : values[0];
+    return true;
+  }
+
+  if (data.byteLength < 4) {
+    throw new Error(`File is ${data.byteLength} bytes, too short for a PID`);
+  }
+  const kind = pidType(view.getUint32(0));
+  if (!kind) {
+    const pid = view.getUint32(0).toString(16).toUpperCase().padStart(8, '0');
+    throw new Error(`PID 0x${pid} has object type ${view.getUint8(0) & 0x0f}, not a proto type`);
+  }
+
+  const proto = {};
+  let subtype = null;
+  for (const spec of HEADERS[kind]) {
+    read(spec, 'header', proto);
+    if (spec.subtype) {
+      subtype = spec.names[proto[spec.name]] || null;
+      if (!subtype) {
+        throw new Error(`Unknown ${kind} type ${proto[spec.name]} at ${formatOffset(offset - 4)}`);
+      }
+    }
+  }
+
+  const layout = Array.isArray(DATA[kind]) ? DATA[kind] : DATA[kind]?.[subtype];
+  if (layout) {
+    proto.data = {};
+    for (const spec of layout) {
+      if (!read(spec, 'data', proto.data)) break;
+    }
+  }
+
+  return { kind, subtype, fields, proto, size: data.byteLength, trailing: data.byteLength - offset };
+}
+
+module.exports = {
+  OBJECT_TYPES,
+  ITEM_TYPES,
+  SCENERY_TYPES,
+  pidType,
+  parsePro,
+};
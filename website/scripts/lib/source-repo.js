@@ -0,0 +1,113 @@
+/**
+ * The fallout2-ce checkout the index generators read.
+ *
+ * Shared by generate-function-index.js and generate-symbol-index.js: cloning
+ * and updating the repository, the commit an index is pinned to, and the
+ * list of C/C++ files to parse.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const REPO_URL = 'https://github.com/fallout2-ce/fallout2-ce.git';
+
+// Default checkout, shared by the generators (git-ignored)
+const DEFAULT_REPO_PATH = path.join(__dirname, '..', '..', '.fallout2-ce');
+
+/**
+ * Get the current commit hash of a repository
+ * Throws when it cannot be read: an index pinned to a branch name instead of
+ * a commit would drift as upstream changes.
+ */
+function getCommitHash(repoPath) {
+  try {
+    return execSync('git rev-parse HEAD', { cwd: repoPath, encoding: 'utf-8' }).trim();
+  } catch (e) {
+    throw new Error(`Cannot read the commit of ${repoPath}: ${e.message}`);
+  }
+}
+
+/**
+ * Get the short commit hash
+ */
+function getShortCommitHash(repoPath) {
+  try {
+    return execSync('git rev-parse --short HEAD', { cwd: repoPath, encoding: 'utf-8' }).trim();
+  } catch (e) {
+    throw new Error(`Cannot read the commit of ${repoPath}: ${e.message}`);
+  }
+}
+
+/**
+ * Clone or update the repository
+ */
+function ensureRepo(targetPath) {
+  if (fs.existsSync(path.join(targetPath, '.git'))) {
+    console.log('Repository exists, fetching latest...');
+    try {
+      execSync('git fetch origin', { cwd: targetPath, stdio: 'inherit' });
+      execSync('git checkout main', { cwd: targetPath, stdio: 'inherit' });
+      execSync('git pull origin main', { cwd: targetPath, stdio: 'inherit' });
+    } catch (e) {
+      console.warn('Failed to update repository, using existing state');
+    }
+  } else {
+    console.log('Cloning repository...');
+    fs.mkdirSync(targetPath, { recursive: true });
+    execSync(`git clone --depth 1 ${REPO_URL} ${targetPath}`, { stdio: 'inherit' });
+  }
+}
+
+/**
+ * Make sure release tags are available
+ * The default clone is shallow and has none, so fetch each tag's commit alone.
+ */
+function fetchTags(repoPath) {
+  try {
+    const shallow = execSync('git rev-parse --is-shallow-repository', { cwd: repoPath, encoding: 'utf-8' }).trim();
+    if (shallow === 'true') {
+      console.log('Fetching tags...');
+      execSync('git fetch --depth 1 origin "+refs/tags/*:refs/tags/*"', { cwd: repoPath, stdio: 'inherit' });
+    }
+  } catch (e) {
+    console.warn('Failed to fetch tags, using the tags already in the checkout');
+  }
+}
+
+/**
+ * Find all C/C++ source files in a directory, headers first
+ * Both lists are sorted, so the output does not depend on directory order,
+ * and a symbol defined in several files is taken from the header.
+ */
+function findSourceFiles(dir) {
+  const headers = [];
+  const sources = [];
+
+  function walk(currentDir) {
+    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        walk(fullPath);
+      } else if (entry.isFile() && /\.(h|hpp)$/.test(entry.name)) {
+        headers.push(fullPath);
+      } else if (entry.isFile() && /\.(c|cc|cpp)$/.test(entry.name)) {
+        sources.push(fullPath);
+      }
+    }
+  }
+
+  walk(dir);
+  return [...headers.sort(), ...sources.sort()];
+}
+
+module.exports = {
+  REPO_URL,
+  DEFAULT_REPO_PATH,
+  getCommitHash,
+  getShortCommitHash,
+  ensureRepo,
+  fetchTags,
+  findSourceFiles,
+};
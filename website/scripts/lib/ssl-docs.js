@@ -0,0 +1,221 @@
+/**
+ * Reads the SSL function reference (docs/ssl/functions/*.mdx).
+ *
+ * Every function is documented under a heading with an explicit anchor,
+ * optionally followed by tag badges, and a ```ssl block whose first line is
+ * the signature:
+ *
+ *   ## name <span class="tag-vanilla">vanilla</span> {#name}
+ *
+ *   ```ssl
+ *   int name(ObjectPtr who, int amount)
+ *   ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'docs', 'ssl', 'functions');
+
+// sfall functions fallout2-ce lacks, documented in the same heading format
+const MISSING_SFALL_FILE = path.join(__dirname, '..', '..', 'docs', 'compatibility', 'missing-sfall-functions.mdx');
+
+// Heading with an explicit anchor: ## name <span ...>...</span> {#anchor}
+const HEADING_PATTERN = /^(#{2,4})\s+(.*?)\s*\{#([A-Za-z0-9_]+)\}\s*$/;
+
+// Tag badges in a heading: <span class="tag-vanilla">
+const TAG_PATTERN = /<span class="tag-([\w-]+)"/g;
+
+// Admonition marking a function as missing from fallout2-ce:
+// :::caution Not Implemented in fallout2-ce
+const NOT_IMPLEMENTED_PATTERN = /^:::\w+\s+Not Implemented/;
+
+// Lines that end the summary paragraph: components, admonitions, labels
+// such as **Parameters:**, lists, tables, headings and rules
+const SUMMARY_STOP_PATTERN = /^(<|:::|\*\*[^*]+:\*\*|[-*+] |\d+\. |\||#|---)/;
+
+// Parameter list item marking a parameter optional: - `flags` (optional) - ...
+const OPTIONAL_PARAM_PATTERN = /^[-*+]\s+`(\w+)`\s*\(optional\)/i;
+
+// Signature line: return_type name(params), return_type name or (return_type) name
+const SIGNATURE_PATTERN = /^\(?([A-Za-z_][\w/|]*)\)?\s+([a-z_][a-z0-9_]*)\s*(?:\((.*)\))?\s*;?\s*$/;
+
+// Documented type spellings mapped onto the types the interpreter distinguishes
+const TYPE_ALIASES = {
+  bool: 'int',
+  boolean: 'int',
+  array: 'int',
+  procedure: 'int',
+  object: 'ObjectPtr',
+  objectptr: 'ObjectPtr',
+  variable: 'any',
+  mixed: 'any',
+};
+
+/**
+ * Normalize a documented type to int, float, string, ObjectPtr, void or any
+ * Union types ("int/float", "int|string") become an array of members.
+ */
+function normalizeType(type) {
+  const members = type.split(/[/|]/).map((t) => {
+    const alias = TYPE_ALIASES[t.toLowerCase()];
+    return alias || (t === 'ObjectPtr' ? t : t.toLowerCase());
+  });
+  return members.length === 1 ? members[0] : members;
+}
+
+/**
+ * Markdown paragraph to plain text
+ */
+function plainText(markdown) {
+  return markdown
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__|`)/g, '')
+    .trim();
+}
+
+/**
+ * Parse a signature line
+ * Returns { returns, name, params: [{ type, name }] } or null when the line
+ * is not a signature (e.g. a usage example).
+ */
+function parseSignature(line) {
+  const match = line.trim().match(SIGNATURE_PATTERN);
+  if (!match || ['if', 'while', 'return', 'call', 'procedure', 'variable'].includes(match[2])) {
+    return null;
+  }
+
+  const params = (match[3] || '')
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => {
+      const parts = p.split(/\s+/);
+      return parts.length > 1
+        ? { type: parts[0], name: parts.slice(1).join(' ') }
+        : { type: 'any', name: parts[0] };
+    });
+
+  return { returns: match[1], name: match[2], params };
+}
+
+/**
+ * Parse one MDX file into { anchor: { file, line, title, tags, signature, summary, notImplemented } }
+ * `signature` is the parsed first line of the first ```ssl block below the
+ * heading, when that line is a signature for the same name; parameters the
+ * **Parameters:** list marks "(optional)" get `optional: true`. `summary` is the
+ * first paragraph of prose in the section, as plain text. `notImplemented`
+ * is set by a tag-missing badge or a "Not Implemented" admonition.
+ */
+function parseFunctionDoc(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+  const entries = {};
+  let current = null;
+  let section = null; // heading without an anchor that groups functions
+  let inFence = false;
+
+  // Close the summary paragraph of the current section, if one was started
+  function endSummary() {
+    if (current?.summary?.length > 0) {
+      current.entry.summary = plainText(current.summary.join(' '));
+      current.summary = null;
+    }
+  }
+
+  lines.forEach((line, index) => {
+    if (line.startsWith('```')) {
+      endSummary();
+      if (!inFence && current && !current.signatureSeen && line.trim() === '```ssl') {
+        const first = lines[index + 1] || '';
+        const signature = parseSignature(first);
+        if (signature && signature.name === current.anchor) {
+          current.entry.signature = { ...signature, line: index + 2 };
+        }
+        current.signatureSeen = true;
+      }
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+
+    if (current?.summary) {
+      const text = line.trim();
+      if (text === '' || SUMMARY_STOP_PATTERN.test(text)) {
+        endSummary();
+      } else if (!/^\{#/.test(text)) {
+        current.summary.push(text);
+      }
+    }
+
+    const optional = line.trim().match(OPTIONAL_PARAM_PATTERN);
+    if (optional && current?.entry.signature) {
+      const param = current.entry.signature.params.find((p) => p.name === optional[1]);
+      if (param) {
+        param.optional = true;
+      }
+    }
+
+    // A "Not Implemented" admonition applies to the current function, or to
+    // every function below a grouping section heading
+    if (NOT_IMPLEMENTED_PATTERN.test(line.trim())) {
+      if (current) {
+        current.entry.notImplemented = true;
+      } else if (section) {
+        section.notImplemented = true;
+      }
+    }
+
+    const level = (line.match(/^(#{1,6})\s/) || [])[1]?.length;
+    if (!level) {
+      return;
+    }
+    if (section && level <= section.level) {
+      section = null;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const anchor = heading[3];
+      const tags = [...heading[2].matchAll(TAG_PATTERN)].map((m) => m[1]);
+      const entry = {
+        file: filePath,
+        line: index + 1,
+        title: heading[2].replace(/<[^>]+\/>|<[^>]+>[^<]*<\/[^>]+>/g, '').trim(),
+        tags,
+        notImplemented: tags.includes('missing') || Boolean(section?.notImplemented),
+      };
+      entries[anchor] = entry;
+      current = { anchor, entry, signatureSeen: false, summary: [] };
+    } else {
+      current = null;
+      section = { level, notImplemented: false };
+    }
+  });
+  endSummary();
+
+  return entries;
+}
+
+/**
+ * Parse every .mdx file in a directory (default: docs/ssl/functions)
+ */
+function parseFunctionDocs(dir = FUNCTIONS_DIR) {
+  const entries = {};
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith('.mdx')).sort();
+  for (const file of files) {
+    Object.assign(entries, parseFunctionDoc(path.join(dir, file)));
+  }
+  return entries;
+}
+
+module.exports = {
+  FUNCTIONS_DIR,
+  MISSING_SFALL_FILE,
+  normalizeType,
+  parseSignature,
+  parseFunctionDoc,
+  parseFunctionDocs,
+};
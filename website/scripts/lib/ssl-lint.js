@@ -0,0 +1,218 @@
+/**
+ * Checks parsed SSL against what the site knows about the language: the
+ * compatibility dataset (every SSL function, its origin and fallout2-ce
+ * support), the documented signatures in the function reference, the
+ * define index (Restoration Project constants and macros) and the header
+ * macros scripts call like functions (header-macros.js).
+ *
+ * Like the parser, this has no file system access; callers load the data
+ * and the included headers.
+ */
+
+const { parse, walk } = require('./ssl-parser');
+const { HEADER_MACROS } = require('./header-macros');
+
+function own(map, name) {
+  return Object.prototype.hasOwnProperty.call(map, name) ? map[name] : undefined;
+}
+
+/**
+ * Build the lookup tables the linter needs
+ * - `compatibility`: src/data/compatibility.json
+ * - `docs`: parsed reference pages ({ name: { signature } }, see ssl-docs.js)
+ * - `defines`: src/data/define-index.json
+ * Functions get `arity` (the parameter count) and `required` (the count
+ * without optional parameters) from their documented signature, or null
+ * when the reference has none. Header macros count as macros even when the
+ * define index lacks them, so they are never reported as missing from
+ * fallout2-ce.
+ */
+function createKnowledgeBase({ compatibility, docs = {}, defines = { _meta: {}, defines: {} } }) {
+  const functions = Object.create(null);
+  for (const [name, info] of Object.entries(compatibility.functions)) {
+    const signature = own(docs, name)?.signature;
+    functions[name] = {
+      arity: signature ? signature.params.length : null,
+      required: signature ? signature.params.filter((p) => !p.optional).length : null,
+      origin: info.origin,
+      ce: info.ce,
+      page: info.page || null,
+    };
+  }
+
+  const macros = Object.create(null);
+  for (const [name, info] of Object.entries(defines.defines)) {
+    macros[name] = { params: info.kind === 'macro' ? info.params || [] : null };
+  }
+  for (const name of HEADER_MACROS) {
+    if (!own(macros, name)) macros[name] = { params: null };
+  }
+
+  // Headers the define index covers count as resolved includes
+  const headers = new Set((defines._meta.files || []).map((file) => file.split('/').pop().toLowerCase()));
+
+  return { functions, macros, headers };
+}
+
+/**
+ * Edit distance between two names, for "did you mean" hints
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The known function closest to an unknown name: a small typo, or the name
+ * with a get_/set_ style prefix
+ */
+function suggest(name, kb) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(name.length / 4)) + 1;
+  for (const candidate of Object.keys(kb.functions)) {
+    const d = candidate.endsWith(`_${name}`) ? 0.5 : distance(name, candidate);
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Lint a parsed program
+ *
+ * `headers` are the parsed programs of the files it includes (directly or
+ * not); their procedures, macros and variables count as declared.
+ * `unresolvedIncludes` are the includes that could not be read: each gets a
+ * warning, and unknown calls become warnings since they may come from there.
+ * `checkCe: false` leaves out the fallout2-ce warnings.
+ *
+ * Returns diagnostics { line, column, severity: 'error' | 'warning', code,
+ * message }, in source order. Codes: syntax, unknown-function,
+ * unknown-procedure, arity, missing-in-ce, unresolved-include.
+ */
+function lintProgram(program, kb, { headers = [], unresolvedIncludes = [], checkCe = true } = {}) {
+  const diagnostics = [];
+  const scopes = [program, ...headers];
+  const lookup = (kind, name) => {
+    for (const scope of scopes) {
+      const found = own(scope[kind], name);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  };
+  const unknownSeverity = unresolvedIncludes.length > 0 ? 'warning' : 'error';
+
+  function report(node, severity, code, message) {
+    diagnostics.push({ line: node.line, column: node.column, severity, code, message });
+  }
+
+  function checkArity(node, name, count, min, max, what) {
+    if (count < min || count > max) {
+      const expected = min === max ? plural(min, 'argument') : `${min} to ${max} arguments`;
+      report(node, 'error', 'arity', `${what} ${name} takes ${expected}, got ${count}`);
+    }
+  }
+
+  function checkCeSupport(node, name, info) {
+    if (checkCe && !info.ce) {
+      report(node, 'warning', 'missing-in-ce',
+        `${info.origin === 'sfall' ? 'sfall function ' : ''}${name} is not implemented in fallout2-ce`);
+    }
+  }
+
+  for (const error of program.errors) {
+    report(error, 'error', 'syntax', error.message);
+  }
+  for (const include of unresolvedIncludes) {
+    report(include, 'warning', 'unresolved-include', `Cannot read "${include.path}"; calls it may define are not checked`);
+  }
+
+  walk(program.body, (node) => {
+    if (node.type === 'Call') {
+      const count = node.args.length;
+      const procedure = lookup('procedures', node.name);
+      if (procedure) {
+        checkArity(node, node.name, count, procedure.required, procedure.params.length, 'Procedure');
+        return;
+      }
+      const macro = lookup('macros', node.name) || own(kb.macros, node.name);
+      if (macro) {
+        if (macro.params) {
+          checkArity(node, node.name, count, macro.params.length, macro.params.length, 'Macro');
+        }
+        return;
+      }
+      const info = own(kb.functions, node.name);
+      if (info) {
+        if (info.arity !== null) {
+          checkArity(node, node.name, count, info.required, info.arity, 'Function');
+        }
+        checkCeSupport(node, node.name, info);
+        return;
+      }
+      const hint = suggest(node.name, kb);
+      report(node, unknownSeverity, 'unknown-function',
+        `Unknown function ${node.name}${hint ? ` (did you mean ${hint}?)` : ''}`);
+    } else if (node.type === 'CallStatement' && node.name) {
+      const procedure = lookup('procedures', node.name);
+      if (procedure) {
+        if (node.args) {
+          checkArity(node, node.name, node.args.length, procedure.required, procedure.params.length, 'Procedure');
+        }
+      } else if (!lookup('variables', node.name) && !lookup('macros', node.name)) {
+        report(node, unknownSeverity, 'unknown-procedure', `Unknown procedure ${node.name}`);
+      }
+    } else if (node.type === 'Identifier') {
+      // Functions without arguments are called without parentheses
+      const info = own(kb.functions, node.name);
+      if (info && !lookup('variables', node.name) && !lookup('procedures', node.name) && !lookup('macros', node.name)
+        && !own(kb.macros, node.name)) {
+        checkCeSupport(node, node.name, info);
+      }
+    }
+  });
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Whether an #include names a header the define index covers
+ */
+function isIndexedHeader(includePath, kb) {
+  return kb.headers.has(includePath.split(/[\\/]/).pop().toLowerCase());
+}
+
+/**
+ * Parse and lint a standalone piece of SSL
+ * Includes of headers the define index covers are resolved through it;
+ * other includes are reported as unresolved.
+ */
+function lintSource(source, kb, options = {}) {
+  const program = parse(source, { macros: new Set(Object.keys(kb.macros)) });
+  const unresolvedIncludes = program.includes.filter((include) => !isIndexedHeader(include.path, kb));
+  return lintProgram(program, kb, { ...options, unresolvedIncludes });
+}
+
+module.exports = {
+  createKnowledgeBase,
+  isIndexedHeader,
+  lintProgram,
+  lintSource,
+};
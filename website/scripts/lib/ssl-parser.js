@@ -0,0 +1,820 @@
+/**
+ * Tokenizer and parser for SSL, the Fallout 2 scripting language.
+ *
+ * Covers what sslc (including the sfall build) compiles: procedures and their
+ * forward declarations, `variable` declarations, `:=` and compound
+ * assignments, begin/end blocks, if/while/for/foreach/switch, `call`, sfall
+ * array and map literals, and the preprocessor lines scripts use (#include,
+ * #define with or without parameters). Macros are not expanded: an invocation
+ * parses as a call, and a statement made of a known macro call may omit its
+ * semicolon, since macros usually carry their own.
+ *
+ * No file system access, so it can be bundled for the browser as well.
+ */
+
+// Reserved words; sslc matches them case-insensitively
+const KEYWORDS = new Set([
+  'procedure', 'variable', 'begin', 'end', 'if', 'then', 'else', 'while', 'do',
+  'for', 'foreach', 'in', 'break', 'continue', 'return', 'call', 'import', 'export',
+  'and', 'or', 'not', 'andalso', 'orelse', 'bwand', 'bwor', 'bwxor', 'bwnot',
+  'switch', 'case', 'default', 'critical', 'pure', 'inline',
+]);
+
+// Multi-character operators, longest first
+const OPERATORS = [':=', '+=', '-=', '*=', '/=', '==', '!=', '<=', '>=', '++', '--', '&&', '||'];
+const SINGLE_OPERATORS = '+-*/%^<>=!&|';
+const PUNCTUATION = '()[]{},;:.@';
+
+const ASSIGNMENT_OPERATORS = [':=', '+=', '-=', '*=', '/='];
+
+// Binary operator levels, loosest first
+const BINARY_LEVELS = [
+  ['or', 'orelse', '||'],
+  ['and', 'andalso', '&&'],
+  null, // prefix `not`
+  ['==', '!=', '<', '>', '<=', '>='],
+  ['bwor', 'bwxor'],
+  ['bwand'],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+/**
+ * Split SSL source into tokens
+ * Each token is { type, value, line, column, start, end } with 1-indexed line
+ * and column and `start`/`end` source offsets. Types: 'ident', 'keyword'
+ * (value lowercased), 'number', 'string', 'operator', 'punct', 'directive',
+ * 'comment' and 'invalid'. Unterminated strings and comments get
+ * `unterminated: true`.
+ */
+function tokenize(source) {
+  const tokens = [];
+  const length = source.length;
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  let atLineStart = true;
+
+  function push(type, start, end, startLine, startColumn, extra) {
+    tokens.push({
+      type,
+      value: source.slice(start, end),
+      line: startLine,
+      column: startColumn,
+      start,
+      end,
+      ...extra,
+    });
+  }
+
+  // Advance to `to`, counting newlines
+  function advance(to) {
+    for (let i = pos; i < to; i++) {
+      if (source[i] === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+    pos = to;
+  }
+
+  while (pos < length) {
+    const c = source[pos];
+    const start = pos;
+    const startLine = line;
+    const startColumn = pos - lineStart + 1;
+
+    if (c === '\n') {
+      atLineStart = true;
+      advance(pos + 1);
+      continue;
+    }
+    if (c === ' ' || c === '\t' || c === '\r' || c === '\f' || c === '\v') {
+      pos++;
+      continue;
+    }
+
+    // Preprocessor line, with backslash continuations
+    if (c === '#' && atLineStart) {
+      let i = pos + 1;
+      while (i < length && source[i] !== '\n') {
+        if (source[i] === '\\' && (source[i + 1] === '\n' || source.startsWith('\r\n', i + 1))) {
+          i += source[i + 1] === '\r' ? 3 : 2;
+        } else if (source[i] === '/' && source[i + 1] === '*') {
+          const close = source.indexOf('*/', i + 2);
+          i = close === -1 ? length : close + 2;
+        } else {
+          i++;
+        }
+      }
+      advance(i);
+      push('directive', start, i, startLine, startColumn);
+      continue;
+    }
+
+    atLineStart = false;
+
+    if (c === '/' && source[pos + 1] === '/') {
+      let i = pos;
+      while (i < length && source[i] !== '\n') i++;
+      advance(i);
+      push('comment', start, i, startLine, startColumn);
+      continue;
+    }
+    if (c === '/' && source[pos + 1] === '*') {
+      const close = source.indexOf('*/', pos + 2);
+      advance(close === -1 ? length : close + 2);
+      push('comment', start, pos, startLine, startColumn, close === -1 ? { unterminated: true } : {});
+      continue;
+    }
+
+    if (c === '"') {
+      let i = pos + 1;
+      while (i < length && source[i] !== '"' && source[i] !== '\n') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      const terminated = source[i] === '"';
+      advance(terminated ? i + 1 : Math.min(i, length));
+      push('string', start, pos, startLine, startColumn, terminated ? {} : { unterminated: true });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(c)) {
+      let i = pos + 1;
+      while (i < length && /[A-Za-z0-9_]/.test(source[i])) i++;
+      const word = source.slice(pos, i);
+      pos = i;
+      if (KEYWORDS.has(word.toLowerCase())) {
+        push('keyword', start, i, startLine, startColumn);
+        tokens[tokens.length - 1].value = word.toLowerCase();
+      } else {
+        push('ident', start, i, startLine, startColumn);
+      }
+      continue;
+    }
+
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+      let i = pos + 1;
+      if (c === '0' && /[xX]/.test(source[i] || '')) {
+        i++;
+        while (i < length && /[0-9A-Fa-f]/.test(source[i])) i++;
+      } else {
+        while (i < length && /[0-9.]/.test(source[i])) i++;
+      }
+      pos = i;
+      push('number', start, i, startLine, startColumn);
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => source.startsWith(op, pos))
+      || (SINGLE_OPERATORS.includes(c) ? c : null);
+    if (operator) {
+      pos += operator.length;
+      push('operator', start, pos, startLine, startColumn);
+      continue;
+    }
+
+    pos++;
+    push(PUNCTUATION.includes(c) ? 'punct' : 'invalid', start, pos, startLine, startColumn);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a preprocessor line
+ * Returns { kind: 'include', path }, { kind: 'define', name, params, body }
+ * (`params` is null for object-like macros) or { kind } for anything else.
+ */
+function parseDirective(text) {
+  const directive = text.replace(/\\\r?\n/g, ' ').replace(/\/\*[\s\S]*?\*\/|\/\/.*$/g, ' ');
+  const kind = (directive.match(/^#\s*(\w+)/) || [])[1] || '';
+
+  if (kind === 'include') {
+    const match = directive.match(/^#\s*include\s*["<]([^">]+)[">]/);
+    return match ? { kind, path: match[1] } : { kind };
+  }
+  if (kind === 'define') {
+    const match = directive.match(/^#\s*define\s+([A-Za-z_]\w*)(\(([^)]*)\))?\s*(.*)$/);
+    if (!match) {
+      return { kind };
+    }
+    const params = match[2] === undefined
+      ? null
+      : match[3].split(',').map((p) => p.trim()).filter(Boolean);
+    return { kind, name: match[1], params, body: match[4].trim() };
+  }
+  return { kind };
+}
+
+/**
+ * Describe a token for an error message
+ */
+function describe(token) {
+  if (token.type === 'eof') return 'end of file';
+  if (token.type === 'string') return 'string';
+  if (token.type === 'number') return `number ${token.value}`;
+  return `"${token.value}"`;
+}
+
+/**
+ * Parse SSL source
+ *
+ * Returns a Program node:
+ *   { type: 'Program', body, procedures, macros, variables, includes, errors }
+ * `procedures` maps names to { params, required, line, column, defined },
+ * `macros` maps #define names to { params, body, line }, `variables` maps
+ * every declared variable and parameter name to its first line, `includes`
+ * lists { path, line, column } and `errors` lists syntax errors as
+ * { line, column, message }. The parser recovers at the next statement, so
+ * one mistake does not hide the rest of the file.
+ *
+ * `options.macros` names macros defined outside the source (e.g. in included
+ * headers), so their invocations may omit the semicolon too.
+ * `options.snippet` also accepts statements at the top level, for code
+ * excerpts such as documentation examples; they end up in `body`.
+ */
+function parse(source, options = {}) {
+  const program = {
+    type: 'Program',
+    body: [],
+    procedures: Object.create(null),
+    macros: Object.create(null),
+    variables: Object.create(null),
+    includes: [],
+    errors: [],
+  };
+  const externalMacros = options.macros || new Set();
+  const snippet = Boolean(options.snippet);
+
+  const tokens = [];
+  for (const token of tokenize(source)) {
+    if (token.type === 'comment') {
+      if (token.unterminated) {
+        program.errors.push({ line: token.line, column: token.column, message: 'Unterminated comment' });
+      }
+    } else if (token.type === 'directive') {
+      const directive = parseDirective(token.value);
+      if (directive.kind === 'include' && directive.path) {
+        program.includes.push({ path: directive.path, line: token.line, column: token.column });
+      } else if (directive.kind === 'define' && directive.name) {
+        program.macros[directive.name] = { params: directive.params, body: directive.body, line: token.line };
+      }
+    } else {
+      tokens.push(token);
+    }
+  }
+  const last = tokens[tokens.length - 1];
+  const eof = {
+    type: 'eof',
+    value: '',
+    line: last ? last.line : 1,
+    column: last ? last.column + last.value.length : 1,
+  };
+
+  let index = 0;
+
+  function peek(offset = 0) {
+    return tokens[index + offset] || eof;
+  }
+  function next() {
+    const token = peek();
+    if (token !== eof) index++;
+    return token;
+  }
+  function is(type, value, offset = 0) {
+    const token = peek(offset);
+    return token.type === type && (value === undefined || token.value === value);
+  }
+  function isKeyword(...values) {
+    return peek().type === 'keyword' && values.includes(peek().value);
+  }
+  function isOperator(...values) {
+    return peek().type === 'operator' && values.includes(peek().value);
+  }
+  function accept(type, value) {
+    return is(type, value) ? next() : null;
+  }
+  function fail(message, token = peek()) {
+    const error = new Error(message);
+    error.token = token;
+    throw error;
+  }
+  function expect(type, value, what) {
+    if (is(type, value)) {
+      return next();
+    }
+    return fail(`Expected ${what || `"${value}"`}, found ${describe(peek())}`);
+  }
+  function node(type, token, fields) {
+    return { type, line: token.line, column: token.column, ...fields };
+  }
+
+  // Record an error and skip to where parsing can resume
+  function recover(error, stopAtEnd) {
+    if (!error.token) throw error;
+    const previous = program.errors[program.errors.length - 1];
+    if (!previous || previous.line !== error.token.line || previous.column !== error.token.column) {
+      program.errors.push({ line: error.token.line, column: error.token.column, message: error.message });
+    }
+    const start = index;
+    while (peek() !== eof) {
+      if (is('punct', ';')) {
+        next();
+        return;
+      }
+      if ((stopAtEnd && isKeyword('end')) || isKeyword('procedure') || isKeyword('begin')) {
+        break;
+      }
+      next();
+    }
+    // Always make progress
+    if (index === start && peek() !== eof && !(stopAtEnd && isKeyword('end')) && !isKeyword('procedure')) {
+      next();
+    }
+  }
+
+  function declareVariable(token) {
+    if (!(token.value in program.variables)) {
+      program.variables[token.value] = token.line;
+    }
+  }
+
+  // variable a, b := 1;  or  variable begin a; b := 1; end
+  function parseVariableDeclaration(modifier) {
+    const start = expect('keyword', 'variable');
+    const declarations = [];
+
+    function declarator() {
+      const name = expect('ident', undefined, 'a variable name');
+      declareVariable(name);
+      let size = null;
+      if (accept('punct', '[')) {
+        size = parseExpression();
+        expect('punct', ']');
+      }
+      const init = accept('operator', ':=') ? parseExpression() : null;
+      declarations.push(node('VariableDeclarator', name, { name: name.value, size, init }));
+    }
+
+    if (accept('keyword', 'begin')) {
+      while (!isKeyword('end') && peek() !== eof) {
+        declarator();
+        expect('punct', ';');
+      }
+      expect('keyword', 'end');
+      accept('punct', ';');
+    } else {
+      declarator();
+      while (accept('punct', ',')) {
+        declarator();
+      }
+      expect('punct', ';');
+    }
+
+    return node('VariableDeclaration', start, { modifier, declarations });
+  }
+
+  // [critical|pure|inline] procedure name[(variable a, variable b := 0)] (; | begin ... end)
+  function parseProcedure(modifier) {
+    const modifiers = [];
+    while (isKeyword('critical', 'pure', 'inline')) {
+      modifiers.push(next().value);
+    }
+    const start = expect('keyword', 'procedure');
+    const name = expect('ident', undefined, 'a procedure name');
+    const params = [];
+
+    if (accept('punct', '(')) {
+      if (!is('punct', ')')) {
+        do {
+          accept('keyword', 'variable');
+          const param = expect('ident', undefined, 'a parameter name');
+          declareVariable(param);
+          const init = accept('operator', ':=') ? parseExpression() : null;
+          params.push({ name: param.value, init });
+        } while (accept('punct', ','));
+      }
+      expect('punct', ')');
+    }
+
+    let body = null;
+    if (!accept('punct', ';')) {
+      if (!isKeyword('begin')) {
+        fail(`Expected ";" or "begin" after procedure ${name.value}, found ${describe(peek())}`);
+      }
+      body = parseBlock();
+    }
+
+    const existing = program.procedures[name.value];
+    if (!existing || body) {
+      program.procedures[name.value] = {
+        params: params.map((p) => p.name),
+        required: params.filter((p) => !p.init).length,
+        line: name.line,
+        column: name.column,
+        defined: Boolean(body) || Boolean(existing?.defined),
+      };
+    }
+
+    return node('Procedure', start, { name: name.value, modifier, modifiers, params, body });
+  }
+
+  function parseBlock() {
+    const start = expect('keyword', 'begin');
+    const body = [];
+    while (!isKeyword('end')) {
+      if (peek() === eof || isKeyword('procedure')) {
+        fail(`Expected "end" to close the block opened on line ${start.line}, found ${describe(peek())}`);
+      }
+      try {
+        const statement = parseStatement();
+        if (statement) body.push(statement);
+      } catch (e) {
+        recover(e, true);
+      }
+    }
+    next();
+    return node('Block', start, { body });
+  }
+
+  // Statements that end in a nested statement (blocks, if, loops) need no `;`
+  function parseStatement() {
+    const token = peek();
+
+    if (accept('punct', ';')) {
+      return null;
+    }
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'begin':
+          return parseBlock();
+        case 'variable':
+          return parseVariableDeclaration(null);
+        case 'if': {
+          next();
+          const test = parseExpression();
+          expect('keyword', 'then');
+          const consequent = parseStatement();
+          const alternate = accept('keyword', 'else') ? parseStatement() : null;
+          return node('If', token, { test, consequent, alternate });
+        }
+        case 'while': {
+          next();
+          const test = parseExpression();
+          expect('keyword', 'do');
+          return node('While', token, { test, body: parseStatement() });
+        }
+        case 'for':
+          return parseFor();
+        case 'foreach':
+          return parseForeach();
+        case 'switch':
+          return parseSwitch();
+        case 'return': {
+          next();
+          const argument = is('punct', ';') || isKeyword('end') ? null : parseExpression();
+          endStatement();
+          return node('Return', token, { argument });
+        }
+        case 'break':
+        case 'continue':
+          next();
+          endStatement();
+          return node(token.value === 'break' ? 'Break' : 'Continue', token, {});
+        case 'call': {
+          next();
+          let name = null;
+          let target = null;
+          if (is('ident')) {
+            name = next().value;
+          } else {
+            target = parseExpression();
+          }
+          const args = accept('punct', '(') ? parseArguments() : null;
+          endStatement();
+          return node('CallStatement', token, { name, target, args });
+        }
+        default:
+          break;
+      }
+    }
+
+    const statement = parseSimpleStatement();
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    const macro = expression && (expression.type === 'Call' || expression.type === 'Identifier')
+      && isMacro(expression.name);
+    if (!macro || is('punct', ';')) {
+      endStatement();
+    }
+    return statement;
+  }
+
+  function isMacro(name) {
+    return name in program.macros || externalMacros.has(name);
+  }
+
+  function endStatement() {
+    if (!accept('punct', ';')) {
+      fail(`Expected ";", found ${describe(peek())}`);
+    }
+  }
+
+  // Assignment, increment or expression, without the terminating `;`
+  function parseSimpleStatement() {
+    const token = peek();
+    const target = parseExpression();
+    if (isOperator(...ASSIGNMENT_OPERATORS)) {
+      const operator = next().value;
+      return node('Assignment', token, { operator, target, value: parseExpression() });
+    }
+    if (isOperator('=')) {
+      fail('Expected ":=" for assignment, found "="');
+    }
+    return node('ExpressionStatement', token, { expression: target });
+  }
+
+  // for (init; test; update) statement
+  function parseFor() {
+    const start = expect('keyword', 'for');
+    const parens = accept('punct', '(');
+    const init = isKeyword('variable') ? parseForVariable() : parseSimpleStatement();
+    expect('punct', ';');
+    const test = parseExpression();
+    expect('punct', ';');
+    const update = parseSimpleStatement();
+    if (parens) {
+      expect('punct', ')');
+    }
+    accept('keyword', 'do');
+    return node('For', start, { init, test, update, body: parseStatement() });
+  }
+
+  // `variable i := 0` in a for header, without the `;`
+  function parseForVariable() {
+    const start = next();
+    const name = expect('ident', undefined, 'a variable name');
+    declareVariable(name);
+    const init = accept('operator', ':=') ? parseExpression() : null;
+    return node('VariableDeclaration', start, {
+      modifier: null,
+      declarations: [node('VariableDeclarator', name, { name: name.value, size: null, init })],
+    });
+  }
+
+  // foreach (item in list) statement, foreach (key: value in map while test) statement
+  function parseForeach() {
+    const start = expect('keyword', 'foreach');
+    const parens = accept('punct', '(');
+    accept('keyword', 'variable');
+    let key = null;
+    let value = expect('ident', undefined, 'a loop variable');
+    declareVariable(value);
+    if (accept('punct', ':')) {
+      key = value;
+      accept('keyword', 'variable');
+      value = expect('ident', undefined, 'a loop variable');
+      declareVariable(value);
+    }
+    expect('keyword', 'in');
+    const collection = parseExpression();
+    const test = accept('keyword', 'while') ? parseExpression() : null;
+    if (parens) {
+      expect('punct', ')');
+    }
+    accept('keyword', 'do');
+    return node('Foreach', start, {
+      key: key && key.value,
+      value: value.value,
+      collection,
+      test,
+      body: parseStatement(),
+    });
+  }
+
+  // switch expr begin case value: statements ... default: statements end
+  function parseSwitch() {
+    const start = expect('keyword', 'switch');
+    const discriminant = parseExpression();
+    expect('keyword', 'begin');
+    const cases = [];
+    while (!isKeyword('end')) {
+      const caseToken = peek();
+      let test = null;
+      if (accept('keyword', 'case')) {
+        test = parseExpression();
+      } else {
+        expect('keyword', 'default', '"case", "default" or "end"');
+      }
+      expect('punct', ':');
+      const body = [];
+      while (!isKeyword('case', 'default', 'end')) {
+        if (peek() === eof || isKeyword('procedure')) {
+          fail(`Expected "end" to close the switch on line ${start.line}, found ${describe(peek())}`);
+        }
+        try {
+          const statement = parseStatement();
+          if (statement) body.push(statement);
+        } catch (e) {
+          recover(e, true);
+        }
+      }
+      cases.push(node('SwitchCase', caseToken, { test, body }));
+    }
+    next();
+    return node('Switch', start, { discriminant, cases });
+  }
+
+  function parseArguments() {
+    const args = [];
+    if (!is('punct', ')')) {
+      do {
+        args.push(parseExpression());
+      } while (accept('punct', ','));
+    }
+    expect('punct', ')', '"," or ")"');
+    return args;
+  }
+
+  // value if test else alternate (sfall)
+  function parseExpression() {
+    const token = peek();
+    const value = parseBinary(0);
+    if (isKeyword('if')) {
+      next();
+      const test = parseBinary(0);
+      expect('keyword', 'else');
+      return node('Conditional', token, { test, consequent: value, alternate: parseExpression() });
+    }
+    return value;
+  }
+
+  function isBinaryOperator(level) {
+    const token = peek();
+    return (token.type === 'operator' || token.type === 'keyword') && BINARY_LEVELS[level].includes(token.value);
+  }
+
+  function parseBinary(level) {
+    if (level === BINARY_LEVELS.length) {
+      return parseUnary();
+    }
+    if (BINARY_LEVELS[level] === null) {
+      const token = peek();
+      if (isKeyword('not') || isOperator('!')) {
+        next();
+        return node('Unary', token, { operator: 'not', argument: parseBinary(level) });
+      }
+      return parseBinary(level + 1);
+    }
+
+    let left = parseBinary(level + 1);
+    while (isBinaryOperator(level)) {
+      const operator = next();
+      left = node('Binary', operator, { operator: operator.value, left, right: parseBinary(level + 1) });
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (isOperator('-', '+', '++', '--') || isKeyword('bwnot', 'not')) {
+      next();
+      return node('Unary', token, { operator: token.value, argument: parseUnary() });
+    }
+    const base = parsePostfix();
+    if (isOperator('^')) {
+      const operator = next();
+      return node('Binary', operator, { operator: '^', left: base, right: parseUnary() });
+    }
+    return base;
+  }
+
+  function parsePostfix() {
+    let expression = parsePrimary();
+    for (;;) {
+      const token = peek();
+      if (accept('punct', '[')) {
+        const property = parseExpression();
+        expect('punct', ']');
+        expression = node('Index', token, { object: expression, property });
+      } else if (is('punct', '.') && is('ident', undefined, 1)) {
+        next();
+        expression = node('Member', token, { object: expression, property: next().value });
+      } else if (isOperator('++', '--')) {
+        next();
+        expression = node('Update', token, { operator: token.value, argument: expression });
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (token.type === 'number') {
+      next();
+      return node('Literal', token, { kind: 'number', value: token.value });
+    }
+    if (token.type === 'string') {
+      if (token.unterminated) {
+        fail('Unterminated string');
+      }
+      next();
+      return node('Literal', token, { kind: 'string', value: token.value });
+    }
+    if (token.type === 'ident') {
+      next();
+      if (accept('punct', '(')) {
+        return node('Call', token, { name: token.value, args: parseArguments() });
+      }
+      return node('Identifier', token, { name: token.value });
+    }
+    if (accept('punct', '(')) {
+      const expression = parseExpression();
+      expect('punct', ')');
+      return expression;
+    }
+    if (accept('punct', '@')) {
+      const name = expect('ident', undefined, 'a procedure name');
+      return node('ProcedureRef', token, { name: name.value });
+    }
+    if (accept('punct', '[')) {
+      const elements = [];
+      if (!is('punct', ']')) {
+        do {
+          elements.push(parseExpression());
+        } while (accept('punct', ','));
+      }
+      expect('punct', ']', '"," or "]"');
+      return node('ArrayLiteral', token, { elements });
+    }
+    if (accept('punct', '{')) {
+      const entries = [];
+      if (!is('punct', '}')) {
+        do {
+          const key = parseExpression();
+          expect('punct', ':');
+          entries.push({ key, value: parseExpression() });
+        } while (accept('punct', ','));
+      }
+      expect('punct', '}', '"," or "}"');
+      return node('MapLiteral', token, { entries });
+    }
+
+    return fail(token.type === 'invalid' ? `Unexpected character "${token.value}"` : `Unexpected ${describe(token)}`);
+  }
+
+  // Top level: procedures and variables
+  while (peek() !== eof) {
+    try {
+      if (accept('punct', ';')) {
+        continue;
+      }
+      const modifier = isKeyword('import', 'export') ? next().value : null;
+      if (isKeyword('variable')) {
+        program.body.push(parseVariableDeclaration(modifier));
+      } else if (isKeyword('procedure', 'critical', 'pure', 'inline')) {
+        program.body.push(parseProcedure(modifier));
+      } else if (snippet && !modifier) {
+        const statement = parseStatement();
+        if (statement) program.body.push(statement);
+      } else {
+        fail(`Expected a procedure or variable declaration, found ${describe(peek())}`);
+      }
+    } catch (e) {
+      recover(e, false);
+    }
+  }
+
+  return program;
+}
+
+/**
+ * Call `visit(node)` for every node below `root`, depth first
+ */
+function walk(root, visit) {
+  if (Array.isArray(root)) {
+    root.forEach((child) => walk(child, visit));
+    return;
+  }
+  if (!root || typeof root !== 'object') {
+    return;
+  }
+  if (typeof root.type === 'string') {
+    visit(root);
+  }
+  for (const [key, value] of Object.entries(root)) {
+    if (key !== 'procedures' && key !== 'macros' && key !== 'variables' && value && typeof value === 'object') {
+      walk(value, visit);
+    }
+  }
+}
+
+module.exports = {
+  KEYWORDS,
+  tokenize,
+  parseDirective,
+  parse,
+  walk,
+};
@@ -0,0 +1,88 @@
+/**
+ * The Unofficial Patch (UP) scripts the compatibility dataset is checked
+ * against.
+ *
+ * Used by generate-compatibility.js with --up-path: finding the script
+ * sources of a local Fallout2_Unofficial_Patch checkout and counting, for
+ * each SSL function, the files that use it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// Identifiers in script source, outside comments and strings
+const IDENTIFIER_PATTERN = /[A-Za-z_][A-Za-z0-9_]*/g;
+
+/**
+ * Short commit of a local checkout, or null when it is not a git repo
+ */
+function getShortCommit(repoPath) {
+  try {
+    return execSync('git rev-parse --short HEAD', { cwd: repoPath, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find .ssl scripts and .h headers below a directory, sorted
+ */
+function findScriptFiles(dir) {
+  const files = [];
+
+  function walk(currentDir) {
+    for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        walk(fullPath);
+      } else if (entry.isFile() && /\.(ssl|h)$/i.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  walk(dir);
+  return files.sort();
+}
+
+/**
+ * Remove comments and string literals from SSL source
+ */
+function stripCommentsAndStrings(source) {
+  return source.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*|"(?:[^"\\\n]|\\.)*"/g, ' ');
+}
+
+/**
+ * Count, for each name, the UP script files that use it
+ * Headers count too: a macro that wraps a function uses it. The checkout's
+ * scripts_src/ is scanned when it has one, the whole directory otherwise.
+ * Returns { usage: name -> file count (names no file uses are absent),
+ * fileCount }.
+ */
+function scanUnofficialPatch(upPath, names) {
+  const scriptsDir = fs.existsSync(path.join(upPath, 'scripts_src'))
+    ? path.join(upPath, 'scripts_src')
+    : upPath;
+  const files = findScriptFiles(scriptsDir);
+  const usage = {};
+
+  for (const file of files) {
+    const source = stripCommentsAndStrings(fs.readFileSync(file, 'latin1'));
+    const identifiers = new Set(source.match(IDENTIFIER_PATTERN));
+    for (const name of names) {
+      if (identifiers.has(name)) {
+        usage[name] = (usage[name] || 0) + 1;
+      }
+    }
+  }
+
+  return { usage, fileCount: files.length };
+}
+
+module.exports = {
+  getShortCommit,
+  findScriptFiles,
+  stripCommentsAndStrings,
+  scanUnofficialPatch,
+};
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * Lints SSL scripts against this site's function reference and indices.
+ *
+ * This script:
+ * 1. Parses every .ssl file in the given files and directories, and the
+ *    headers they #include (relative to the script, then --include-dir)
+ * 2. Resolves each call against the script's procedures and macros, the
+ *    included headers, the compatibility dataset and the define index
+ * 3. Reports syntax errors, unknown functions, argument counts that differ
+ *    from the documented signature, and sfall functions fallout2-ce lacks
+ *
+ * Exits with status 1 when any error is found; warnings alone pass.
+ *
+ * Usage:
+ *   node scripts/lint-ssl.js <file|dir>... [options]
+ *
+ * Options:
+ *   --include-dir <path>  Also look for #include files here (repeatable)
+ *   --no-ce               Do not warn about functions missing from fallout2-ce
+ *   --json                Print the report as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./lib/ssl-parser');
+const { createKnowledgeBase, isIndexedHeader, lintProgram } = require('./lib/ssl-lint');
+const { MISSING_SFALL_FILE, parseFunctionDoc, parseFunctionDocs } = require('./lib/ssl-docs');
+const { loadIndex } = require('./lib/indices');
+
+/**
+ * Find .ssl files below a directory
+ */
+function findScripts(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
+      files.push(...findScripts(fullPath));
+    } else if (entry.isFile() && /\.ssl$/i.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Find a file by path, ignoring case (scripts are written on Windows)
+ */
+function findFileIgnoringCase(filePath) {
+  if (fs.existsSync(filePath)) {
+    return filePath;
+  }
+  let current = path.parse(path.resolve(filePath)).root;
+  for (const part of path.resolve(filePath).split(path.sep).filter(Boolean)) {
+    if (!fs.existsSync(current) || !fs.statSync(current).isDirectory()) {
+      return null;
+    }
+    const match = fs.readdirSync(current).find((name) => name.toLowerCase() === part.toLowerCase());
+    if (!match) {
+      return null;
+    }
+    current = path.join(current, match);
+  }
+  return current;
+}
+
+/**
+ * Resolve an #include path from the including file's directory, then the
+ * include directories
+ */
+function resolveInclude(includePath, fromDir, includeDirs) {
+  const relative = includePath.replace(/\\/g, '/');
+  for (const dir of [fromDir, ...includeDirs]) {
+    const found = findFileIgnoringCase(path.join(dir, relative));
+    if (found && fs.statSync(found).isFile()) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses headers once and collects everything a script includes
+ */
+function createHeaderLoader(kb, includeDirs) {
+  const cache = new Map();
+
+  function loadHeader(file) {
+    if (!cache.has(file)) {
+      cache.set(file, parse(fs.readFileSync(file, 'latin1')));
+    }
+    return cache.get(file);
+  }
+
+  // Headers included by `program`, directly or not, and the includes that could not be read
+  return function collectHeaders(program, file) {
+    const headers = [];
+    const unresolved = [];
+    const seen = new Set();
+
+    function visit(includes, fromFile, direct) {
+      for (const include of includes) {
+        const resolved = resolveInclude(include.path, path.dirname(fromFile), includeDirs);
+        if (!resolved) {
+          // Headers the define index covers are known without reading them
+          if (direct && !isIndexedHeader(include.path, kb)) unresolved.push(include);
+          continue;
+        }
+        if (seen.has(resolved)) continue;
+        seen.add(resolved);
+        const header = loadHeader(resolved);
+        headers.push(header);
+        visit(header.includes, resolved, false);
+      }
+    }
+
+    visit(program.includes, file, true);
+    return { headers, unresolved };
+  };
+}
+
+/**
+ * Lint one script
+ */
+function lintFile(file, kb, collectHeaders, options) {
+  const source = fs.readFileSync(file, 'latin1');
+  // Parse once for the includes, then again knowing the headers' macros
+  const { headers, unresolved } = collectHeaders(parse(source), file);
+  const macros = new Set(Object.keys(kb.macros));
+  for (const header of headers) {
+    Object.keys(header.macros).forEach((name) => macros.add(name));
+  }
+  const program = parse(source, { macros });
+  return lintProgram(program, kb, { ...options, headers, unresolvedIncludes: unresolved });
+}
+
+/**
+ * "1 error", "2 errors"
+ */
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Print the report in a human-readable form
+ */
+function printReport(report) {
+  for (const { file, diagnostics } of report.files) {
+    if (diagnostics.length === 0) continue;
+    console.log(`\n${file}`);
+    for (const { line, column, severity, code, message } of diagnostics) {
+      console.log(`  ${`${line}:${column}`.padEnd(8)} ${severity.padEnd(8)} ${message}  [${code}]`);
+    }
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Checked ${plural(report.checked, 'script')}: ${plural(report.errors, 'error')}, ${plural(report.warnings, 'warning')}`);
+  console.log('='.repeat(60));
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const checkCe = !args.includes('--no-ce');
+  const includeDirs = [];
+  const targets = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--include-dir') {
+      includeDirs.push(path.resolve(args[++i] || '.'));
+    } else if (!args[i].startsWith('--')) {
+      targets.push(args[i]);
+    }
+  }
+
+  if (targets.length === 0) {
+    console.error('Usage: node scripts/lint-ssl.js <file|dir>... [--include-dir <path>] [--no-ce] [--json]');
+    process.exit(1);
+  }
+
+  let kb;
+  try {
+    kb = createKnowledgeBase({
+      compatibility: loadIndex('compatibility'),
+      docs: { ...parseFunctionDoc(MISSING_SFALL_FILE), ...parseFunctionDocs() },
+      defines: loadIndex('defines'),
+    });
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  const files = [];
+  for (const target of targets) {
+    if (!fs.existsSync(target)) {
+      console.error(`ERROR: ${target} not found`);
+      process.exit(1);
+    }
+    files.push(...(fs.statSync(target).isDirectory() ? findScripts(target) : [target]));
+  }
+
+  const collectHeaders = createHeaderLoader(kb, includeDirs);
+  const report = { checked: files.length, errors: 0, warnings: 0, files: [] };
+  for (const file of files) {
+    const diagnostics = lintFile(file, kb, collectHeaders, { checkCe });
+    report.errors += diagnostics.filter((d) => d.severity === 'error').length;
+    report.warnings += diagnostics.filter((d) => d.severity === 'warning').length;
+    report.files.push({ file: path.relative(process.cwd(), file).replace(/\\/g, '/'), diagnostics });
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (report.errors > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  resolveInclude,
+  lintFile,
+};
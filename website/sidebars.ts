@@ -14,10 +14,12 @@ const sidebars: SidebarsConfig = {
           label: 'Data Files',
           items: [
             'formats/pro',
-            // Future: 'formats/map',
-            // Future: 'formats/frm',
-            // Future: 'formats/lst',
-            // Future: 'formats/msg',
+            'formats/pro-inspector',
+            'formats/msg',
+            'formats/lst',
+            'formats/map',
+            'formats/map-viewer',
+            'formats/frm',
           ],
         },
       ],
@@ -33,6 +35,7 @@ const sidebars: SidebarsConfig = {
         'ssl/overview',
         'ssl/syntax',
         'ssl/procedures',
+        'ssl/playground',
         {
           type: 'category',
           label: 'Function Reference',
@@ -57,11 +60,26 @@ const sidebars: SidebarsConfig = {
                 'ssl/functions/meta',
               ],
             },
+            {
+              type: 'doc',
+              id: 'compatibility/matrix',
+              label: 'Compatibility Matrix',
+            },
             {
               type: 'doc',
               id: 'compatibility/missing-sfall-functions',
               label: 'Unimplemented Sfall Functions',
             },
+            {
+              type: 'doc',
+              id: 'compatibility/coverage',
+              label: 'Documentation Coverage',
+            },
+            {
+              type: 'doc',
+              id: 'compatibility/engine-changelog',
+              label: 'Engine Changelog',
+            },
           ],
         },
         'ssl/hooks',
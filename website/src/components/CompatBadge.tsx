@@ -0,0 +1,57 @@
+import React from 'react';
+import type { CompatInfo } from '../data/types';
+import { useCompatibility, withIndices } from '../hooks/useIndices';
+
+interface CompatBadgeProps {
+  /** SSL function name */
+  fn: string;
+  /** Leave out the vanilla/sfall badge, e.g. next to a hand-written tag */
+  hideOrigin?: boolean;
+}
+
+/**
+ * Tooltip for the fallout2-ce badge
+ */
+function ceTitle(info: CompatInfo): string {
+  if (!info.ce) {
+    return 'Not implemented in fallout2-ce';
+  }
+  return info.ceSince ? `Implemented in fallout2-ce since ${info.ceSince}` : 'Implemented in fallout2-ce';
+}
+
+/**
+ * Compatibility badges for an SSL function, from the generated compatibility
+ * dataset: vanilla or sfall, whether fallout2-ce implements it, and whether
+ * the Unofficial Patch uses it (once a UP checkout has been scanned). Meant
+ * for function headings; renders nothing for functions the dataset does not
+ * know.
+ *
+ * @example
+ * ## register_hook_proc <CompatBadge fn="register_hook_proc" /> {#register_hook_proc}
+ * <CompatBadge fn="critter_mod_skill" hideOrigin />
+ */
+function CompatBadge({ fn, hideOrigin = false }: CompatBadgeProps): React.ReactElement | null {
+  const info = useCompatibility().functions[fn];
+
+  if (!info) {
+    return null;
+  }
+
+  return (
+    <>
+      {!hideOrigin && info.origin !== 'unknown' && (
+        <span className={`tag-${info.origin}`}>{info.origin}</span>
+      )}
+      <span className={info.ce ? 'tag-ce' : 'tag-missing'} title={ceTitle(info)}>
+        {info.ce ? 'CE' : 'Not in CE'}
+      </span>
+      {info.usedInUp && (
+        <span className="tag-used" title={`Used in ${info.upFiles} Unofficial Patch script files`}>
+          Used in UP
+        </span>
+      )}
+    </>
+  );
+}
+
+export default withIndices(CompatBadge);
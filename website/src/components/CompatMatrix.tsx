@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import Link from '@docusaurus/Link';
+import type { CompatInfo } from '../data/types';
+import { useCompatibility, withIndices } from '../hooks/useIndices';
+
+type OriginFilter = 'all' | 'vanilla' | 'sfall';
+type CeFilter = 'all' | 'implemented' | 'missing';
+
+interface CompatRow {
+  name: string;
+  info: CompatInfo;
+}
+
+interface CompatMatrixProps {
+  /** Initial origin filter */
+  origin?: OriginFilter;
+  /** Initial fallout2-ce filter */
+  ce?: CeFilter;
+  /** Start with only functions the Unofficial Patch uses */
+  usedInUp?: boolean;
+}
+
+const yes = <span style={{ color: 'var(--ifm-color-success-darkest)' }}>✓</span>;
+const no = <span style={{ color: 'var(--ifm-color-danger)' }}>✗</span>;
+
+/**
+ * Filterable matrix of every SSL function in the compatibility dataset:
+ * vanilla or sfall, implemented in fallout2-ce or not, and used by the
+ * Unofficial Patch. The UP column and filter only show once the dataset
+ * records a scan of a UP checkout.
+ *
+ * @example
+ * <CompatMatrix />
+ * <CompatMatrix ce="missing" usedInUp />
+ */
+function CompatMatrix({
+  origin: initialOrigin = 'all',
+  ce: initialCe = 'all',
+  usedInUp: initialUsedInUp = false,
+}: CompatMatrixProps): React.ReactElement {
+  const data = useCompatibility();
+  const up = data._meta.up;
+  const [filter, setFilter] = useState('');
+  const [origin, setOrigin] = useState<OriginFilter>(initialOrigin);
+  const [ce, setCe] = useState<CeFilter>(initialCe);
+  const [usedInUp, setUsedInUp] = useState(initialUsedInUp);
+
+  const rows = useMemo<CompatRow[]>(
+    () => Object.entries(data.functions).map(([name, info]) => ({ name, info })),
+    [data],
+  );
+
+  const filtered = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    return rows.filter(({ name, info }) =>
+      (!needle || name.includes(needle)) &&
+      (origin === 'all' || info.origin === origin) &&
+      (ce === 'all' || info.ce === (ce === 'implemented')) &&
+      (!up || !usedInUp || info.usedInUp));
+  }, [rows, filter, origin, ce, up, usedInUp]);
+
+  const missing = rows.filter(({ info }) => !info.ce).length;
+  const missingUsed = rows.filter(({ info }) => !info.ce && info.usedInUp).length;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <input
+          type="text"
+          value={filter}
+          placeholder="Filter by name"
+          onChange={(e) => setFilter(e.target.value)}
+          style={{ minWidth: '14rem' }}
+        />
+        <select value={origin} onChange={(e) => setOrigin(e.target.value as OriginFilter)}>
+          <option value="all">Vanilla and sfall</option>
+          <option value="vanilla">Vanilla only</option>
+          <option value="sfall">sfall only</option>
+        </select>
+        <select value={ce} onChange={(e) => setCe(e.target.value as CeFilter)}>
+          <option value="all">Any fallout2-ce status</option>
+          <option value="implemented">Implemented in fallout2-ce</option>
+          <option value="missing">Missing from fallout2-ce</option>
+        </select>
+        {up && (
+          <label style={{ display: 'inline-flex', gap: '0.25rem', alignItems: 'center' }}>
+            <input type="checkbox" checked={usedInUp} onChange={(e) => setUsedInUp(e.target.checked)} />
+            Used in UP
+          </label>
+        )}
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Function</th>
+            <th>Vanilla</th>
+            <th>sfall</th>
+            <th>fallout2-ce</th>
+            {up && <th>Used in UP</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {filtered.map(({ name, info }) => (
+            <tr key={name}>
+              <td>
+                {info.page ? (
+                  <Link to={`/${info.page}#${name}`}>
+                    <code>{name}</code>
+                  </Link>
+                ) : (
+                  <code>{name}</code>
+                )}
+              </td>
+              <td>{info.origin === 'vanilla' ? yes : info.origin === 'unknown' ? '?' : ''}</td>
+              <td>{info.origin === 'sfall' ? yes : info.origin === 'unknown' ? '?' : ''}</td>
+              <td>
+                {info.ce ? yes : no}
+                {info.ceSince && <span style={{ opacity: 0.6, fontSize: '0.85em' }}> since {info.ceSince}</span>}
+              </td>
+              {up && (
+                <td>
+                  {info.usedInUp && yes}
+                  {info.upFiles !== undefined && <span style={{ opacity: 0.6, fontSize: '0.85em' }}> {info.upFiles} files</span>}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ opacity: 0.6, fontSize: '0.85em' }}>
+        {filtered.length} of {rows.length} functions; {missing} missing from fallout2-ce
+        {up && `, ${missingUsed} of them used by the Unofficial Patch`}. fallout2-ce commit {data._meta.shortCommit}
+        {up?.commit && `, Unofficial Patch commit ${up.commit}`}.
+      </p>
+    </div>
+  );
+}
+
+export default withIndices(CompatMatrix);
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react';
+import type { DefineIndex } from '../data/types';
+import { useDefineIndex, withIndices } from '../hooks/useIndices';
+import DefineRef from './DefineRef';
+
+interface DefineLookupProps {
+  /** Initial prefix category (e.g., "STAT"); empty searches all categories */
+  prefix?: string;
+  /** Initial number to look up */
+  value?: number | string;
+}
+
+/**
+ * Parse a decimal or hex ("0x1F") number typed by the user
+ * Both wrap to int32 like the engine's values, so 4294967295 and 0xFFFFFFFF
+ * both find a define of -1.
+ */
+export function parseNumber(text: string): number | null {
+  const match = text.trim().match(/^(-?)(?:0x([0-9a-f]+)|(\d+))$/i);
+  if (!match) {
+    return null;
+  }
+  const negative = match[1] === '-';
+  const value = match[2] !== undefined ? parseInt(match[2], 16) : parseInt(match[3], 10);
+  return (negative ? -value : value) | 0;
+}
+
+/**
+ * Find every define in a prefix category whose value evaluates to a number
+ */
+export function findDefinesByValue(index: DefineIndex, value: number, prefix?: string): string[] {
+  return Object.entries(index.defines)
+    .filter(([, info]) => info.numericValue === value && (!prefix || info.prefix === prefix))
+    .map(([name]) => name)
+    .sort();
+}
+
+/**
+ * Reverse lookup: lists every define in a prefix category with a given number.
+ * Useful for decoding numbers from savegames and debug output.
+ *
+ * @example
+ * <DefineLookup prefix="STAT" value={7} />
+ * <DefineLookup />
+ */
+function DefineLookup({
+  prefix: initialPrefix = '',
+  value: initialValue = '',
+}: DefineLookupProps): React.ReactElement {
+  const [prefix, setPrefix] = useState(initialPrefix);
+  const [text, setText] = useState(String(initialValue));
+
+  const index = useDefineIndex();
+  const prefixes = useMemo(
+    () => Array.from(new Set(Object.values(index.defines).map((info) => info.prefix))).sort(),
+    [index],
+  );
+
+  const value = parseNumber(text);
+  const matches = value === null ? [] : findDefinesByValue(index, value, prefix);
+
+  return (
+    <div
+      style={{
+        padding: '0.75rem',
+        backgroundColor: 'var(--ifm-color-emphasis-100)',
+        borderRadius: '4px',
+        marginBottom: '1rem',
+      }}
+    >
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.5rem' }}>
+        <select value={prefix} onChange={(e) => setPrefix(e.target.value)}>
+          <option value="">All categories</option>
+          {prefixes.map((p) => (
+            <option key={p} value={p}>
+              {p}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={text}
+          placeholder="Number (e.g. 7 or 0x1F)"
+          onChange={(e) => setText(e.target.value)}
+          style={{ fontFamily: 'var(--ifm-font-family-monospace)' }}
+        />
+      </div>
+      {text.trim() === '' ? null : value === null ? (
+        <span style={{ color: 'var(--ifm-color-warning-dark)' }}>Not a number: {text}</span>
+      ) : matches.length === 0 ? (
+        <span style={{ opacity: 0.7 }}>
+          No {prefix || 'indexed'} define has the value {value}
+        </span>
+      ) : (
+        <ul style={{ marginBottom: 0 }}>
+          {matches.map((name) => (
+            <li key={name}>
+              <DefineRef name={name} inline />{' '}
+              <span style={{ opacity: 0.6, fontSize: '0.85em' }}>= {index.defines[name].value}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default withIndices(DefineLookup);
@@ -1,8 +1,7 @@
 import React from 'react';
-import defineIndex from '../data/define-index.json';
-import type { DefineIndex, DefineInfo } from '../data/types';
-
-const index = defineIndex as DefineIndex;
+import CodeBlock from '@theme/CodeBlock';
+import type { DefineIndexMeta, DefineInfo as DefineEntry } from '../data/types';
+import { useDefineIndex, withIndices } from '../hooks/useIndices';
 
 interface DefineRefProps {
   /** Define name to look up (e.g., "SKILL_SMALL_GUNS") */
@@ -13,10 +12,13 @@ interface DefineRefProps {
   showLine?: boolean;
   /** Render as inline link instead of block */
   inline?: boolean;
+  /** Show the macro expansion below the link (function-like macros only) */
+  expand?: boolean;
 }
 
 /**
- * Component that renders a link to a define/macro in Fallout2 Restoration Project's define.h
+ * Component that renders a link to a define/macro in Fallout2 Restoration Project's headers
+ * (define.h, sfall.h, command.h, ...). Links point at the header the define was found in.
  *
  * Uses a build-time generated index to resolve define locations, ensuring
  * stable links pinned to specific commits.
@@ -25,13 +27,16 @@ interface DefineRefProps {
  * <DefineRef name="SKILL_SMALL_GUNS" />
  * <DefineRef name="DAM_CRIP_ARM_LEFT" inline />
  * <DefineRef name="PERK_bonus_hth_damage" label="Bonus HtH Damage perk" />
+ * <DefineRef name="gsay_message_macro" expand />
  */
-export default function DefineRef({
+function DefineRef({
   name,
   label,
   showLine = false,
   inline = false,
+  expand = false,
 }: DefineRefProps): React.ReactElement {
+  const index = useDefineIndex();
   const info = index.defines[name];
 
   if (!info) {
@@ -63,13 +68,16 @@ export default function DefineRef({
     );
   }
 
-  // Build GitHub URL
-  const { repo, file, shortCommit } = index._meta;
-  const commitRef = shortCommit || 'main';
-  const url = `https://github.com/${repo}/blob/${commitRef}/${file}#L${info.line}`;
+  const url = defineUrl(info, index._meta);
 
-  const displayLabel = label || name;
+  const isMacro = info.kind === 'macro';
+  const displayLabel = label || (isMacro ? macroSignature(name, info) : name);
   const lineInfo = showLine ? ` (L${info.line})` : '';
+  const expansion = isMacro && expand && (
+    <CodeBlock language="ssl">
+      {`#define ${macroSignature(name, info)} ${info.value}`}
+    </CodeBlock>
+  );
 
   // Inline rendering - clickable code link
   if (inline) {
@@ -79,6 +87,7 @@ export default function DefineRef({
         target="_blank"
         rel="noopener noreferrer"
         style={{ textDecoration: 'none' }}
+        title={isMacro ? `${macroSignature(name, info)} → ${info.value}` : undefined}
       >
         <code
           style={{
@@ -96,7 +105,7 @@ export default function DefineRef({
   }
 
   // Block rendering with GitHub icon
-  return (
+  const link = (
     <div
       style={{
         display: 'inline-flex',
@@ -118,15 +127,31 @@ export default function DefineRef({
           (L{info.line})
         </span>
       )}
-      {info.value && (
+      {info.value && !isMacro && (
         <span style={{ opacity: 0.6, fontSize: '0.85em' }}>
           = {info.value}
         </span>
       )}
+      {isMacro && !expand && (
+        <span style={{ opacity: 0.6, fontSize: '0.85em' }}>macro</span>
+      )}
+    </div>
+  );
+
+  if (!expansion) {
+    return link;
+  }
+
+  return (
+    <div>
+      {link}
+      {expansion}
     </div>
   );
 }
 
+export default withIndices(DefineRef);
+
 function GitHubIcon() {
   return (
     <svg
@@ -145,30 +170,44 @@ function GitHubIcon() {
 /**
  * Helper component to show define info without a link
  */
-export function DefineInfo({ name }: { name: string }): React.ReactElement {
-  const info = index.defines[name];
+export const DefineInfo = withIndices(function DefineInfo({ name }: { name: string }): React.ReactElement {
+  const info = useDefineIndex().defines[name];
 
   if (!info) {
     return <span>Define not indexed: {name}</span>;
   }
 
+  if (info.kind === 'macro') {
+    return (
+      <span>
+        <code>{macroSignature(name, info)}</code> → <code>{info.value}</code> (line {info.line})
+      </span>
+    );
+  }
+
   return (
     <span>
       <code>{name}</code> = {info.value} (line {info.line})
     </span>
   );
-}
+});
 
 /**
- * Get define info from the index (for programmatic use)
+ * Build the call signature of a function-like macro, e.g. "gsay_message_macro(x, y)"
  */
-export function getDefineInfo(name: string): DefineInfo | undefined {
-  return index.defines[name];
+export function macroSignature(name: string, info: DefineEntry): string {
+  return `${name}(${(info.params || []).join(', ')})`;
 }
 
 /**
- * Get the index metadata
+ * GitHub URL of a define's line(s), pinned to the indexed commit
  */
-export function getDefineIndexMeta() {
-  return index._meta;
+export function defineUrl(info: DefineEntry, meta: DefineIndexMeta): string {
+  const { repo, shortCommit } = meta;
+  const commitRef = shortCommit || 'main';
+  let url = `https://github.com/${repo}/blob/${commitRef}/${info.file}#L${info.line}`;
+  if (info.endLine && info.endLine > info.line) {
+    url += `-L${info.endLine}`;
+  }
+  return url;
 }
@@ -0,0 +1,172 @@
+import React, { useMemo, useState } from 'react';
+import type { DefineInfo } from '../data/types';
+import { useDefineIndex, withIndices } from '../hooks/useIndices';
+import { defineUrl } from './DefineRef';
+
+type SortKey = 'name' | 'value' | 'line';
+
+interface DefineRow {
+  name: string;
+  info: DefineInfo;
+}
+
+interface DefineTableProps {
+  /** Prefix category to list (e.g., "SKILL", "STAT") */
+  prefix: string;
+  /** Only list defines whose value falls in [min, max] */
+  range?: [number, number];
+  /** Optional descriptions by define name, shown in an extra column */
+  descriptions?: Record<string, string>;
+}
+
+const headerStyle: React.CSSProperties = {
+  cursor: 'pointer',
+  userSelect: 'none',
+  whiteSpace: 'nowrap',
+};
+
+/**
+ * Compare two rows by value; defines without a numeric value sort last
+ */
+function compareValues(a: DefineRow, b: DefineRow): number {
+  const left = a.info.numericValue ?? Infinity;
+  const right = b.info.numericValue ?? Infinity;
+  if (left !== right) return left < right ? -1 : 1;
+  return a.info.line - b.info.line;
+}
+
+/**
+ * Raw value when it says more than the number, e.g. an alias of another define
+ */
+function rawValue(info: DefineInfo): string | null {
+  const stripped = info.value.replace(/^\((.*)\)$/, '$1').trim();
+  return stripped === String(info.numericValue) ? null : info.value;
+}
+
+/**
+ * Sortable, filterable table of every define in a prefix category of the
+ * define index: name, value and a link to the header line. Click a column
+ * header to sort.
+ *
+ * @example
+ * <DefineTable prefix="SKILL" />
+ * <DefineTable prefix="STAT" range={[0, 6]} />
+ * <DefineTable prefix="item_type" descriptions={{ item_type_armor: 'Wearable protection' }} />
+ */
+function DefineTable({
+  prefix,
+  range,
+  descriptions,
+}: DefineTableProps): React.ReactElement {
+  const index = useDefineIndex();
+  const [sortKey, setSortKey] = useState<SortKey>('value');
+  const [ascending, setAscending] = useState(true);
+  const [filter, setFilter] = useState('');
+
+  const rows = useMemo<DefineRow[]>(() =>
+    Object.entries(index.defines)
+      .filter(([, info]) => info.prefix === prefix && info.kind === 'constant')
+      .filter(([, info]) => !range ||
+        (info.numericValue !== undefined && info.numericValue >= range[0] && info.numericValue <= range[1]))
+      .map(([name, info]) => ({ name, info })),
+  [index, prefix, range]);
+
+  const sorted = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    const filtered = needle
+      ? rows.filter((row) =>
+          row.name.toLowerCase().includes(needle) ||
+          row.info.value.toLowerCase().includes(needle) ||
+          String(row.info.numericValue ?? '').includes(needle) ||
+          (descriptions?.[row.name] || '').toLowerCase().includes(needle))
+      : rows;
+
+    return [...filtered].sort((a, b) => {
+      let result: number;
+      if (sortKey === 'value') {
+        result = compareValues(a, b);
+      } else if (sortKey === 'line') {
+        result = a.info.file.localeCompare(b.info.file) || a.info.line - b.info.line;
+      } else {
+        result = a.name.localeCompare(b.name);
+      }
+      return ascending ? result : -result;
+    });
+  }, [rows, sortKey, ascending, filter, descriptions]);
+
+  if (rows.length === 0) {
+    return (
+      <div
+        style={{
+          padding: '0.5rem 0.75rem',
+          backgroundColor: 'var(--ifm-color-warning-contrast-background)',
+          borderRadius: '4px',
+          fontSize: '0.9rem',
+        }}
+      >
+        No defines with prefix <code>{prefix}</code> in the define index.
+      </div>
+    );
+  }
+
+  const sortBy = (key: SortKey) => {
+    if (key === sortKey) {
+      setAscending(!ascending);
+    } else {
+      setSortKey(key);
+      setAscending(true);
+    }
+  };
+  const arrow = (key: SortKey) => (key === sortKey ? (ascending ? ' ▲' : ' ▼') : '');
+
+  return (
+    <div>
+      <input
+        type="text"
+        value={filter}
+        placeholder="Filter by name or value"
+        onChange={(e) => setFilter(e.target.value)}
+        style={{ marginBottom: '0.5rem', minWidth: '16rem' }}
+      />
+      <table>
+        <thead>
+          <tr>
+            <th style={headerStyle} onClick={() => sortBy('value')}>Value{arrow('value')}</th>
+            <th style={headerStyle} onClick={() => sortBy('name')}>Constant{arrow('name')}</th>
+            {descriptions && <th>Description</th>}
+            <th style={headerStyle} onClick={() => sortBy('line')}>Source{arrow('line')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map(({ name, info }) => {
+            const raw = rawValue(info);
+            return (
+              <tr key={name}>
+                <td>
+                  {info.numericValue !== undefined ? info.numericValue : <code>{info.value}</code>}
+                  {info.numericValue !== undefined && raw && (
+                    <span style={{ opacity: 0.6, fontSize: '0.85em' }}> ({raw})</span>
+                  )}
+                </td>
+                <td>
+                  <code>{name}</code>
+                </td>
+                {descriptions && <td>{descriptions[name]}</td>}
+                <td>
+                  <a href={defineUrl(info, index._meta)} target="_blank" rel="noopener noreferrer">
+                    {info.file.split('/').pop()}:{info.line}
+                  </a>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p style={{ opacity: 0.6, fontSize: '0.85em' }}>
+        {sorted.length} of {rows.length} <code>{prefix}</code> defines, {index._meta.repo} commit {index._meta.shortCommit}
+      </p>
+    </div>
+  );
+}
+
+export default withIndices(DefineTable);
@@ -1,8 +1,7 @@
 import React from 'react';
-import functionIndex from '../data/function-index.json';
+import CodeBlock from '@theme/CodeBlock';
 import type { FunctionIndex, FunctionInfo } from '../data/types';
-
-const index = functionIndex as FunctionIndex;
+import { useFunctionIndex, withIndices } from '../hooks/useIndices';
 
 interface FnRefProps {
   /** Function name to look up (SSL name like "obj_can_see_obj" or C++ name like "opObjCanSeeObj") */
@@ -13,6 +12,8 @@ interface FnRefProps {
   showLines?: boolean;
   /** Render as inline link instead of block */
   inline?: boolean;
+  /** Offer an expandable source preview when the index has the source (block only) */
+  preview?: boolean;
 }
 
 /**
@@ -25,13 +26,16 @@ interface FnRefProps {
  * <FnRef fn="obj_can_see_obj" />
  * <FnRef fn="opObjCanSeeObj" label="See implementation" />
  * <FnRef fn="obj_can_see_obj" inline />
+ * <FnRef fn="obj_can_see_obj" preview={false} />
  */
-export default function FnRef({
+function FnRef({
   fn,
   label,
   showLines = false,
   inline = false,
+  preview = true,
 }: FnRefProps): React.ReactElement {
+  const index = useFunctionIndex();
   const info = index.functions[fn];
 
   if (!info) {
@@ -76,11 +80,13 @@ export default function FnRef({
 
   const displayLabel = label || 'View implementation';
   const lineInfo = showLines ? ` (L${info.startLine}-${info.endLine})` : '';
+  const availability = getAvailability(index, info);
+  const removed = info.removedIn !== undefined;
 
   // Inline rendering
   if (inline) {
     return (
-      <a href={url} target="_blank" rel="noopener noreferrer">
+      <a href={url} target="_blank" rel="noopener noreferrer" title={availability}>
         {displayLabel}
         {lineInfo && <span style={{ opacity: 0.6 }}>{lineInfo}</span>}
       </a>
@@ -88,7 +94,8 @@ export default function FnRef({
   }
 
   // Block rendering with GitHub icon
-  return (
+  const source = preview ? getSource(index, info) : undefined;
+  const link = (
     <div
       style={{
         display: 'inline-flex',
@@ -113,8 +120,85 @@ export default function FnRef({
       {info.cppName && (
         <code style={{ fontSize: '0.8em', opacity: 0.7 }}>{info.cppName}</code>
       )}
+      {availability && (
+        <span
+          style={{
+            fontSize: '0.85em',
+            opacity: removed ? 1 : 0.6,
+            color: removed ? 'var(--ifm-color-warning-darkest)' : undefined,
+          }}
+        >
+          {availability}
+        </span>
+      )}
     </div>
   );
+
+  if (!source) {
+    return link;
+  }
+
+  // Expandable source preview, rendered at build time so it works offline
+  return (
+    <>
+      {link}
+      <details style={{ marginBottom: '0.5rem' }}>
+        <summary style={{ cursor: 'pointer', fontSize: '0.9rem' }}>
+          Show source
+          {source.truncated && <span style={{ opacity: 0.6 }}> (truncated)</span>}
+        </summary>
+        <CodeBlock language="cpp" title={info.file} showLineNumbers={info.startLine}>
+          {source.code}
+        </CodeBlock>
+        {source.truncated && (
+          <a href={url} target="_blank" rel="noopener noreferrer" style={{ fontSize: '0.85rem' }}>
+            View the full implementation on GitHub
+          </a>
+        )}
+      </details>
+    </>
+  );
+}
+
+export default withIndices(FnRef);
+
+/**
+ * Get the stored implementation source of an entry
+ * SSL entries that cover the same lines as their C++ entry share its source.
+ */
+function getSource(index: FunctionIndex, info: FunctionInfo): { code: string; truncated: boolean } | undefined {
+  let entry: FunctionInfo | undefined = info;
+  if (info.source === undefined && info.cppName) {
+    const impl = index.functions[info.cppName];
+    const sameLines = impl && impl.file === info.file &&
+      impl.startLine === info.startLine && impl.endLine === info.endLine;
+    entry = sameLines ? impl : undefined;
+  }
+  if (entry?.source === undefined) {
+    return undefined;
+  }
+  return { code: entry.source, truncated: Boolean(entry.sourceTruncated) };
+}
+
+/**
+ * Describe which fallout2-ce releases have the function, when the index was
+ * generated with --versions (e.g. "available since v1.3.0")
+ */
+function getAvailability(index: FunctionIndex, info: FunctionInfo): string | undefined {
+  const versions = index._meta.versions;
+  if (info.removedIn) {
+    return `removed in ${info.removedIn}`;
+  }
+  if (info.removedIn === null) {
+    return `removed after ${versions?.[versions.length - 1]}`;
+  }
+  if (info.sinceVersion) {
+    return `available since ${info.sinceVersion}`;
+  }
+  if (versions?.length && info.cppName) {
+    return `not in a release yet (after ${versions[versions.length - 1]})`;
+  }
+  return undefined;
 }
 
 function GitHubIcon() {
@@ -135,8 +219,8 @@ function GitHubIcon() {
 /**
  * Helper component to show function info without a link
  */
-export function FnInfo({ fn }: { fn: string }): React.ReactElement {
-  const info = index.functions[fn];
+export const FnInfo = withIndices(function FnInfo({ fn }: { fn: string }): React.ReactElement {
+  const info = useFunctionIndex().functions[fn];
 
   if (!info) {
     return <span>Function not indexed: {fn}</span>;
@@ -147,18 +231,4 @@ export function FnInfo({ fn }: { fn: string }): React.ReactElement {
       <code>{info.file}</code>:{info.startLine}-{info.endLine}
     </span>
   );
-}
-
-/**
- * Get function info from the index (for programmatic use)
- */
-export function getFunctionInfo(fn: string): FunctionInfo | undefined {
-  return index.functions[fn];
-}
-
-/**
- * Get the index metadata
- */
-export function getIndexMeta() {
-  return index._meta;
-}
+});
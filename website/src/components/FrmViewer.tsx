@@ -0,0 +1,270 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import { DIRECTIONS, frameToRgba, grayPalette, parseFrm, parsePalette } from '../../scripts/lib/frm-parser';
+
+interface FrmFrame {
+  offset: number;
+  width: number;
+  height: number;
+  offsetX: number;
+  offsetY: number;
+  pixels: Uint8Array;
+}
+
+interface Frm {
+  version: number;
+  fps: number;
+  actionFrame: number;
+  framesPerDirection: number;
+  shiftX: number[];
+  shiftY: number[];
+  dataOffsets: number[];
+  frameAreaSize: number;
+  directions: FrmFrame[][];
+}
+
+type Palette = [number, number, number][];
+
+interface FrmViewerProps {
+  /** URL of an .frm file to show, e.g. "/examples/sample.frm" (static/ paths get the base URL) */
+  src?: string;
+  /** URL of the palette; without one, frames are drawn with a gray ramp until a .pal is dropped */
+  palette?: string;
+  /** Zoom factor of the canvas */
+  scale?: number;
+}
+
+async function fetchBytes(url: string): Promise<Uint8Array> {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function hex(value: number): string {
+  return `0x${value.toString(16).toUpperCase()}`;
+}
+
+/**
+ * Renders the frames of an FRM sprite on a canvas, with direction and frame
+ * controls, playback at the file's frame rate and the header fields. Shows
+ * `src` when given; an .frm (or .fr0-.fr5) file dropped on it replaces it,
+ * and a dropped .pal file (color.pal) replaces the palette. Files are read
+ * in the browser and not uploaded.
+ *
+ * @example
+ * <FrmViewer />
+ * <FrmViewer src="/examples/sample.frm" palette="/examples/sample.pal" scale={3} />
+ */
+export default function FrmViewer({ src, palette: paletteSrc, scale = 2 }: FrmViewerProps): React.ReactElement {
+  const srcUrl = useBaseUrl(src ?? '');
+  const paletteUrl = useBaseUrl(paletteSrc ?? '');
+  const [frm, setFrm] = useState<{ name: string; frm: Frm } | null>(null);
+  const [palette, setPalette] = useState<{ name: string; colors: Palette } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [direction, setDirection] = useState(0);
+  const [frame, setFrame] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+
+  const showFrm = (name: string, bytes: Uint8Array) => {
+    try {
+      setFrm({ name, frm: parseFrm(bytes) as Frm });
+      setDirection(0);
+      setFrame(0);
+      setError(null);
+    } catch (e) {
+      setError(`${name}: ${(e as Error).message}`);
+    }
+  };
+
+  const applyPalette = (name: string, bytes: Uint8Array) => {
+    try {
+      setPalette({ name, colors: parsePalette(bytes) as Palette });
+      setError(null);
+    } catch (e) {
+      setError(`${name}: ${(e as Error).message}`);
+    }
+  };
+
+  useEffect(() => {
+    if (!src) return;
+    fetchBytes(srcUrl).then((bytes) => showFrm(src, bytes), (e) => setError(e.message));
+  }, [src, srcUrl]);
+
+  useEffect(() => {
+    if (!paletteSrc) return;
+    fetchBytes(paletteUrl).then((bytes) => applyPalette(paletteSrc, bytes), (e) => setError(e.message));
+  }, [paletteSrc, paletteUrl]);
+
+  const frames = frm?.frm.directions[direction] ?? [];
+  const current = frames[Math.min(frame, frames.length - 1)];
+
+  useEffect(() => {
+    if (!playing || frames.length < 2) return undefined;
+    const timer = setInterval(() => setFrame((f) => (f + 1) % frames.length), 1000 / (frm?.frm.fps || 10));
+    return () => clearInterval(timer);
+  }, [playing, frames, frm]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !current) return;
+    canvas.width = Math.max(1, current.width * scale);
+    canvas.height = Math.max(1, current.height * scale);
+    const ctx = canvas.getContext('2d');
+    if (!ctx || current.width === 0 || current.height === 0) return;
+
+    // Draw at 1:1 on a scratch canvas, then scale up without smoothing
+    const scratch = document.createElement('canvas');
+    scratch.width = current.width;
+    scratch.height = current.height;
+    const rgba = frameToRgba(current, palette?.colors ?? grayPalette());
+    scratch.getContext('2d')?.putImageData(new ImageData(rgba, current.width, current.height), 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(scratch, 0, 0, canvas.width, canvas.height);
+  }, [current, palette, scale]);
+
+  const open = async (files: FileList | null | undefined) => {
+    for (const file of Array.from(files ?? [])) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      if (/\.pal$/i.test(file.name)) {
+        applyPalette(file.name, bytes);
+      } else {
+        showFrm(file.name, bytes);
+      }
+    }
+  };
+
+  // Directions stored in the file; the others repeat one of them
+  const directions = frm
+    ? DIRECTIONS.map((name, i) => ({ name, i }))
+      .filter(({ i }) => frm.frm.directions.indexOf(frm.frm.directions[i]) === i)
+    : [];
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        open(e.dataTransfer.files);
+      }}
+      style={{
+        padding: '0.75rem',
+        border: `2px dashed var(--ifm-color-${dragging ? 'primary' : 'emphasis-300'})`,
+        borderRadius: '4px',
+        backgroundColor: 'var(--ifm-color-emphasis-100)',
+        marginBottom: '1rem',
+      }}
+    >
+      <div style={{ marginBottom: '0.5rem', fontSize: '0.9em' }}>
+        Drop an <code>.frm</code> file and optionally <code>color.pal</code> here, or{' '}
+        <input type="file" accept=".frm,.fr0,.fr1,.fr2,.fr3,.fr4,.fr5,.pal" multiple onChange={(e) => open(e.target.files)} />
+        <div style={{ opacity: 0.7 }}>
+          Palette: {palette ? palette.name : 'none (gray ramp)'}
+        </div>
+      </div>
+
+      {error && <div style={{ color: 'var(--ifm-color-danger-dark)', marginBottom: '0.5rem' }}>{error}</div>}
+
+      {frm && (
+        <>
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem' }}>
+            <strong>{frm.name}</strong>
+            <select
+              value={direction}
+              onChange={(e) => {
+                setDirection(Number(e.target.value));
+                setFrame(0);
+              }}
+              disabled={directions.length < 2}
+            >
+              {directions.map(({ name, i }) => (
+                <option key={name} value={i}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <button type="button" onClick={() => setFrame((f) => (f + frames.length - 1) % frames.length)} disabled={frames.length < 2}>
+              ◀
+            </button>
+            <span style={{ fontFamily: 'var(--ifm-font-family-monospace)' }}>
+              {frames.length === 0 ? 'no frames' : `frame ${Math.min(frame, frames.length - 1) + 1}/${frames.length}`}
+            </span>
+            <button type="button" onClick={() => setFrame((f) => (f + 1) % frames.length)} disabled={frames.length < 2}>
+              ▶
+            </button>
+            <button type="button" onClick={() => setPlaying(!playing)} disabled={frames.length < 2}>
+              {playing ? 'Pause' : 'Play'}
+            </button>
+          </div>
+
+          <div
+            style={{
+              display: 'inline-block',
+              padding: '0.5rem',
+              marginBottom: '0.5rem',
+              backgroundColor: 'var(--ifm-background-color)',
+              backgroundImage: 'repeating-conic-gradient(var(--ifm-color-emphasis-200) 0% 25%, transparent 0% 50%)',
+              backgroundSize: '16px 16px',
+            }}
+          >
+            <canvas ref={canvasRef} style={{ display: 'block', imageRendering: 'pixelated' }} />
+          </div>
+
+          {current && (
+            <div style={{ fontSize: '0.85em', marginBottom: '0.5rem', fontFamily: 'var(--ifm-font-family-monospace)' }}>
+              {current.width}x{current.height}, offset ({current.offsetX}, {current.offsetY}), at {hex(current.offset)}
+            </div>
+          )}
+
+          <table style={{ fontSize: '0.85em', marginBottom: 0 }}>
+            <tbody>
+              <tr>
+                <th>Version</th>
+                <td>{frm.frm.version}</td>
+                <th>FPS</th>
+                <td>{frm.frm.fps}</td>
+                <th>Action frame</th>
+                <td>{frm.frm.actionFrame}</td>
+              </tr>
+              <tr>
+                <th>Frames per direction</th>
+                <td>{frm.frm.framesPerDirection}</td>
+                <th>Frame area size</th>
+                <td colSpan={3}>{frm.frm.frameAreaSize}</td>
+              </tr>
+            </tbody>
+          </table>
+          <table style={{ fontSize: '0.85em', marginBottom: 0 }}>
+            <thead>
+              <tr>
+                <th>Direction</th>
+                <th>Shift X</th>
+                <th>Shift Y</th>
+                <th>Data offset</th>
+              </tr>
+            </thead>
+            <tbody>
+              {DIRECTIONS.map((name, i) => (
+                <tr key={name}>
+                  <td>{name}</td>
+                  <td>{frm.frm.shiftX[i]}</td>
+                  <td>{frm.frm.shiftY[i]}</td>
+                  <td><code>{hex(frm.frm.dataOffsets[i])}</code></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
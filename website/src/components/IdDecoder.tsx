@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { parseNumber } from './DefineLookup';
+import { ID_LAYOUTS, decodeId, encodeId, formatId } from '../../scripts/lib/ids';
+
+export type IdKind = 'pid' | 'fid' | 'sid';
+
+const KIND_LABELS: Record<IdKind, string> = {
+  pid: 'PID (prototype)',
+  fid: 'FID (frame/art)',
+  sid: 'SID (script)',
+};
+
+interface IdDecoderProps {
+  /** ID kind to start with */
+  kind?: IdKind;
+  /** Initial value, decimal or hex */
+  value?: number | string;
+}
+
+/**
+ * Decodes a PID, FID or SID into its bit fields, and builds one from its
+ * fields: edit the number or any field and the other side follows.
+ *
+ * @example
+ * <IdDecoder kind="pid" value="0x01000004" />
+ * <IdDecoder kind="fid" value={0x1000000} />
+ */
+export default function IdDecoder({
+  kind: initialKind = 'pid',
+  value: initialValue = 0,
+}: IdDecoderProps): React.ReactElement {
+  const [kind, setKind] = useState<IdKind>(initialKind);
+  const [text, setText] = useState(
+    typeof initialValue === 'number' ? formatId(initialValue) : initialValue,
+  );
+
+  const parsed = parseNumber(text);
+  const value = parsed === null ? null : parsed >>> 0;
+  const parts = value === null ? null : decodeId(kind, value);
+  const roundTrips = value !== null && parts !== null && encodeId(kind, parts) === value;
+
+  const setPart = (key: string, partText: string) => {
+    const part = parseNumber(partText);
+    if (part === null || parts === null) return;
+    setText(formatId(encodeId(kind, { ...parts, [key]: part })));
+  };
+
+  return (
+    <div
+      style={{
+        padding: '0.75rem',
+        backgroundColor: 'var(--ifm-color-emphasis-100)',
+        borderRadius: '4px',
+        marginBottom: '1rem',
+      }}
+    >
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <select value={kind} onChange={(e) => setKind(e.target.value as IdKind)}>
+          {(Object.keys(KIND_LABELS) as IdKind[]).map((k) => (
+            <option key={k} value={k}>
+              {KIND_LABELS[k]}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={text}
+          placeholder="ID (e.g. 0x01000004 or 16777220)"
+          onChange={(e) => setText(e.target.value)}
+          style={{ fontFamily: 'var(--ifm-font-family-monospace)' }}
+        />
+        {value !== null && (
+          <span style={{ opacity: 0.7, fontSize: '0.9em' }}>
+            <code>{formatId(value)}</code> = {value}
+          </span>
+        )}
+      </div>
+      {parts === null ? (
+        <span style={{ color: 'var(--ifm-color-warning-dark)' }}>Not a number: {text}</span>
+      ) : (
+        <>
+          <table style={{ marginBottom: 0 }}>
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Bits</th>
+                <th>Value</th>
+                <th>Meaning</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ID_LAYOUTS[kind].map((field) => (
+                <tr key={field.key}>
+                  <td>{field.label}</td>
+                  <td>
+                    <code>
+                      {field.bits === 1
+                        ? field.shift
+                        : `${field.shift + field.bits - 1}-${field.shift}`}
+                    </code>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min={0}
+                      max={2 ** field.bits - 1}
+                      value={parts[field.key]}
+                      onChange={(e) => setPart(field.key, e.target.value)}
+                      style={{ width: '7rem', fontFamily: 'var(--ifm-font-family-monospace)' }}
+                    />
+                  </td>
+                  <td>
+                    {field.names
+                      ? field.names[parts[field.key]] ?? <span style={{ opacity: 0.6 }}>unknown</span>
+                      : <span style={{ opacity: 0.6 }}>0x{parts[field.key].toString(16).toUpperCase()}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!roundTrips && (
+            <div style={{ color: 'var(--ifm-color-warning-dark)', fontSize: '0.85em', marginTop: '0.5rem' }}>
+              Bits outside the {kind.toUpperCase()} fields are set; they are dropped when the ID is rebuilt.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,7 @@
 import React from 'react';
 import ImplLink from './ImplLink';
-
-interface SymbolInfo {
-  path: string;
-  startLine: number;
-  endLine: number;
-  kind: 'function' | 'struct' | 'enum' | 'constant';
-  ref: string;
-}
+import type { FunctionIndex, SymbolIndex } from '../data/types';
+import { useFunctionIndex, useSymbolIndex, withIndices } from '../hooks/useIndices';
 
 interface ImplRefProps {
   /** Symbol name to look up (e.g., "ItemProto", "opGetCritterStat") */
@@ -16,115 +10,22 @@ interface ImplRefProps {
   label?: string;
 }
 
-// This would be populated from a generated index file in production
-// For now, we use a static mapping of known symbols
-const symbolIndex: Record<string, SymbolInfo> = {
-  // Proto structures
-  Proto: {
-    path: 'src/proto_types.h',
-    startLine: 443,
-    endLine: 462,
-    kind: 'struct',
-    ref: 'main',
-  },
-  ItemProto: {
-    path: 'src/proto_types.h',
-    startLine: 316,
-    endLine: 333,
-    kind: 'struct',
-    ref: 'main',
-  },
-  CritterProto: {
-    path: 'src/proto_types.h',
-    startLine: 347,
-    endLine: 360,
-    kind: 'struct',
-    ref: 'main',
-  },
-  SceneryProto: {
-    path: 'src/proto_types.h',
-    startLine: 395,
-    endLine: 409,
-    kind: 'struct',
-    ref: 'main',
-  },
-  WallProto: {
-    path: 'src/proto_types.h',
-    startLine: 411,
-    endLine: 421,
-    kind: 'struct',
-    ref: 'main',
-  },
-  TileProto: {
-    path: 'src/proto_types.h',
-    startLine: 423,
-    endLine: 431,
-    kind: 'struct',
-    ref: 'main',
-  },
-  MiscProto: {
-    path: 'src/proto_types.h',
-    startLine: 433,
-    endLine: 441,
-    kind: 'struct',
-    ref: 'main',
-  },
-
-  // Enums
-  ITEM_TYPE: {
-    path: 'src/proto_types.h',
-    startLine: 27,
-    endLine: 35,
-    kind: 'enum',
-    ref: 'main',
-  },
-  SCENERY_TYPE: {
-    path: 'src/proto_types.h',
-    startLine: 37,
-    endLine: 45,
-    kind: 'enum',
-    ref: 'main',
-  },
-  DAMAGE_TYPE: {
-    path: 'src/proto_types.h',
-    startLine: 59,
-    endLine: 68,
-    kind: 'enum',
-    ref: 'main',
-  },
-  KILL_TYPE: {
-    path: 'src/proto_types.h',
-    startLine: 106,
-    endLine: 132,
-    kind: 'enum',
-    ref: 'main',
-  },
-
-  // Opcodes
-  Opcode: {
-    path: 'src/interpreter.h',
-    startLine: 16,
-    endLine: 93,
-    kind: 'enum',
-    ref: 'main',
-  },
-};
-
 /**
  * Component that automatically resolves a symbol name to its implementation
  * location and renders a link.
  *
- * In the future, this will use a generated index file. For now, it uses
- * a static mapping of known symbols.
+ * Structs, classes, enums, typedefs and #defines come from the generated
+ * symbol index (scripts/generate-symbol-index.js); function names fall back
+ * to the function index. Links are pinned to the indexed commit.
  *
  * @example
  * <ImplRef symbol="ItemProto" />
  * <ImplRef symbol="opGetCritterStat" label="View critter stat handler" />
  */
-export default function ImplRef({ symbol, label }: ImplRefProps): React.ReactElement {
-  const info = symbolIndex[symbol];
+function ImplRef({ symbol, label }: ImplRefProps): React.ReactElement {
+  const location = resolveSymbol(symbol, useSymbolIndex(), useFunctionIndex());
 
-  if (!info) {
+  if (!location) {
     // Symbol not found in index - render a placeholder
     return (
       <div
@@ -143,15 +44,36 @@ export default function ImplRef({ symbol, label }: ImplRefProps): React.ReactEle
     );
   }
 
-  const defaultLabel = `View ${info.kind}: ${symbol}`;
+  const defaultLabel = `View ${location.kind}: ${symbol}`;
 
   return (
     <ImplLink
-      repo="fallout2-ce/fallout2-ce"
-      path={info.path}
-      lines={[info.startLine, info.endLine]}
-      commitOrRef={info.ref}
+      repo={location.repo}
+      path={location.file}
+      lines={[location.startLine, location.endLine]}
+      commitOrRef={location.ref}
       label={label || defaultLabel}
     />
   );
 }
+
+export default withIndices(ImplRef);
+
+/**
+ * Look a symbol up in the symbol index, then in the function index
+ */
+function resolveSymbol(symbol: string, symbols: SymbolIndex, functions: FunctionIndex) {
+  const info = Object.hasOwn(symbols.symbols, symbol) ? symbols.symbols[symbol] : undefined;
+  if (info) {
+    const { repo, shortCommit } = symbols._meta;
+    return { ...info, repo, ref: shortCommit };
+  }
+
+  const fn = Object.hasOwn(functions.functions, symbol) ? functions.functions[symbol] : undefined;
+  if (fn) {
+    const { repo, shortCommit } = functions._meta;
+    return { ...fn, kind: 'function', repo, ref: fn.commit || shortCommit };
+  }
+
+  return undefined;
+}
@@ -0,0 +1,300 @@
+import React, { useMemo, useState } from 'react';
+import { SCRIPT_TYPES, parseMap } from '../../scripts/lib/map-parser';
+import { parsePro } from '../../scripts/lib/pro-parser';
+import { parseLst } from '../../scripts/lib/lst-parser';
+import { formatId } from '../../scripts/lib/ids';
+
+interface MapObject {
+  offset: number;
+  tile: number;
+  rotation: number;
+  fid: number;
+  elevation: number;
+  pid: number;
+  kind: string;
+  sid: number;
+  scriptIndex: number;
+  subtype?: string;
+  guessed?: boolean;
+  inventory: { quantity: number; object: MapObject }[];
+}
+
+interface MapScript {
+  type: string | null;
+  sid: number;
+  index: number;
+  localVarsCount: number;
+}
+
+interface MapHeader {
+  version: number;
+  name: string;
+  enteringTile: number;
+  enteringElevation: number;
+  enteringRotation: number;
+  scriptIndex: number;
+  flags: number;
+  darkness: number;
+  mapIndex: number;
+}
+
+interface MapResult {
+  header: MapHeader;
+  globalVars: number[];
+  localVars: number[];
+  tiles: ({ floor: Uint16Array; roof: Uint16Array } | null)[];
+  scripts: MapScript[];
+  objects: MapObject[][];
+}
+
+// Objects in table order, with inventory items after their owner
+interface Row {
+  object: MapObject;
+  depth: number;
+  quantity?: number;
+}
+
+function addRows(rows: Row[], object: MapObject, depth: number, quantity?: number): Row[] {
+  rows.push({ object, depth, quantity });
+  for (const entry of object.inventory) {
+    addRows(rows, entry.object, depth + 1, entry.quantity);
+  }
+  return rows;
+}
+
+function flatten(objects: MapObject[]): Row[] {
+  const rows: Row[] = [];
+  for (const object of objects) addRows(rows, object, 0);
+  return rows;
+}
+
+/**
+ * Tile number with its hex grid column and row, e.g. "20100 (100, 100)"
+ */
+function formatTile(tile: number): string {
+  return tile === -1 ? '-' : `${tile} (${tile % 200}, ${Math.floor(tile / 200)})`;
+}
+
+/**
+ * Lists the objects of a .map file dropped on it, per elevation, with their
+ * PID, tile and attached script, plus the header and the variable and script
+ * counts. Dropped .pro files give the item and scenery subtypes the object
+ * data depends on, and a dropped scripts.lst names the scripts. Files are
+ * read in the browser and not uploaded.
+ *
+ * @example
+ * <MapViewer />
+ */
+export default function MapViewer(): React.ReactElement {
+  const [map, setMap] = useState<{ name: string; bytes: Uint8Array } | null>(null);
+  const [subtypes, setSubtypes] = useState<Map<number, string>>(new Map());
+  const [scriptNames, setScriptNames] = useState<string[] | null>(null);
+  const [elevation, setElevation] = useState(0);
+  const [filter, setFilter] = useState('');
+  const [dragging, setDragging] = useState(false);
+  const [fileError, setFileError] = useState<string | null>(null);
+
+  const open = async (files: FileList | null | undefined) => {
+    const found = new Map(subtypes);
+    setFileError(null);
+    for (const file of Array.from(files ?? [])) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      if (/\.map$/i.test(file.name)) {
+        setMap({ name: file.name, bytes });
+        setElevation(0);
+      } else if (/\.lst$/i.test(file.name)) {
+        setScriptNames(parseLst(new TextDecoder('latin1').decode(bytes)).map((entry: { name: string }) => entry.name));
+      } else {
+        try {
+          const pro = parsePro(bytes);
+          if (pro.subtype) found.set(pro.proto.pid, pro.subtype);
+        } catch (e) {
+          setFileError(`${file.name}: ${(e as Error).message}`);
+        }
+      }
+    }
+    setSubtypes(found);
+  };
+
+  const parsed = useMemo(() => {
+    if (!map) return null;
+    try {
+      return { result: parseMap(map.bytes, { subtypeOf: (pid: number) => subtypes.get(pid) }) as unknown as MapResult };
+    } catch (e) {
+      return { error: (e as Error).message };
+    }
+  }, [map, subtypes]);
+
+  const result = parsed && 'result' in parsed ? parsed.result : null;
+
+  // scripts.lst line (0-based index) and, with the list dropped, its file name
+  const scriptLine = (index: number): string => {
+    const name = scriptNames?.[index];
+    return `${name ? `${name}, ` : ''}line ${index + 1}`;
+  };
+
+  const describeScript = (sid: number): string => {
+    if (sid === -1) return '';
+    const script = result?.scripts.find((s) => s.sid === sid);
+    return script ? scriptLine(script.index) : `${formatId(sid)} (no script entry)`;
+  };
+
+  const rows = result ? flatten(result.objects[elevation]) : [];
+  const needle = filter.trim().toLowerCase();
+  const shown = needle
+    ? rows.filter(({ object }) =>
+      [formatId(object.pid), String(object.tile), describeScript(object.sid)].some((text) => text.toLowerCase().includes(needle)))
+    : rows;
+  const guessed = result ? result.objects.flatMap((list) => flatten(list)).filter(({ object }) => object.guessed).length : 0;
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          open(e.dataTransfer.files);
+        }}
+        style={{
+          padding: '1.5rem',
+          border: `2px dashed var(--ifm-color-${dragging ? 'primary' : 'emphasis-400'})`,
+          borderRadius: '4px',
+          backgroundColor: 'var(--ifm-color-emphasis-100)',
+          textAlign: 'center',
+          marginBottom: '1rem',
+        }}
+      >
+        <div style={{ marginBottom: '0.5rem' }}>
+          Drop a <code>.map</code> file here, with <code>scripts.lst</code> and item or scenery <code>.pro</code> files if you have them, or
+        </div>
+        <input type="file" accept=".map,.lst,.pro" multiple onChange={(e) => open(e.target.files)} />
+        <div style={{ fontSize: '0.85em', opacity: 0.7, marginTop: '0.5rem' }}>
+          {subtypes.size} protos, {scriptNames ? `${scriptNames.length} script names` : 'no scripts.lst'}
+        </div>
+      </div>
+
+      {fileError && <div style={{ color: 'var(--ifm-color-danger-dark)' }}>{fileError}</div>}
+
+      {map && parsed && 'error' in parsed && (
+        <div style={{ color: 'var(--ifm-color-danger-dark)' }}>
+          <strong>{map.name}</strong>: {parsed.error}
+        </div>
+      )}
+
+      {map && result && (
+        <>
+          <table style={{ fontSize: '0.9em' }}>
+            <tbody>
+              <tr>
+                <th>Name</th>
+                <td>{result.header.name}</td>
+                <th>Version</th>
+                <td>{result.header.version}</td>
+                <th>Map index</th>
+                <td>{result.header.mapIndex}</td>
+              </tr>
+              <tr>
+                <th>Start</th>
+                <td>
+                  {formatTile(result.header.enteringTile)}, elevation {result.header.enteringElevation}, rotation{' '}
+                  {result.header.enteringRotation}
+                </td>
+                <th>Map script</th>
+                <td>
+                  {result.header.scriptIndex > 0 ? scriptLine(result.header.scriptIndex - 1) : 'none'}
+                </td>
+                <th>Flags</th>
+                <td><code>{formatId(result.header.flags)}</code></td>
+              </tr>
+              <tr>
+                <th>Variables</th>
+                <td>{result.globalVars.length} map, {result.localVars.length} local</td>
+                <th>Scripts</th>
+                <td colSpan={3}>
+                  {result.scripts.length}
+                  {result.scripts.length > 0 && ' ('}
+                  {SCRIPT_TYPES
+                    .map((type: string) => [type, result.scripts.filter((s) => s.type === type).length] as const)
+                    .filter(([, count]) => count > 0)
+                    .map(([type, count]) => `${count} ${type}`)
+                    .join(', ')}
+                  {result.scripts.length > 0 && ')'}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+
+          {result.globalVars.length > 0 && (
+            <details style={{ marginBottom: '1rem' }}>
+              <summary>Map variables</summary>
+              <code>{result.globalVars.map((value, i) => `${i}: ${value}`).join(', ')}</code>
+            </details>
+          )}
+
+          {guessed > 0 && (
+            <div style={{ color: 'var(--ifm-color-warning-dark)', marginBottom: '0.5rem' }}>
+              {guessed} item or scenery objects have no dropped proto; their data size was inferred from the object after them.
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem' }}>
+            {result.objects.map((list, i) => (
+              <button
+                key={i}
+                type="button"
+                className={`button button--sm ${i === elevation ? 'button--primary' : 'button--secondary'}`}
+                onClick={() => setElevation(i)}
+              >
+                Elevation {i}: {list.length} objects{result.tiles[i] ? '' : ', no tiles'}
+              </button>
+            ))}
+            <input
+              type="search"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Filter by PID, tile or script"
+              style={{ flex: '1 1 12rem', padding: '0.25rem 0.5rem' }}
+            />
+          </div>
+
+          <table style={{ fontSize: '0.9em' }}>
+            <thead>
+              <tr>
+                <th>Offset</th>
+                <th>PID</th>
+                <th>Type</th>
+                <th>Tile</th>
+                <th>Rotation</th>
+                <th>Script</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(({ object, depth, quantity }) => (
+                <tr key={object.offset}>
+                  <td><code>{`0x${object.offset.toString(16).toUpperCase()}`}</code></td>
+                  <td style={{ paddingLeft: `${0.75 + depth}rem`, whiteSpace: 'nowrap' }}>
+                    <code>{formatId(object.pid)}</code>
+                    {quantity !== undefined && ` x${quantity}`}
+                  </td>
+                  <td>
+                    {object.kind}
+                    {object.subtype && ` (${object.subtype})`}
+                    {object.guessed && <span title="No proto dropped; data size inferred"> ?</span>}
+                  </td>
+                  <td>{depth > 0 ? 'inventory' : formatTile(object.tile)}</td>
+                  <td>{object.rotation}</td>
+                  <td>{describeScript(object.sid)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useMemo, useState } from 'react';
+import type { FunctionIndex } from '../data/types';
+import { useFunctionIndex, withIndices } from '../hooks/useIndices';
+import FnRef from './FnRef';
+
+type SortKey = 'opcode' | 'name' | 'cppName';
+
+interface OpcodeRow {
+  opcode: number;
+  opcodeName?: string;
+  name: string;
+  cppName?: string;
+}
+
+/**
+ * Format an opcode number as hex (e.g. 0x80A1)
+ */
+export function formatOpcode(opcode: number): string {
+  return `0x${opcode.toString(16).toUpperCase()}`;
+}
+
+/**
+ * One row per SSL entry with an opcode; removed entries are left out
+ */
+function getOpcodeRows(index: FunctionIndex): OpcodeRow[] {
+  return Object.entries(index.functions)
+    .filter(([, info]) => info.cppName && info.opcode !== undefined && info.removedIn === undefined)
+    .map(([name, info]) => ({
+      opcode: info.opcode as number,
+      opcodeName: info.opcodeName,
+      name,
+      cppName: info.cppName,
+    }));
+}
+
+const headerStyle: React.CSSProperties = {
+  cursor: 'pointer',
+  userSelect: 'none',
+  whiteSpace: 'nowrap',
+};
+
+/**
+ * Sortable table of every SSL opcode in the function index: number,
+ * SSL name and a link to the implementation. Click a column header to sort.
+ *
+ * @example
+ * <OpcodeTable />
+ */
+function OpcodeTable(): React.ReactElement {
+  const index = useFunctionIndex();
+  const rows = useMemo(() => getOpcodeRows(index), [index]);
+  const [sortKey, setSortKey] = useState<SortKey>('opcode');
+  const [ascending, setAscending] = useState(true);
+  const [filter, setFilter] = useState('');
+
+  const sorted = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    const filtered = needle
+      ? rows.filter((row) =>
+          row.name.includes(needle) ||
+          (row.cppName || '').toLowerCase().includes(needle) ||
+          (row.opcodeName || '').toLowerCase().includes(needle) ||
+          formatOpcode(row.opcode).toLowerCase().includes(needle))
+      : rows;
+
+    return [...filtered].sort((a, b) => {
+      const result = sortKey === 'opcode'
+        ? a.opcode - b.opcode
+        : (a[sortKey] || '').localeCompare(b[sortKey] || '');
+      return ascending ? result : -result;
+    });
+  }, [rows, sortKey, ascending, filter]);
+
+  if (rows.length === 0) {
+    return (
+      <div
+        style={{
+          padding: '0.5rem 0.75rem',
+          backgroundColor: 'var(--ifm-color-warning-contrast-background)',
+          borderRadius: '4px',
+          fontSize: '0.9rem',
+        }}
+      >
+        The function index has no opcode numbers yet. Run <code>npm run generate-index</code> to add them.
+      </div>
+    );
+  }
+
+  const sortBy = (key: SortKey) => {
+    if (key === sortKey) {
+      setAscending(!ascending);
+    } else {
+      setSortKey(key);
+      setAscending(true);
+    }
+  };
+  const arrow = (key: SortKey) => (key === sortKey ? (ascending ? ' ▲' : ' ▼') : '');
+
+  return (
+    <div>
+      <input
+        type="text"
+        value={filter}
+        placeholder="Filter by name or opcode"
+        onChange={(e) => setFilter(e.target.value)}
+        style={{ marginBottom: '0.5rem', minWidth: '16rem' }}
+      />
+      <table>
+        <thead>
+          <tr>
+            <th style={headerStyle} onClick={() => sortBy('opcode')}>Opcode{arrow('opcode')}</th>
+            <th>Decimal</th>
+            <th style={headerStyle} onClick={() => sortBy('name')}>SSL name{arrow('name')}</th>
+            <th style={headerStyle} onClick={() => sortBy('cppName')}>Handler{arrow('cppName')}</th>
+            <th>Implementation</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((row) => (
+            <tr key={row.name}>
+              <td>
+                <code title={row.opcodeName}>{formatOpcode(row.opcode)}</code>
+              </td>
+              <td>{row.opcode}</td>
+              <td>
+                <code>{row.name}</code>
+              </td>
+              <td>
+                <code>{row.cppName}</code>
+              </td>
+              <td>
+                <FnRef fn={row.name} label="source" showLines inline />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ opacity: 0.6, fontSize: '0.85em' }}>
+        {sorted.length} of {rows.length} opcodes, fallout2-ce commit {index._meta.shortCommit}
+      </p>
+    </div>
+  );
+}
+
+export default withIndices(OpcodeTable);
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { parsePro } from '../../scripts/lib/pro-parser';
+import { decodeId, formatId, ID_LAYOUTS } from '../../scripts/lib/ids';
+
+interface ProField {
+  offset: number;
+  size: number;
+  type: string;
+  name: string;
+  value: number;
+  section: 'header' | 'data';
+  id?: 'pid' | 'fid' | 'sid';
+  hex?: boolean;
+  meaning?: string;
+}
+
+interface ProResult {
+  kind: string;
+  subtype: string | null;
+  fields: ProField[];
+  size: number;
+  trailing: number;
+}
+
+type Loaded = { file: string; result: ProResult } | { file: string; error: string };
+
+/**
+ * Offset as hex, e.g. 0x24
+ */
+function formatOffset(offset: number): string {
+  return `0x${offset.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/**
+ * What an object ID points at: "Item 12", or "none" for -1
+ */
+function describeId(kind: 'pid' | 'fid' | 'sid', value: number): string {
+  if (value === -1) return 'none';
+  const parts = decodeId(kind, value);
+  return ID_LAYOUTS[kind]
+    .filter((field) => field.key !== 'anim' && field.key !== 'weapon' && field.key !== 'rotation')
+    .map((field) => (field.names ? field.names[parts[field.key]] ?? `type ${parts[field.key]}` : parts[field.key]))
+    .join(' ');
+}
+
+function FieldRow({ field }: { field: ProField }): React.ReactElement {
+  const value = field.id || field.hex ? formatId(field.value) : String(field.value);
+  const meaning = field.id ? describeId(field.id, field.value) : field.meaning;
+  return (
+    <tr>
+      <td><code>{formatOffset(field.offset)}</code></td>
+      <td><code>{field.type}</code></td>
+      <td><code>{field.name}</code></td>
+      <td style={{ fontFamily: 'var(--ifm-font-family-monospace)', textAlign: 'right' }}>{value}</td>
+      <td>{meaning ?? ''}</td>
+    </tr>
+  );
+}
+
+/**
+ * Decodes a .pro file dropped on it (or picked with the file input) and
+ * lists every field with its offset, following the layouts on the PRO
+ * format page. The file is read in the browser and not uploaded.
+ *
+ * @example
+ * <ProInspector />
+ */
+export default function ProInspector(): React.ReactElement {
+  const [loaded, setLoaded] = useState<Loaded | null>(null);
+  const [dragging, setDragging] = useState(false);
+
+  const open = async (file: File | undefined) => {
+    if (!file) return;
+    try {
+      const result = parsePro(new Uint8Array(await file.arrayBuffer())) as ProResult;
+      setLoaded({ file: file.name, result });
+    } catch (e) {
+      setLoaded({ file: file.name, error: (e as Error).message });
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          open(e.dataTransfer.files[0]);
+        }}
+        style={{
+          padding: '1.5rem',
+          border: `2px dashed var(--ifm-color-${dragging ? 'primary' : 'emphasis-400'})`,
+          borderRadius: '4px',
+          backgroundColor: 'var(--ifm-color-emphasis-100)',
+          textAlign: 'center',
+          marginBottom: '1rem',
+        }}
+      >
+        <div style={{ marginBottom: '0.5rem' }}>Drop a <code>.pro</code> file here, or</div>
+        <input type="file" accept=".pro" onChange={(e) => open(e.target.files?.[0])} />
+      </div>
+
+      {loaded && 'error' in loaded && (
+        <div style={{ color: 'var(--ifm-color-danger-dark)' }}>
+          <strong>{loaded.file}</strong>: {loaded.error}
+        </div>
+      )}
+
+      {loaded && 'result' in loaded && (
+        <>
+          <div style={{ marginBottom: '0.5rem' }}>
+            <strong>{loaded.file}</strong>: {loaded.result.kind}
+            {loaded.result.subtype && ` (${loaded.result.subtype})`}, {loaded.result.size} bytes
+            {loaded.result.trailing > 0 && (
+              <span style={{ color: 'var(--ifm-color-warning-dark)' }}>
+                {' '}({loaded.result.trailing} bytes after the last known field)
+              </span>
+            )}
+          </div>
+          <table>
+            <thead>
+              <tr>
+                <th>Offset</th>
+                <th>Type</th>
+                <th>Field</th>
+                <th>Value</th>
+                <th>Meaning</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(['header', 'data'] as const).map((section) => {
+                const fields = loaded.result.fields.filter((field) => field.section === section);
+                if (fields.length === 0) return null;
+                return (
+                  <React.Fragment key={section}>
+                    <tr>
+                      <th colSpan={5}>{section === 'header' ? 'Header' : `${loaded.result.subtype ?? loaded.result.kind} data`}</th>
+                    </tr>
+                    {fields.map((field) => (
+                      <FieldRow key={field.offset} field={field} />
+                    ))}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,482 @@
+import React, { useMemo, useRef, useState } from 'react';
+import Link from '@docusaurus/Link';
+import { usePrismTheme } from '@docusaurus/theme-common';
+import { parse, tokenize } from '../../scripts/lib/ssl-parser';
+import { createKnowledgeBase, isIndexedHeader, lintProgram } from '../../scripts/lib/ssl-lint';
+import CompatBadge from './CompatBadge';
+import { defineUrl, macroSignature } from './DefineRef';
+import type { FunctionDoc } from '../data/types';
+import { useCompatibility, useDefineIndex, useReference, withIndices } from '../hooks/useIndices';
+
+interface SslPlaygroundProps {
+  /** Initial source; a short example script by default */
+  code?: string;
+  /** Editor height in CSS units */
+  height?: string;
+}
+
+type Token = ReturnType<typeof tokenize>[number];
+type Program = ReturnType<typeof parse>;
+
+interface Diagnostic {
+  line: number;
+  column: number;
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+}
+
+interface Hover {
+  token: Token;
+  x: number;
+  y: number;
+}
+
+const DEFAULT_CODE = `#include "define.h"
+
+procedure start;
+procedure talk_p_proc;
+
+variable times_talked;
+
+procedure start begin
+   if (game_loaded) then begin
+      times_talked := 0;
+   end
+end
+
+procedure talk_p_proc begin
+   times_talked += 1;
+   if (get_critter_stat(dude_obj, STAT_ch) < 4) then
+      display_msg("You are not very charming.");
+   else
+      float_msg(self_obj, "Hello again, " + obj_name(dude_obj), FLOAT_MSG_GREEN);
+end
+`;
+
+const TAB_SIZE = 4;
+
+// Milliseconds the hover card stays up after the pointer leaves a name
+const HIDE_DELAY = 250;
+
+const editorStyle: React.CSSProperties = {
+  margin: 0,
+  padding: '0.75rem',
+  border: 0,
+  borderRadius: 0,
+  fontFamily: 'var(--ifm-font-family-monospace)',
+  fontSize: '0.875rem',
+  lineHeight: 1.5,
+  whiteSpace: 'pre',
+  tabSize: TAB_SIZE,
+  position: 'absolute',
+  inset: 0,
+  width: '100%',
+  height: '100%',
+  boxSizing: 'border-box',
+};
+
+/**
+ * Prism token type used to color a token, matching the static ```ssl blocks
+ */
+function highlightType(token: Token, isFunction: (name: string) => boolean, isDefine: (name: string) => boolean): string | null {
+  switch (token.type) {
+    case 'keyword':
+    case 'string':
+    case 'number':
+    case 'comment':
+    case 'operator':
+      return token.type;
+    case 'punct':
+      return 'punctuation';
+    case 'directive':
+      return 'property';
+    case 'ident':
+      if (isFunction(token.value)) return 'function';
+      if (isDefine(token.value)) return 'constant';
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Source offset of the character drawn at a visual column of a line,
+ * expanding tabs
+ */
+function offsetAtColumn(line: string, lineStart: number, column: number): number {
+  let visual = 0;
+  for (let i = 0; i < line.length; i++) {
+    visual += line[i] === '\t' ? TAB_SIZE - (visual % TAB_SIZE) : 1;
+    if (visual > column) return lineStart + i;
+  }
+  return -1;
+}
+
+/**
+ * "int name(ObjectPtr who, int amount)" from a documented signature
+ */
+function formatSignature(name: string, doc: FunctionDoc): string {
+  if (!doc.signature) return name;
+  const params = doc.signature.params.map((p) => `${p.type} ${p.name}`).join(', ');
+  return `${doc.signature.returns} ${name}(${params})`;
+}
+
+/**
+ * Interactive SSL editor: highlighting as you type, syntax errors and lint
+ * findings (unknown functions, argument counts, functions missing from
+ * fallout2-ce), and documentation for builtins, procedures and defines on
+ * hover. Highlighting follows the site's code block theme.
+ *
+ * @example
+ * <SslPlayground />
+ * <SslPlayground code={'procedure start begin\n   display_msg("hi");\nend'} height="12rem" />
+ */
+function SslPlayground({
+  code: initialCode = DEFAULT_CODE,
+  height = '24rem',
+}: SslPlaygroundProps): React.ReactElement {
+  const compatibility = useCompatibility();
+  const defines = useDefineIndex();
+  const reference = useReference();
+  const theme = usePrismTheme();
+
+  const [code, setCode] = useState(initialCode);
+  const [hover, setHover] = useState<Hover | null>(null);
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+  const preRef = useRef<HTMLPreElement>(null);
+  const measureRef = useRef<HTMLSpanElement>(null);
+  const hideTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  const kb = useMemo(
+    () => createKnowledgeBase({ compatibility, docs: reference, defines }),
+    [compatibility, reference, defines],
+  );
+
+  const tokens = useMemo(() => tokenize(code), [code]);
+  const { program, diagnostics } = useMemo(() => {
+    const parsed: Program = parse(code, { macros: new Set(Object.keys(kb.macros)) });
+    const unresolvedIncludes = parsed.includes.filter((include) => !isIndexedHeader(include.path, kb));
+    return {
+      program: parsed,
+      diagnostics: lintProgram(parsed, kb, { unresolvedIncludes }) as Diagnostic[],
+    };
+  }, [code, kb]);
+
+  const lineStarts = useMemo(() => {
+    const starts = [0];
+    for (let i = 0; i < code.length; i++) {
+      if (code[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+  }, [code]);
+
+  const isFunction = (name: string) => name in kb.functions;
+  const isDefine = (name: string) => name in kb.macros || name in program.macros;
+
+  const colors = useMemo(() => {
+    const byType: Record<string, React.CSSProperties> = {};
+    for (const { types, style } of theme.styles) {
+      for (const type of types) {
+        byType[type] ??= style as React.CSSProperties;
+      }
+    }
+    return byType;
+  }, [theme]);
+
+  // Token start "line:column" -> severity, for the wavy underlines
+  const marked = useMemo(() => {
+    const marks = new Map<string, Diagnostic['severity']>();
+    for (const { line, column, severity } of diagnostics) {
+      if (marks.get(`${line}:${column}`) !== 'error') marks.set(`${line}:${column}`, severity);
+    }
+    return marks;
+  }, [diagnostics]);
+
+  const highlighted: React.ReactNode[] = [];
+  let position = 0;
+  tokens.forEach((token, i) => {
+    if (token.start > position) highlighted.push(code.slice(position, token.start));
+    const type = highlightType(token, isFunction, isDefine);
+    const mark = marked.get(`${token.line}:${token.column}`);
+    highlighted.push(
+      <span
+        key={i}
+        style={{
+          ...(type ? colors[type] : undefined),
+          ...(mark && {
+            textDecoration: 'underline wavy',
+            textDecorationColor: mark === 'error' ? 'var(--ifm-color-danger)' : 'var(--ifm-color-warning)',
+          }),
+        }}
+      >
+        {token.value}
+      </span>,
+    );
+    position = token.end;
+  });
+  highlighted.push(code.slice(position));
+
+  const syncScroll = () => {
+    if (preRef.current && textareaRef.current) {
+      preRef.current.scrollTop = textareaRef.current.scrollTop;
+      preRef.current.scrollLeft = textareaRef.current.scrollLeft;
+    }
+  };
+
+  const cancelHide = () => {
+    if (hideTimer.current) clearTimeout(hideTimer.current);
+    hideTimer.current = null;
+  };
+  const scheduleHide = () => {
+    if (!hideTimer.current) {
+      hideTimer.current = setTimeout(() => {
+        hideTimer.current = null;
+        setHover(null);
+      }, HIDE_DELAY);
+    }
+  };
+
+  // Find the name under the pointer from the character grid of the editor
+  const onMouseMove = (e: React.MouseEvent<HTMLTextAreaElement>) => {
+    const textarea = e.currentTarget;
+    const measure = measureRef.current;
+    if (!measure) return;
+    const style = getComputedStyle(textarea);
+    const charWidth = measure.getBoundingClientRect().width / 10;
+    const lineHeight = parseFloat(style.lineHeight);
+    const rect = textarea.getBoundingClientRect();
+    const x = e.clientX - rect.left - parseFloat(style.paddingLeft) + textarea.scrollLeft;
+    const y = e.clientY - rect.top - parseFloat(style.paddingTop) + textarea.scrollTop;
+    const row = Math.floor(y / lineHeight);
+
+    let token: Token | undefined;
+    if (x >= 0 && y >= 0 && row < lineStarts.length) {
+      const lineStart = lineStarts[row];
+      const lineEnd = row + 1 < lineStarts.length ? lineStarts[row + 1] - 1 : code.length;
+      const offset = offsetAtColumn(code.slice(lineStart, lineEnd), lineStart, Math.floor(x / charWidth));
+      token = tokens.find((t) => t.type === 'ident' && t.start <= offset && offset < t.end);
+    }
+
+    const documented = token && (
+      isFunction(token.value) || isDefine(token.value) || token.value in program.procedures
+    );
+    if (token && documented) {
+      cancelHide();
+      if (hover?.token.start !== token.start || hover?.token.value !== token.value) {
+        setHover({
+          token,
+          x: e.clientX - rect.left,
+          y: (row + 1) * lineHeight + parseFloat(style.paddingTop) - textarea.scrollTop + 4,
+        });
+      }
+    } else if (hover) {
+      scheduleHide();
+    }
+  };
+
+  // Move the caret to a diagnostic
+  const goTo = ({ line, column }: Diagnostic) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const offset = Math.min((lineStarts[line - 1] ?? code.length) + column - 1, code.length);
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset);
+  };
+
+  const errors = diagnostics.filter((d) => d.severity === 'error').length;
+  const warnings = diagnostics.length - errors;
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <div
+        style={{
+          position: 'relative',
+          height,
+          borderRadius: '4px',
+          border: '1px solid var(--ifm-color-emphasis-300)',
+          ...(theme.plain as React.CSSProperties),
+        }}
+      >
+        <pre ref={preRef} aria-hidden="true" style={{ ...editorStyle, overflow: 'hidden', background: 'transparent' }}>
+          {highlighted}
+          {'\n'}
+        </pre>
+        <textarea
+          ref={textareaRef}
+          value={code}
+          wrap="off"
+          spellCheck={false}
+          autoCapitalize="off"
+          autoComplete="off"
+          aria-label="SSL source"
+          onChange={(e) => setCode(e.target.value)}
+          onScroll={syncScroll}
+          onMouseMove={onMouseMove}
+          onMouseLeave={scheduleHide}
+          style={{
+            ...editorStyle,
+            overflow: 'auto',
+            resize: 'none',
+            color: 'transparent',
+            background: 'transparent',
+            caretColor: (theme.plain as React.CSSProperties).color,
+            outline: 'none',
+          }}
+        />
+        <span
+          ref={measureRef}
+          aria-hidden="true"
+          style={{ ...editorStyle, position: 'absolute', inset: 'auto', width: 'auto', height: 'auto', padding: 0, visibility: 'hidden' }}
+        >
+          {'M'.repeat(10)}
+        </span>
+        {hover && (
+          <HoverDoc hover={hover} program={program} onMouseEnter={cancelHide} onMouseLeave={scheduleHide} />
+        )}
+      </div>
+      <div style={{ marginTop: '0.5rem', fontSize: '0.9em' }}>
+        {diagnostics.length === 0 ? (
+          <span style={{ color: 'var(--ifm-color-success-darkest)' }}>No problems found</span>
+        ) : (
+          <>
+            <div style={{ opacity: 0.7 }}>
+              {errors} error{errors === 1 ? '' : 's'}, {warnings} warning{warnings === 1 ? '' : 's'}
+            </div>
+            <ul style={{ listStyle: 'none', paddingLeft: 0, marginBottom: 0 }}>
+              {diagnostics.map((d, i) => (
+                <li key={i}>
+                  <button
+                    type="button"
+                    onClick={() => goTo(d)}
+                    style={{ all: 'unset', cursor: 'pointer', fontFamily: 'var(--ifm-font-family-monospace)' }}
+                  >
+                    {d.line}:{d.column}
+                  </button>{' '}
+                  <span
+                    style={{ color: d.severity === 'error' ? 'var(--ifm-color-danger)' : 'var(--ifm-color-warning-darkest)' }}
+                  >
+                    {d.severity}
+                  </span>{' '}
+                  {d.message} <span style={{ opacity: 0.6 }}>[{d.code}]</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default withIndices(SslPlayground);
+
+interface HoverDocProps {
+  hover: Hover;
+  program: Program;
+  onMouseEnter: () => void;
+  onMouseLeave: () => void;
+}
+
+/**
+ * Hover card for the name under the pointer, below it; renders nothing when
+ * there is nothing to show, such as for a header macro the define index lacks
+ */
+function HoverDoc({ hover, program, onMouseEnter, onMouseLeave }: HoverDocProps): React.ReactElement | null {
+  const content = useHoverContent(hover.token.value, program);
+  if (!content) {
+    return null;
+  }
+
+  return (
+    <div
+      onMouseEnter={onMouseEnter}
+      onMouseLeave={onMouseLeave}
+      style={{
+        position: 'absolute',
+        left: Math.max(0, hover.x - 16),
+        top: hover.y,
+        zIndex: 10,
+        maxWidth: '32rem',
+        padding: '0.5rem 0.75rem',
+        fontSize: '0.85rem',
+        color: 'var(--ifm-font-color-base)',
+        backgroundColor: 'var(--ifm-background-surface-color)',
+        border: '1px solid var(--ifm-color-emphasis-300)',
+        borderRadius: '4px',
+        boxShadow: 'var(--ifm-global-shadow-md)',
+      }}
+    >
+      {content}
+    </div>
+  );
+}
+
+/**
+ * Hover card content for a name: the script's own procedures and macros
+ * first, then builtins from the reference, then defines from the define
+ * index; null when none of them knows the name
+ */
+function useHoverContent(name: string, program: Program): React.ReactElement | null {
+  const compatibility = useCompatibility();
+  const reference = useReference();
+  const defines = useDefineIndex();
+
+  const procedure = program.procedures[name];
+  if (procedure) {
+    return (
+      <div>
+        <code>procedure {name}({procedure.params.map((p) => `variable ${p}`).join(', ')})</code>
+        <div>{procedure.defined ? 'Defined' : 'Declared'} in this script on line {procedure.line}.</div>
+      </div>
+    );
+  }
+
+  const macro = program.macros[name];
+  if (macro) {
+    return (
+      <div>
+        <code>#define {macro.params ? `${name}(${macro.params.join(', ')})` : name} {macro.body}</code>
+        <div>Defined in this script on line {macro.line}.</div>
+      </div>
+    );
+  }
+
+  const info = compatibility.functions[name];
+  if (info) {
+    const doc = reference[name] ?? {};
+    return (
+      <div>
+        <code>{formatSignature(name, doc)}</code>
+        <CompatBadge fn={name} />
+        {doc.summary && <div style={{ marginTop: '0.25rem' }}>{doc.summary}</div>}
+        {info.page && (
+          <div style={{ marginTop: '0.25rem' }}>
+            <Link to={`/${info.page}#${name}`}>Reference</Link>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const define = defines.defines[name];
+  if (define) {
+    return (
+      <div>
+        <code>
+          {define.kind === 'macro' ? macroSignature(name, define) : name} = {define.value}
+        </code>
+        {define.numericValue !== undefined && define.kind !== 'macro' && (
+          <span style={{ opacity: 0.7 }}> ({define.numericValue})</span>
+        )}
+        <div style={{ marginTop: '0.25rem' }}>
+          <a href={defineUrl(define, defines._meta)} target="_blank" rel="noopener noreferrer">
+            {define.file}:{define.line}
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  return null;
+}
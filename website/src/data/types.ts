@@ -2,6 +2,15 @@
  * Type definitions for the generated function index
  */
 
+export interface InferredSignature {
+  /** Argument types in call order, inferred from programStackPop* calls */
+  args: string[];
+  /** Return type inferred from programStackPush* calls ("void" if nothing is pushed) */
+  returns: string;
+  /** Set when pops happen in loops or branches, so the arity may be wrong */
+  uncertain?: boolean;
+}
+
 export interface FunctionInfo {
   /** Relative path to the source file */
   file: string;
@@ -10,11 +19,33 @@ export interface FunctionInfo {
   /** Ending line number (1-indexed) */
   endLine: number;
   /** Function kind */
-  kind: 'opcode' | 'function' | 'struct' | 'enum' | 'constant';
+  kind: 'opcode' | 'function' | 'metarule' | 'sfall_metarule' | 'struct' | 'enum' | 'constant';
   /** Commit hash (short) */
   commit: string;
+  /** Hash of the body's tokens without comments; unchanged when the function only moves */
+  bodyHash?: string;
+  /** Implementation source lines (startLine..endLine); omitted on SSL entries sharing their C++ entry's lines */
+  source?: string;
+  /** Set when `source` was cut to the generator's --max-source-lines */
+  sourceTruncated?: boolean;
   /** Original C++ function name (if different from key) */
   cppName?: string;
+  /** Metarule constant for SSL functions implemented as opMetarule cases */
+  metarule?: string;
+  /** Minimum argument count of an sfall metarule (from the registration table) */
+  minArgs?: number;
+  /** Maximum argument count of an sfall metarule (from the registration table) */
+  maxArgs?: number;
+  /** Opcode number the handler is registered under (SSL entries only) */
+  opcode?: number;
+  /** OPCODE_* enum name of the opcode, when it has one */
+  opcodeName?: string;
+  /** SSL signature inferred from the opcode handler body */
+  signature?: InferredSignature;
+  /** First release tag of the latest run of tags containing the SSL entry */
+  sinceVersion?: string;
+  /** Tag that dropped the SSL entry (null: removed after the latest tag); the entry is pinned to its last tag */
+  removedIn?: string | null;
 }
 
 export interface FunctionIndexMeta {
@@ -28,6 +59,8 @@ export interface FunctionIndexMeta {
   generatedAt: string | null;
   /** Total number of functions in the index */
   functionCount: number;
+  /** Release tags walked for sinceVersion/removedIn, oldest first */
+  versions?: string[];
 }
 
 export interface FunctionIndex {
@@ -40,10 +73,22 @@ export interface FunctionIndex {
  */
 
 export interface DefineInfo {
+  /** Header the define comes from, relative to the repository root */
+  file: string;
   /** Line number where the define is located (1-indexed) */
   line: number;
-  /** The value of the define */
+  /** Last line of a backslash-continued macro (1-indexed) */
+  endLine?: number;
+  /** "constant" for object-like defines, "macro" for function-like macros */
+  kind: 'constant' | 'macro';
+  /** Parameter names of a function-like macro */
+  params?: string[];
+  /** The value of the define (macro body for function-like macros) */
   value: string;
+  /** Value evaluated to a 32-bit integer (constants only) */
+  numericValue?: number;
+  /** Set when the value could not be evaluated to an integer */
+  unresolved?: boolean;
   /** Prefix category (e.g., "PERK", "SKILL", "DAM") */
   prefix: string;
 }
@@ -51,8 +96,8 @@ export interface DefineInfo {
 export interface DefineIndexMeta {
   /** GitHub repository in format "owner/repo" */
   repo: string;
-  /** File path within the repository */
-  file: string;
+  /** Header paths within the repository that were indexed */
+  files: string[];
   /** Full commit hash */
   commit: string;
   /** Short commit hash */
@@ -61,9 +106,107 @@ export interface DefineIndexMeta {
   generatedAt: string | null;
   /** Total number of defines in the index */
   defineCount: number;
+  /** Number of function-like macros among them */
+  macroCount: number;
 }
 
 export interface DefineIndex {
   _meta: DefineIndexMeta;
   defines: Record<string, DefineInfo>;
 }
+
+/**
+ * Type definitions for the generated symbol index
+ */
+
+export interface SymbolInfo {
+  /** Relative path to the source file */
+  file: string;
+  /** Starting line number (1-indexed) */
+  startLine: number;
+  /** Ending line number (1-indexed) */
+  endLine: number;
+  /** Symbol kind */
+  kind: 'struct' | 'class' | 'union' | 'enum' | 'typedef' | 'define';
+}
+
+export interface SymbolIndexMeta {
+  /** GitHub repository in format "owner/repo" */
+  repo: string;
+  /** Full commit hash */
+  commit: string;
+  /** Short commit hash */
+  shortCommit: string;
+  /** ISO timestamp when the index was generated */
+  generatedAt: string | null;
+  /** Total number of symbols in the index */
+  symbolCount: number;
+}
+
+export interface SymbolIndex {
+  _meta: SymbolIndexMeta;
+  symbols: Record<string, SymbolInfo>;
+}
+
+/**
+ * Type definitions for the generated compatibility dataset
+ */
+
+export interface CompatInfo {
+  /** Where the function comes from */
+  origin: 'vanilla' | 'sfall' | 'unknown';
+  /** Implemented in fallout2-ce */
+  ce: boolean;
+  /** First fallout2-ce release with the function, when the index has versions */
+  ceSince?: string;
+  /** Used by the Unofficial Patch's scripts; absent until a UP checkout is scanned */
+  usedInUp?: boolean;
+  /** Number of UP script files using it */
+  upFiles?: number;
+  /** Docs id of the page documenting it (e.g. "ssl/functions/critter") */
+  page?: string;
+}
+
+export interface CompatibilityMeta {
+  /** fallout2-ce commit of the function index the dataset was built from */
+  commit: string;
+  /** Short commit hash */
+  shortCommit: string;
+  /** ISO timestamp when the dataset was generated */
+  generatedAt: string;
+  /** Unofficial Patch checkout that was scanned, if any */
+  up?: {
+    commit: string | null;
+    files: number;
+  };
+}
+
+export interface CompatibilityData {
+  _meta: CompatibilityMeta;
+  functions: Record<string, CompatInfo>;
+}
+
+/**
+ * Type definitions for the function reference summaries published by the
+ * fallout-indices plugin
+ */
+
+export interface DocParam {
+  /** Documented type, e.g. "int" or "ObjectPtr" */
+  type: string;
+  name: string;
+  /** Marked "(optional)" in the Parameters list */
+  optional?: boolean;
+}
+
+export interface FunctionDoc {
+  /** Signature from the first line of the ```ssl block under the heading */
+  signature?: {
+    returns: string;
+    params: DocParam[];
+  };
+  /** First paragraph of the description, as plain text */
+  summary?: string;
+}
+
+export type FunctionReference = Record<string, FunctionDoc>;
@@ -0,0 +1,6 @@
+// Data files the fallout-indices plugin writes with createData(); typed by
+// the loaders in useIndices.tsx
+declare module '@generated/fallout-indices/default/*.json' {
+  const data: unknown;
+  export default data;
+}
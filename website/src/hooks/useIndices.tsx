@@ -0,0 +1,88 @@
+import React, { Suspense, use } from 'react';
+import type { CompatibilityData, DefineIndex, FunctionIndex, FunctionReference, SymbolIndex } from '../data/types';
+
+/**
+ * Data files written by the fallout-indices plugin (src/plugins/indices.js)
+ */
+export interface IndicesData {
+  functions: FunctionIndex;
+  defines: DefineIndex;
+  symbols: SymbolIndex;
+  compatibility: CompatibilityData;
+  reference: FunctionReference;
+}
+
+// One chunk per file, fetched by the first component on a page that reads it
+const LOADERS: { [K in keyof IndicesData]: () => Promise<{ default: unknown }> } = {
+  functions: () => import('@generated/fallout-indices/default/functions.json'),
+  defines: () => import('@generated/fallout-indices/default/defines.json'),
+  symbols: () => import('@generated/fallout-indices/default/symbols.json'),
+  compatibility: () => import('@generated/fallout-indices/default/compatibility.json'),
+  reference: () => import('@generated/fallout-indices/default/reference.json'),
+};
+
+const loaded: Partial<Record<keyof IndicesData, Promise<unknown>>> = {};
+
+/**
+ * Read one data file, suspending until its chunk has loaded
+ */
+function useIndex<K extends keyof IndicesData>(name: K): IndicesData[K] {
+  if (!loaded[name]) {
+    loaded[name] = LOADERS[name]().then((module) => module.default);
+  }
+  return use(loaded[name]) as IndicesData[K];
+}
+
+/**
+ * Wrap a component that reads an index in its own Suspense boundary
+ *
+ * The server render waits for the data, and while a page hydrates the
+ * boundary keeps the server HTML until the chunk arrives, so only client
+ * navigation shows the (empty) fallback, briefly.
+ */
+export function withIndices<P extends object>(Component: React.ComponentType<P>): React.ComponentType<P> {
+  function WithIndices(props: P): React.ReactElement {
+    return (
+      <Suspense fallback={null}>
+        <Component {...props} />
+      </Suspense>
+    );
+  }
+  WithIndices.displayName = `withIndices(${Component.displayName || Component.name})`;
+  return WithIndices;
+}
+
+/**
+ * The function index: SSL and C++ function names to their fallout2-ce source
+ */
+export function useFunctionIndex(): FunctionIndex {
+  return useIndex('functions');
+}
+
+/**
+ * The define index: Restoration Project header constants and macros
+ */
+export function useDefineIndex(): DefineIndex {
+  return useIndex('defines');
+}
+
+/**
+ * The symbol index: fallout2-ce structs, enums, typedefs and #defines
+ */
+export function useSymbolIndex(): SymbolIndex {
+  return useIndex('symbols');
+}
+
+/**
+ * The compatibility dataset: origin, fallout2-ce support and, once a UP checkout is scanned, UP usage per SSL function
+ */
+export function useCompatibility(): CompatibilityData {
+  return useIndex('compatibility');
+}
+
+/**
+ * The function reference: documented signature and summary per SSL function
+ */
+export function useReference(): FunctionReference {
+  return useIndex('reference');
+}
@@ -0,0 +1,74 @@
+/**
+ * Docusaurus plugin that owns the generated indices
+ *
+ * - Loads the function, define and symbol indices and the compatibility
+ *   dataset from src/data/ at build time and fails the build when one is
+ *   missing or malformed
+ * - Reads the signature and summary of every function documented in
+ *   docs/ssl/functions/ and the missing sfall functions page
+ * - Writes each to its own data file, read in components with
+ *   useFunctionIndex(), useDefineIndex(), useSymbolIndex(),
+ *   useCompatibility() and useReference() (src/hooks/useIndices.tsx). The
+ *   files are loaded on demand, so only pages whose components read an index
+ *   download it
+ * - Reloads the dev server when an index file or a reference page changes
+ */
+
+const path = require('path');
+const { DATA_DIR, INDICES, loadIndex } = require('../../scripts/lib/indices');
+const {
+  FUNCTIONS_DIR,
+  MISSING_SFALL_FILE,
+  parseFunctionDoc,
+  parseFunctionDocs,
+} = require('../../scripts/lib/ssl-docs');
+
+/**
+ * Signature and summary of every documented SSL function, by name
+ */
+function loadReference() {
+  const docs = { ...parseFunctionDoc(MISSING_SFALL_FILE), ...parseFunctionDocs() };
+  const reference = {};
+  for (const [name, { signature, summary }] of Object.entries(docs)) {
+    reference[name] = {};
+    if (signature) {
+      reference[name].signature = { returns: signature.returns, params: signature.params };
+    }
+    if (summary) {
+      reference[name].summary = summary;
+    }
+  }
+  return reference;
+}
+
+module.exports = function indicesPlugin(context, { dataDir = DATA_DIR } = {}) {
+  const dir = path.resolve(context.siteDir, dataDir);
+
+  return {
+    name: 'fallout-indices',
+
+    getPathsToWatch() {
+      return [
+        ...Object.values(INDICES).map(({ file }) => path.join(dir, file)),
+        path.join(FUNCTIONS_DIR, '*.mdx'),
+        MISSING_SFALL_FILE,
+      ];
+    },
+
+    async loadContent() {
+      return {
+        functions: loadIndex('functions', dir),
+        defines: loadIndex('defines', dir),
+        symbols: loadIndex('symbols', dir),
+        compatibility: loadIndex('compatibility', dir),
+        reference: loadReference(),
+      };
+    },
+
+    async contentLoaded({ content, actions }) {
+      await Promise.all(
+        Object.entries(content).map(([name, data]) => actions.createData(`${name}.json`, JSON.stringify(data))),
+      );
+    },
+  };
+};
@@ -0,0 +1,32 @@
+/**
+ * Docusaurus plugin that checks the SSL examples in the docs
+ *
+ * - Runs scripts/check-ssl-examples.js over every ```ssl block in docs/ssl/
+ *   and docs/api/ and fails the build with one file:line:column diagnostic
+ *   per problem
+ * - Rechecks on the dev server when a doc changes
+ */
+
+const path = require('path');
+const { checkExamples, formatDiagnostics } = require('../../scripts/check-ssl-examples');
+
+module.exports = function sslExamplesPlugin(context) {
+  return {
+    name: 'fallout-ssl-examples',
+
+    getPathsToWatch() {
+      return ['ssl', 'api'].map((dir) => path.join(context.siteDir, 'docs', dir, '**', '*.{md,mdx}'));
+    },
+
+    async loadContent() {
+      const { diagnostics } = checkExamples();
+      if (diagnostics.length > 0) {
+        throw new Error(
+          `${diagnostics.length} problem${diagnostics.length === 1 ? '' : 's'} in the SSL examples ` +
+            '(fix them, or fence deliberately broken code as ```ssl nocheck):\n' +
+            formatDiagnostics(diagnostics).map((line) => `  ${line}`).join('\n'),
+        );
+      }
+    },
+  };
+};
@@ -0,0 +1,187 @@
+/**
+ * Remark plugin that cross-links the SSL reference at build time, without
+ * touching the MDX sources:
+ *
+ * 1. Inline code naming a documented SSL function (`critter_stat` or
+ *    `critter_stat(who, stat)`) links to its {#anchor} in docs/ssl/functions/
+ * 2. Inline code naming a define from the define index (`STAT_st`) renders as
+ *    <DefineRef name="STAT_st" inline />
+ * 3. Function sections in docs/ssl/functions/ that are in the function index
+ *    but have no <FnRef> get one at the end of the section
+ *
+ * Inline code inside links and headings is left alone, and a function does
+ * not link to itself inside its own section.
+ *
+ * Registered as a beforeDefaultRemarkPlugin, so the .mdx links it emits are
+ * resolved to routes (and checked) like hand-written ones. The reference and
+ * the indices are read once when the plugin is created; restart the dev
+ * server after adding a function.
+ */
+
+const path = require('path');
+const { FUNCTIONS_DIR, parseFunctionDocs } = require('../../scripts/lib/ssl-docs');
+const { loadIndex } = require('../../scripts/lib/indices');
+
+// `name` or `name(args)`
+const CODE_PATTERN = /^([A-Za-z_]\w*)(?:\(.*\))?$/;
+
+// Explicit heading id, still in the heading text before Docusaurus' heading plugin
+const HEADING_ID_PATTERN = /\{#([A-Za-z0-9_]+)\}\s*$/;
+
+/**
+ * Own entry of a lookup table, so inline code like `toString` does not match
+ * an Object.prototype member
+ */
+function own(map, name) {
+  return Object.prototype.hasOwnProperty.call(map, name) ? map[name] : undefined;
+}
+
+/**
+ * Explicit {#anchor} of a heading, if any
+ */
+function headingAnchor(heading) {
+  const last = heading.children[heading.children.length - 1];
+  const match = last && last.type === 'text' && last.value.match(HEADING_ID_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a tree contains a JSX element with the given name
+ */
+function containsElement(node, name) {
+  if ((node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') && node.name === name) {
+    return true;
+  }
+  return (node.children || []).some((child) => containsElement(child, name));
+}
+
+function jsxAttribute(name, value = null) {
+  return { type: 'mdxJsxAttribute', name, value };
+}
+
+/**
+ * Link target for a documented function, relative to the current file
+ */
+function functionUrl(doc, name, filePath) {
+  if (path.resolve(doc.file) === filePath) {
+    return `#${name}`;
+  }
+  const relative = path.relative(path.dirname(filePath), doc.file).split(path.sep).join('/');
+  return `${relative.startsWith('.') ? '' : './'}${relative}#${name}`;
+}
+
+/**
+ * Replace matching inline code below `node`. `context.section` is the anchor
+ * of the function section being walked, so a function does not link to itself.
+ */
+function linkInlineCode(node, context) {
+  if (!node.children || node.type === 'link' || node.type === 'linkReference' || node.type === 'heading') {
+    return;
+  }
+
+  node.children = node.children.map((child) => {
+    if (child.type !== 'inlineCode') {
+      linkInlineCode(child, context);
+      return child;
+    }
+
+    const match = child.value.trim().match(CODE_PATTERN);
+    if (!match) {
+      return child;
+    }
+    const name = match[1];
+
+    const doc = own(context.docs, name);
+    if (doc) {
+      if (name === context.section && path.resolve(doc.file) === context.filePath) {
+        return child;
+      }
+      return {
+        type: 'link',
+        url: functionUrl(doc, name, context.filePath),
+        children: [child],
+      };
+    }
+
+    if (own(context.defines, name)) {
+      const attributes = [jsxAttribute('name', name), jsxAttribute('inline')];
+      if (child.value !== name) {
+        attributes.push(jsxAttribute('label', child.value));
+      }
+      return { type: 'mdxJsxTextElement', name: 'DefineRef', attributes, children: [] };
+    }
+
+    return child;
+  });
+}
+
+/**
+ * Append <FnRef fn="name" /> to function sections that lack one. A section
+ * runs from its heading to the next `---` or heading of the same or a
+ * higher level.
+ */
+function addFnRefs(tree, docs, functions, filePath) {
+  const children = [];
+  let open = null; // { name, depth, nodes }
+
+  const close = () => {
+    if (open && own(functions, open.name) && !open.nodes.some((n) => containsElement(n, 'FnRef'))) {
+      children.push({
+        type: 'mdxJsxFlowElement',
+        name: 'FnRef',
+        attributes: [jsxAttribute('fn', open.name)],
+        children: [],
+      });
+    }
+    open = null;
+  };
+
+  for (const node of tree.children) {
+    if (open && (node.type === 'thematicBreak' || (node.type === 'heading' && node.depth <= open.depth))) {
+      close();
+    }
+    if (node.type === 'heading') {
+      const anchor = headingAnchor(node);
+      if (anchor && own(docs, anchor) && path.resolve(docs[anchor].file) === filePath) {
+        open = { name: anchor, depth: node.depth, nodes: [] };
+      }
+    } else if (open) {
+      open.nodes.push(node);
+    }
+    children.push(node);
+  }
+  close();
+
+  tree.children = children;
+}
+
+function sslLinks() {
+  const docs = parseFunctionDocs(FUNCTIONS_DIR);
+  const functions = loadIndex('functions').functions;
+  const defines = loadIndex('defines').defines;
+
+  return (tree, file) => {
+    const filePath = path.resolve(file.path);
+
+    if (path.dirname(filePath) === path.resolve(FUNCTIONS_DIR)) {
+      addFnRefs(tree, docs, functions, filePath);
+    }
+
+    // Walk top-level nodes in order to know which function section we are in
+    const context = { docs, defines, filePath, section: null };
+    let sectionDepth = 0;
+    for (const node of tree.children) {
+      if (node.type === 'heading') {
+        const anchor = headingAnchor(node);
+        if (anchor || node.depth <= sectionDepth) {
+          context.section = anchor;
+          sectionDepth = anchor ? node.depth : 0;
+        }
+        continue;
+      }
+      linkInlineCode({ children: [node] }, context);
+    }
+  };
+}
+
+module.exports = sslLinks;
@@ -7,6 +7,16 @@ import ImplLink from '@site/src/components/ImplLink';
 import ImplRef from '@site/src/components/ImplRef';
 import FunctionTag from '@site/src/components/FunctionTag';
 import DefineRef, { DefineInfo } from '@site/src/components/DefineRef';
+import DefineLookup from '@site/src/components/DefineLookup';
+import DefineTable from '@site/src/components/DefineTable';
+import OpcodeTable from '@site/src/components/OpcodeTable';
+import IdDecoder from '@site/src/components/IdDecoder';
+import CompatBadge from '@site/src/components/CompatBadge';
+import CompatMatrix from '@site/src/components/CompatMatrix';
+import SslPlayground from '@site/src/components/SslPlayground';
+import ProInspector from '@site/src/components/ProInspector';
+import FrmViewer from '@site/src/components/FrmViewer';
+import MapViewer from '@site/src/components/MapViewer';
 
 export default {
   // Re-use the default mapping
@@ -19,4 +29,14 @@ export default {
   FunctionTag,
   DefineRef,
   DefineInfo,
+  DefineLookup,
+  DefineTable,
+  OpcodeTable,
+  IdDecoder,
+  CompatBadge,
+  CompatMatrix,
+  SslPlayground,
+  ProInspector,
+  FrmViewer,
+  MapViewer,
 };
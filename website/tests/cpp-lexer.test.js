@@ -0,0 +1,85 @@
+/**
+ * Tests for scripts/lib/cpp-lexer.js
+ *
+ * Each fixture in fixtures/cpp marks function signatures with
+ * `// @start name` and the closing brace with `// @end name`; every start
+ * must resolve to its end line, which is what FnRef line ranges rely on.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tokenize, findFunctionEnd, findMatchingBrace } = require('../scripts/lib/cpp-lexer');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'cpp');
+
+/**
+ * Marked lines of a fixture: [{ name, label, line }] for starts, and end
+ * lines by name
+ */
+function readMarkers(source) {
+  const starts = [];
+  const ends = {};
+  source.split('\n').forEach((text, index) => {
+    const start = text.match(/\/\/ @start (\w+)(.*)$/);
+    if (start) starts.push({ name: start[1], label: `${start[1]}${start[2]}`, line: index + 1 });
+    const end = text.match(/\/\/ @end (\w+)/);
+    if (end) ends[end[1]] = index + 1;
+  });
+  return { starts, ends };
+}
+
+for (const file of fs.readdirSync(FIXTURES).filter((name) => name.endsWith('.cc'))) {
+  test(`function ranges in ${file}`, () => {
+    const source = fs.readFileSync(path.join(FIXTURES, file), 'utf-8');
+    const tokens = tokenize(source);
+    const { starts, ends } = readMarkers(source);
+    assert.ok(starts.length > 0, 'fixture has no @start markers');
+
+    for (const { name, label, line } of starts) {
+      const end = findFunctionEnd(tokens, line);
+      assert.ok(end && !end.declaration, `${label} (line ${line}) has no body`);
+      assert.strictEqual(end.endLine, ends[name], `${label} (line ${line})`);
+    }
+  });
+}
+
+test('braces in literals and comments are not punctuation', () => {
+  const tokens = tokenize([
+    'a = "{"; b = \'}\';',
+    'c = R"x({)x"; // {',
+    '/* } */ d = u8"}";',
+  ].join('\n'));
+  const braces = tokens.filter((token) => token.type === 'punct' && (token.value === '{' || token.value === '}'));
+  assert.deepStrictEqual(braces, []);
+  assert.deepStrictEqual(
+    tokens.filter((token) => token.type === 'string' || token.type === 'char').map((token) => token.value),
+    ['"{"', '\'}\'', 'R"x({)x"', 'u8"}"'],
+  );
+});
+
+test('line numbers count newlines inside skipped constructs', () => {
+  const tokens = tokenize('/* one\ntwo */ "a\\\nb" R"(\n\n)" x');
+  assert.strictEqual(tokens.find((token) => token.value === 'x').line, 5);
+});
+
+test('only the first branch of a conditional is active', () => {
+  const tokens = tokenize('#if A\n{\n#elif B\n{\n#else\n{\n#endif\n}');
+  const braces = tokens.filter((token) => token.type === 'punct');
+  assert.deepStrictEqual(braces.map((token) => Boolean(token.inactive)), [false, true, true, false]);
+  assert.strictEqual(findMatchingBrace(tokens, tokens.indexOf(braces[0])), tokens.indexOf(braces[3]));
+  assert.strictEqual(findMatchingBrace(tokens, tokens.indexOf(braces[2])), tokens.indexOf(braces[3]));
+});
+
+test('#if 0 reads the #else branch', () => {
+  const tokens = tokenize('#if 0\nx\n#else\ny\n#endif\nz');
+  const inactive = tokens.filter((token) => token.inactive).map((token) => token.value);
+  assert.deepStrictEqual(inactive, ['x']);
+});
+
+test('a prototype is a declaration', () => {
+  const tokens = tokenize('int opFoo(Program* program);\nint opBar() { return 0; }');
+  assert.deepStrictEqual(findFunctionEnd(tokens, 1), { declaration: true });
+  assert.strictEqual(findFunctionEnd(tokens, 2).endLine, 2);
+});
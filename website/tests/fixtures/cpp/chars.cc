@@ -0,0 +1,19 @@
+// Character literals holding braces or quotes do not open or close blocks.
+
+static bool isOpen(char c) // @start isOpen
+{
+    return c == '{' || c == '\'' || c == L'{';
+} // @end isOpen
+
+static bool isClose(char c) // @start isClose
+{
+    if (c == '}') {
+        return true;
+    }
+    return c == '"';
+} // @end isClose
+
+static int separated() // @start separated
+{
+    return 1'000'000;
+} // @end separated
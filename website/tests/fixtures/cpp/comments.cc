@@ -0,0 +1,21 @@
+// Braces inside comments do not open or close blocks: {
+
+/* A block comment {
+   spanning lines } } */
+static void opCommented(Program* program) // @start opCommented
+{
+    // if (x) {
+    int value = 1; /* { */
+    /*
+     * }
+     */
+    if (value) {
+        value++; // }
+    }
+} // @end opCommented
+
+static void opContinued(Program* program) // @start opContinued
+{
+    // a line comment continued \
+    onto the next line {
+} // @end opContinued
@@ -0,0 +1,36 @@
+// A signature written once per #if branch opens one block, not two.
+
+#ifdef _WIN32
+static void platformInit(HWND window) // @start platformInit
+{
+#else
+static void platformInit(void* window) // @start platformInit (else)
+{
+#endif
+    if (window != NULL) {
+        setup(window);
+    }
+} // @end platformInit
+
+#if SFALL_EXTENSIONS
+static int opExtended(Program* program) { // @start opExtended
+#elif defined(LEGACY)
+static int opExtended(Program* program, int legacy) { // @start opExtended (elif)
+#else
+static int opExtended() { // @start opExtended (else)
+#endif
+    return 0;
+} // @end opExtended
+
+#if 0
+static void disabled() { // @start disabled
+#else
+static void disabled(int value) { // @start disabled (else)
+#endif
+    value++;
+} // @end disabled
+
+static int after() // @start after
+{
+    return 1;
+} // @end after
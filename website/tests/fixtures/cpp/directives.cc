@@ -0,0 +1,21 @@
+// A quote left open in a directive ends with the directive's line, so the
+// line after it is read as code again.
+
+#warning Legacy saves aren't supported
+static int afterWarning(int value) { // @start afterWarning
+    return value + 1;
+} // @end afterWarning
+
+#pragma message("unterminated { string)
+static void afterPragma() { // @start afterPragma
+    if (afterWarning(0)) {
+        afterWarning(1);
+    }
+} // @end afterPragma
+
+#define QUOTE '\
+'
+static int afterContinuation() // @start afterContinuation
+{
+    return QUOTE;
+} // @end afterContinuation
@@ -0,0 +1,13 @@
+// Raw string literals can hold braces, quotes and newlines.
+
+static const char* usage() // @start usage
+{
+    return R"(
+        { "unbalanced": {
+    )";
+} // @end usage
+
+static const char* delimited() // @start delimited
+{
+    return u8R"xyz(}" )" { )xyz";
+} // @end delimited
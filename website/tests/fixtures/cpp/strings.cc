@@ -0,0 +1,13 @@
+// Braces inside string literals do not open or close blocks.
+
+static void opLogBraces(Program* program) // @start opLogBraces
+{
+    debugPrint("{");
+    debugPrint("}}} \" { escaped quote");
+    debugPrint(u8"{" L"}" u"{{");
+} // @end opLogBraces
+
+static int after(int value) // @start after
+{
+    return value + 1;
+} // @end after
@@ -0,0 +1,2 @@
+/* Scanned as a script file: a macro that wraps a function uses it */
+#define dude_is_male (get_critter_stat(dude_obj, STAT_gender) == GENDER_MALE)
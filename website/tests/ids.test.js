@@ -0,0 +1,67 @@
+/**
+ * Tests for scripts/lib/ids.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ID_LAYOUTS, decodeId, encodeId, formatId } = require('../scripts/lib/ids');
+
+// Every field at 0, 1 and its highest value, one field at a time and all at once
+function samples(kind) {
+  const layout = ID_LAYOUTS[kind];
+  const result = [{}];
+  for (const field of layout) {
+    const max = 2 ** field.bits - 1;
+    result.push({ [field.key]: 1 }, { [field.key]: max });
+  }
+  result.push(Object.fromEntries(layout.map((field) => [field.key, 2 ** field.bits - 1])));
+  return result.map((parts) => Object.fromEntries(layout.map((field) => [field.key, parts[field.key] || 0])));
+}
+
+for (const kind of Object.keys(ID_LAYOUTS)) {
+  test(`${kind.toUpperCase()} fields survive encode and decode`, () => {
+    for (const parts of samples(kind)) {
+      const value = encodeId(kind, parts);
+      assert.ok(value >= 0 && value <= 0xffffffff, `${JSON.stringify(parts)} gave ${value}`);
+      assert.deepStrictEqual(decodeId(kind, value), parts);
+      assert.strictEqual(encodeId(kind, decodeId(kind, value)), value);
+    }
+  });
+}
+
+test('PID type byte', () => {
+  assert.deepStrictEqual(decodeId('pid', 0x01000004), { type: 1, index: 4 });
+  assert.deepStrictEqual(decodeId('pid', 0x05000010), { type: 5, index: 16 });
+  assert.strictEqual(encodeId('pid', { type: 0xff, index: 0xffffff }), 0xffffffff);
+  assert.deepStrictEqual(decodeId('pid', -1), { type: 0xff, index: 0xffffff });
+});
+
+test('SID type byte', () => {
+  assert.deepStrictEqual(decodeId('sid', 0x04000003), { type: 4, index: 3 });
+  assert.strictEqual(encodeId('sid', { type: 1, index: 0x123 }), 0x01000123);
+});
+
+test('FID rotation (ID3) and type follow buildFid', () => {
+  // buildFid(OBJ_TYPE_CRITTER, 0x0ab, ANIM_WALK, 5, ROTATION_NW)
+  const fid = (5 << 28) | (1 << 24) | (1 << 16) | (5 << 12) | 0x0ab;
+  assert.deepStrictEqual(decodeId('fid', fid), { rotation: 5, type: 1, anim: 1, weapon: 5, id: 0x0ab });
+  assert.strictEqual(encodeId('fid', { rotation: 5, type: 1, anim: 1, weapon: 5, id: 0x0ab }), fid);
+  assert.strictEqual(encodeId('fid', { rotation: 7, type: 0xf }), 0x7f000000);
+});
+
+test('FID bit 31 is outside the fields and dropped', () => {
+  const parts = decodeId('fid', 0x80000001);
+  assert.deepStrictEqual(parts, { rotation: 0, type: 0, anim: 0, weapon: 0, id: 1 });
+  assert.strictEqual(encodeId('fid', parts), 0x00000001);
+});
+
+test('fields are masked to their width', () => {
+  assert.strictEqual(encodeId('fid', { rotation: 8, id: 0x1001 }), 0x00000001);
+  assert.strictEqual(encodeId('sid', { type: -1 }), 0xff000000);
+});
+
+test('formatId', () => {
+  assert.strictEqual(formatId(0x01000004), '0x01000004');
+  assert.strictEqual(formatId(-1), '0xFFFFFFFF');
+  assert.strictEqual(formatId(0), '0x00000000');
+});
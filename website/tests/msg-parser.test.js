@@ -0,0 +1,28 @@
+/**
+ * Tests for scripts/lib/msg-parser.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMsg } = require('../scripts/lib/msg-parser');
+
+test('entries are read with their line and column', () => {
+  const { entries, errors } = parseMsg('# Greeting\n{100}{}{Hello.}\n{101}{grt01}{What brings you to\nthe Den?}\n');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entries, [
+    { id: '100', number: 100, sound: '', text: 'Hello.', line: 2, column: 1 },
+    { id: '101', number: 101, sound: 'grt01', text: 'What brings you tothe Den?', line: 3, column: 1 },
+  ]);
+});
+
+test('a stray { inside a field is reported and the entry keeps its fields', () => {
+  const { entries, errors } = parseMsg('{100}{}{Hello {name}\n{101}{}{Bye.}\n');
+  assert.deepStrictEqual(errors, [{ line: 1, column: 15, message: 'Stray { inside a field opened at column 8' }]);
+  assert.deepStrictEqual(entries.map((e) => [e.number, e.text]), [[100, 'Hello {name'], [101, 'Bye.']]);
+});
+
+test('a field left open on an earlier line drops its entry', () => {
+  const { entries, errors } = parseMsg('{100}{}{Hello.\n{101}{}{Bye.}\n');
+  assert.deepStrictEqual(errors, [{ line: 1, column: 8, message: 'Unclosed {, entry {100} is dropped' }]);
+  assert.deepStrictEqual(entries.map((e) => e.number), [101]);
+});
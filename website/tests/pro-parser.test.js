@@ -0,0 +1,270 @@
+/**
+ * Tests for scripts/lib/pro-parser.js
+ *
+ * Each proto is built from [type, value] pairs, so the expected sizes below
+ * come from the layouts in docs/formats/pro.mdx rather than from the parser.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePro } = require('../scripts/lib/pro-parser');
+
+/**
+ * Big-endian bytes for [type, value] pairs; a value may be an array
+ */
+function build(...pairs) {
+  const values = pairs.flatMap(([type, value]) => [value].flat().map((v) => [type, v]));
+  const buffer = Buffer.alloc(values.reduce((size, [type]) => size + (type === 'u8' ? 1 : 4), 0));
+  let offset = 0;
+  for (const [type, value] of values) {
+    if (type === 'u8') offset = buffer.writeUInt8(value, offset);
+    else if (type === 'u32') offset = buffer.writeUInt32BE(value, offset);
+    else offset = buffer.writeInt32BE(value, offset);
+  }
+  return buffer;
+}
+
+// pid, messageId, fid
+const common = (pid) => [['s32', pid], ['s32', 100], ['s32', 0x00000123]];
+
+// lightDistance, lightIntensity, flags, extendedFlags, sid
+const lightFlagsSid = [['s32', 2], ['s32', 0x10000], ['u32', 0x80000008], ['u32', 0x0800], ['s32', -1]];
+
+function itemHeader(type) {
+  return [
+    ...common(0x00000010), ...lightFlagsSid,
+    ['s32', type], ['s32', 1], ['s32', 3], ['s32', 12], ['s32', 250], ['s32', 0x07000045], ['u8', 0x30],
+  ];
+}
+
+function sceneryHeader(type) {
+  return [...common(0x02000020), ...lightFlagsSid, ['s32', type], ['s32', 5], ['u8', 0x41]];
+}
+
+function parse(...pairs) {
+  const buffer = build(...pairs);
+  const result = parsePro(buffer);
+  assert.strictEqual(result.size, buffer.length);
+  assert.strictEqual(result.trailing, 0);
+  return result;
+}
+
+test('item header', () => {
+  const { kind, subtype, proto, fields } = parse(...itemHeader(6), ['s32', 42]);
+  assert.strictEqual(kind, 'item');
+  assert.strictEqual(subtype, 'key');
+  assert.deepStrictEqual(
+    { ...proto, data: undefined },
+    {
+      pid: 0x00000010, messageId: 100, fid: 0x123, lightDistance: 2, lightIntensity: 0x10000,
+      flags: 0x80000008, extendedFlags: 0x0800, sid: -1, type: 6, material: 1, size: 3,
+      weight: 12, cost: 250, inventoryFid: 0x07000045, soundId: 0x30, data: undefined,
+    },
+  );
+  assert.deepStrictEqual(proto.data, { keyCode: 42 });
+
+  const byName = Object.fromEntries(fields.map((f) => [f.name, f]));
+  assert.strictEqual(byName.soundId.offset, 0x38);
+  assert.strictEqual(byName.keyCode.offset, 0x39);
+  assert.strictEqual(byName.keyCode.section, 'data');
+  assert.strictEqual(byName.material.meaning, 'Metal');
+  assert.strictEqual(byName.flags.hex, true);
+  assert.strictEqual(byName.fid.id, 'fid');
+});
+
+test('armor', () => {
+  const dr = [10, 20, 30, 40, 50, 60, 70];
+  const dt = [1, 2, 3, 4, 5, 6, 7];
+  const { subtype, proto, size } = parse(
+    ...itemHeader(0),
+    ['s32', 20], ['s32', dr], ['s32', dt], ['s32', -1], ['s32', 0x01000010], ['s32', 0x01000011],
+  );
+  assert.strictEqual(subtype, 'armor');
+  assert.strictEqual(size, 129);
+  assert.deepStrictEqual(proto.data, {
+    armorClass: 20, damageResistance: dr, damageThreshold: dt, perk: -1,
+    maleFid: 0x01000010, femaleFid: 0x01000011,
+  });
+});
+
+test('container', () => {
+  const { subtype, proto, size } = parse(...itemHeader(1), ['s32', 150], ['u32', 0x1]);
+  assert.strictEqual(subtype, 'container');
+  assert.strictEqual(size, 65);
+  assert.deepStrictEqual(proto.data, { maxSize: 150, openFlags: 0x1 });
+});
+
+test('drug', () => {
+  const { subtype, proto, size } = parse(
+    ...itemHeader(2),
+    ['s32', [0, 1, -1]], ['s32', [2, 3, 0]], ['s32', 60], ['s32', [-1, -1, 0]], ['s32', 120],
+    ['s32', [0, 0, 0]], ['s32', 20], ['s32', 35], ['s32', 10080],
+  );
+  assert.strictEqual(subtype, 'drug');
+  assert.strictEqual(size, 125);
+  assert.deepStrictEqual(proto.data, {
+    stat: [0, 1, -1], amount: [2, 3, 0], duration1: 60, amount1: [-1, -1, 0], duration2: 120,
+    amount2: [0, 0, 0], addictionChance: 20, withdrawalEffect: 35, withdrawalOnset: 10080,
+  });
+});
+
+test('weapon', () => {
+  const { subtype, proto, size, fields } = parse(
+    ...itemHeader(3),
+    ['s32', 5], ['s32', 10], ['s32', 22], ['s32', 1], ['s32', 25], ['s32', 30], ['s32', 0x0500000a],
+    ['s32', 6], ['s32', 5], ['s32', 6], ['s32', 2], ['s32', -1], ['s32', 10], ['s32', 3],
+    ['s32', 0x00000028], ['s32', 24], ['u8', 0x4c],
+  );
+  assert.strictEqual(subtype, 'weapon');
+  assert.strictEqual(size, 122);
+  assert.deepStrictEqual(proto.data, {
+    animationCode: 5, minDamage: 10, maxDamage: 22, damageType: 1, maxRange1: 25, maxRange2: 30,
+    projectilePid: 0x0500000a, minStrength: 6, actionPointCost1: 5, actionPointCost2: 6,
+    criticalFailureType: 2, perk: -1, rounds: 10, caliber: 3, ammoTypePid: 0x28, ammoCapacity: 24,
+    soundCode: 0x4c,
+  });
+  const byName = Object.fromEntries(fields.map((f) => [f.name, f]));
+  assert.strictEqual(byName.damageType.meaning, 'Laser');
+  assert.strictEqual(byName.caliber.meaning, 'C Energy Cell');
+  assert.strictEqual(byName.projectilePid.id, 'pid');
+});
+
+test('ammo', () => {
+  const { subtype, proto, size } = parse(
+    ...itemHeader(4), ['s32', 5], ['s32', 50], ['s32', -10], ['s32', 20], ['s32', 2], ['s32', 1],
+  );
+  assert.strictEqual(subtype, 'ammo');
+  assert.strictEqual(size, 81);
+  assert.deepStrictEqual(proto.data, {
+    caliber: 5, quantity: 50, armorClassModifier: -10, damageResistanceModifier: 20,
+    damageMultiplier: 2, damageDivisor: 1,
+  });
+});
+
+test('misc item', () => {
+  const { subtype, proto, size } = parse(...itemHeader(5), ['s32', 0x00000026], ['s32', 3], ['s32', 50]);
+  assert.strictEqual(subtype, 'misc');
+  assert.strictEqual(size, 69);
+  assert.deepStrictEqual(proto.data, { powerTypePid: 0x26, powerType: 3, charges: 50 });
+});
+
+test('critter', () => {
+  const base = Array.from({ length: 35 }, (_, i) => i + 1);
+  const bonus = Array.from({ length: 35 }, (_, i) => 1 - i);
+  const skills = Array.from({ length: 18 }, (_, i) => i * 5);
+  const { kind, subtype, proto, size, fields } = parse(
+    ...common(0x01000050), ...lightFlagsSid, ['s32', 0x01000060], ['s32', 7], ['s32', 2],
+    ['u32', 0x2000], ['s32', base], ['s32', bonus], ['s32', skills], ['s32', 1], ['s32', 75],
+    ['s32', 4], ['s32', 6],
+  );
+  assert.strictEqual(kind, 'critter');
+  assert.strictEqual(subtype, null);
+  assert.strictEqual(size, 0x1a0);
+  assert.strictEqual(proto.headFid, 0x01000060);
+  assert.strictEqual(proto.aiPacket, 7);
+  assert.strictEqual(proto.team, 2);
+  assert.deepStrictEqual(proto.data, {
+    flags: 0x2000, baseStats: base, bonusStats: bonus, skills, bodyType: 1, experience: 75,
+    killType: 4, damageType: 6,
+  });
+
+  const byName = Object.fromEntries(fields.map((f) => [f.name, f]));
+  // The data has its own flags field, starting at 0x2C
+  assert.deepStrictEqual(fields.filter((f) => f.name === 'flags').map((f) => f.offset), [0x14, 0x2c]);
+  assert.strictEqual(byName['baseStats[0]'].offset, 0x30);
+  assert.strictEqual(byName['baseStats[0]'].meaning, 'Strength');
+  assert.strictEqual(byName['skills[17]'].meaning, 'Outdoorsman');
+  assert.strictEqual(byName.bodyType.meaning, 'Quadruped');
+  assert.strictEqual(byName.damageType.meaning, 'Explosion');
+});
+
+test('critter without damageType', () => {
+  const buffer = build(
+    ...common(0x01000050), ...lightFlagsSid, ['s32', 0x01000060], ['s32', 7], ['s32', 2],
+    ['u32', 0], ['s32', new Array(35).fill(0)], ['s32', new Array(35).fill(0)],
+    ['s32', new Array(18).fill(0)], ['s32', 0], ['s32', 0], ['s32', 0],
+  );
+  const { proto, size, trailing } = parsePro(buffer);
+  assert.strictEqual(size, 0x1a0 - 4);
+  assert.strictEqual(trailing, 0);
+  assert.strictEqual('damageType' in proto.data, false);
+});
+
+test('scenery subtypes', () => {
+  const cases = [
+    [0, 'door', [['u32', 0x1], ['s32', 9]], { openFlags: 0x1, keyCode: 9 }],
+    [1, 'stairs', [['s32', 0x2000312c], ['s32', 4]], { destinationBuiltTile: 0x2000312c, destinationMap: 4 }],
+    [2, 'elevator', [['s32', 3], ['s32', 1]], { type: 3, level: 1 }],
+    [3, 'ladderUp', [['s32', 0x20004e20]], { destinationBuiltTile: 0x20004e20 }],
+    [4, 'ladderDown', [['s32', 12345]], { destinationBuiltTile: 12345 }],
+    [5, 'generic', [['s32', 0]], { unknown: 0 }],
+  ];
+  for (const [type, name, data, expected] of cases) {
+    const { kind, subtype, proto, size } = parse(...sceneryHeader(type), ...data);
+    assert.strictEqual(kind, 'scenery');
+    assert.strictEqual(subtype, name);
+    assert.strictEqual(proto.material, 5);
+    assert.strictEqual(proto.soundId, 0x41);
+    assert.strictEqual(size, 41 + data.length * 4);
+    assert.deepStrictEqual(proto.data, expected, name);
+  }
+});
+
+test('wall', () => {
+  const { kind, subtype, proto, size } = parse(...common(0x03000030), ...lightFlagsSid, ['s32', 6]);
+  assert.strictEqual(kind, 'wall');
+  assert.strictEqual(subtype, null);
+  assert.strictEqual(size, 36);
+  assert.strictEqual(proto.material, 6);
+  assert.strictEqual(proto.sid, -1);
+  assert.strictEqual(proto.data, undefined);
+});
+
+test('tile', () => {
+  const { kind, proto, size } = parse(
+    ...common(0x04000040), ['u32', 0x8], ['u32', 0], ['s32', 0x01000002], ['s32', 4],
+  );
+  assert.strictEqual(kind, 'tile');
+  assert.strictEqual(size, 28);
+  assert.deepStrictEqual(proto, {
+    pid: 0x04000040, messageId: 100, fid: 0x123, flags: 0x8, extendedFlags: 0, sid: 0x01000002,
+    material: 4,
+  });
+});
+
+test('misc', () => {
+  const { kind, proto, size } = parse(
+    ...common(0x05000010), ['s32', 0], ['s32', 0], ['u32', 0x20000000], ['u32', 0],
+  );
+  assert.strictEqual(kind, 'misc');
+  assert.strictEqual(size, 28);
+  assert.strictEqual(proto.flags, 0x20000000);
+  assert.strictEqual('sid' in proto, false);
+});
+
+test('bytes after the last field are trailing', () => {
+  const buffer = Buffer.concat([build(...itemHeader(6), ['s32', 1]), Buffer.alloc(3)]);
+  assert.strictEqual(parsePro(buffer).trailing, 3);
+});
+
+test('short and truncated files throw', () => {
+  assert.throws(() => parsePro(Buffer.alloc(0)), /0 bytes, too short for a PID/);
+  assert.throws(() => parsePro(Buffer.alloc(3)), /3 bytes, too short for a PID/);
+
+  // Every prefix of a complete proto ends inside a required field
+  const weapon = build(...itemHeader(3), ['s32', new Array(16).fill(0)], ['u8', 0]);
+  for (const length of [4, 12, 0x20, 0x38, 0x39, 0x50, weapon.length - 1]) {
+    assert.throws(() => parsePro(weapon.subarray(0, length)), /File ends at/, `${length} bytes`);
+  }
+  const critter = build(...common(0x01000050), ...lightFlagsSid, ['s32', new Array(3 + 1 + 20).fill(0)]);
+  assert.throws(() => parsePro(critter), /File ends at 0x80 inside baseStats/);
+  // damageType may be left out, but not cut short
+  const full = build(...common(0x01000050), ...lightFlagsSid, ['s32', new Array(3 + 93).fill(0)]);
+  assert.throws(() => parsePro(full.subarray(0, full.length - 2)), /inside damageType/);
+});
+
+test('unknown object types and subtypes throw', () => {
+  assert.throws(() => parsePro(build(['s32', 0x06000001])), /object type 6, not a proto type/);
+  assert.throws(() => parsePro(build(...itemHeader(7))), /Unknown item type 7 at 0x20/);
+  assert.throws(() => parsePro(build(...sceneryHeader(6))), /Unknown scenery type 6 at 0x20/);
+});
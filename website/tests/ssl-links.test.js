@@ -0,0 +1,51 @@
+/**
+ * Tests for src/remark/ssl-links.js
+ *
+ * The plugin reads the real reference and indices; each test runs it on a
+ * small mdast tree for a page next to the reference.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sslLinks = require('../src/remark/ssl-links');
+const { FUNCTIONS_DIR } = require('../scripts/lib/ssl-docs');
+
+const transform = sslLinks();
+
+function paragraph(...codes) {
+  return { type: 'paragraph', children: codes.map((value) => ({ type: 'inlineCode', value })) };
+}
+
+function run(tree, file = path.join(FUNCTIONS_DIR, '..', 'page.mdx')) {
+  transform(tree, { path: file });
+  return tree;
+}
+
+test('inline code naming a function links to its section', () => {
+  const [node] = run({ type: 'root', children: [paragraph('tile_num(obj)')] }).children[0].children;
+  assert.strictEqual(node.type, 'link');
+  assert.strictEqual(node.url, './functions/map.mdx#tile_num');
+});
+
+test('inline code naming a define renders a DefineRef', () => {
+  const [node] = run({ type: 'root', children: [paragraph('STAT_st')] }).children[0].children;
+  assert.strictEqual(node.type, 'mdxJsxTextElement');
+  assert.strictEqual(node.name, 'DefineRef');
+});
+
+test('Object.prototype members are not functions or defines', () => {
+  const names = ['toString', 'constructor', 'valueOf', 'hasOwnProperty', '__proto__'];
+  const nodes = run({ type: 'root', children: [paragraph(...names)] }).children[0].children;
+  assert.deepStrictEqual(nodes, names.map((value) => ({ type: 'inlineCode', value })));
+});
+
+test('a section named like an Object.prototype member gets no FnRef', () => {
+  const heading = {
+    type: 'heading',
+    depth: 2,
+    children: [{ type: 'text', value: 'toString {#toString}' }],
+  };
+  const tree = run({ type: 'root', children: [heading, paragraph('x')] }, path.join(FUNCTIONS_DIR, 'meta.mdx'));
+  assert.strictEqual(tree.children.length, 2);
+});
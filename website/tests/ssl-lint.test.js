@@ -0,0 +1,46 @@
+/**
+ * Tests for scripts/lib/ssl-lint.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createKnowledgeBase, lintSource } = require('../scripts/lib/ssl-lint');
+
+// A dataset that, like one built without the header macros, lists some of
+// them as vanilla functions fallout2-ce lacks
+const compatibility = {
+  _meta: {},
+  functions: {
+    gsay_message: { origin: 'vanilla', ce: true },
+    gsay_message_macro: { origin: 'vanilla', ce: false },
+    animate_stand: { origin: 'vanilla', ce: false },
+    register_hook_proc: { origin: 'sfall', ce: false },
+  },
+};
+
+function lint(source, data = compatibility) {
+  return lintSource(`procedure start begin\n${source}\nend`, createKnowledgeBase({ compatibility: data }));
+}
+
+test('header macros are not reported as missing from fallout2-ce', () => {
+  assert.deepStrictEqual(lint('gsay_message_macro(100, 101, 50);'), []);
+  assert.deepStrictEqual(lint('animate_stand;'), []);
+});
+
+test('header macros are known without a define index or dataset entry', () => {
+  assert.deepStrictEqual(lint('create_object(1, 2, 0);', { _meta: {}, functions: {} }), []);
+});
+
+test('functions fallout2-ce lacks are still reported', () => {
+  const diagnostics = lint('register_hook_proc(1, start);');
+  assert.deepStrictEqual(diagnostics.map((d) => [d.code, d.message]), [
+    ['missing-in-ce', 'sfall function register_hook_proc is not implemented in fallout2-ce'],
+  ]);
+});
+
+test('unknown functions get a hint', () => {
+  const diagnostics = lint('gsay_mesage(100, 101, 50);');
+  assert.deepStrictEqual(diagnostics.map((d) => [d.code, d.message]), [
+    ['unknown-function', 'Unknown function gsay_mesage (did you mean gsay_message?)'],
+  ]);
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for scripts/lib/up-scripts.js
+ *
+ * fixtures/up is a tiny Unofficial Patch checkout: a header and two scripts
+ * under scripts_src/, and a script outside it that must not be scanned.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { findScriptFiles, stripCommentsAndStrings, scanUnofficialPatch } = require('../scripts/lib/up-scripts');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'up');
+
+test('script files are found in sorted order', () => {
+  const files = findScriptFiles(path.join(FIXTURE, 'scripts_src'))
+    .map((file) => path.relative(FIXTURE, file).replace(/\\/g, '/'));
+  assert.deepStrictEqual(files, [
+    'scripts_src/arroyo/acmynoc.ssl',
+    'scripts_src/arroyo/acstory.ssl',
+    'scripts_src/headers/command.h',
+  ]);
+});
+
+test('comments and strings are stripped', () => {
+  const source = 'a(1); // b(2)\n/* c(3)\n d(4) */ e("f(5)", "g\\"h(6)");';
+  const identifiers = stripCommentsAndStrings(source).match(/[A-Za-z_]\w*/g);
+  assert.deepStrictEqual(identifiers, ['a', 'e']);
+});
+
+test('usage counts files under scripts_src, headers included', () => {
+  const names = [
+    'display_msg', 'get_critter_stat', 'float_msg', 'obj_name',
+    'critter_inven_obj', 'tile_num', 'get_sfall_global_int', 'set_sfall_global',
+  ];
+  const { usage, fileCount } = scanUnofficialPatch(FIXTURE, names);
+  assert.strictEqual(fileCount, 3);
+  assert.deepStrictEqual(usage, {
+    display_msg: 2,
+    get_critter_stat: 1,
+    float_msg: 1,
+    obj_name: 1,
+  });
+});